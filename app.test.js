@@ -5,6 +5,8 @@ import jwt from 'jsonwebtoken';
 // Make sure your server file exports the Express app instead of calling app.listen()
 // For example, in your server file, export `app` and call app.listen() in a separate file.
 import app from './index.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+import { setPhotoStorage } from './photoStorage.js';
 
 // Mock Prisma client
 jest.mock('@prisma/client', () => {
@@ -14,29 +16,163 @@ jest.mock('@prisma/client', () => {
   const membershipCreateMock = jest.fn();
   const gymOwnerFindUniqueMock = jest.fn();
   const gymOwnerFindManyMock = jest.fn();
+  const gymOwnerUpdateMock = jest.fn();
+  const gymOwnerFindFirstMock = jest.fn();
+  const gymOwnerCreateMock = jest.fn();
+  const membershipFindManyMock = jest.fn();
+  const staffMock = {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  };
+
+  // One shared client so interactive transactions run against the same mocks
+  const client = {
+    customer: {
+      findFirst: findFirstMock,
+      findMany: jest.fn(),
+      create: createMock,
+      update: updateMock,
+      updateMany: jest.fn(() => Promise.resolve({ count: 1 })),
+    },
+    membership: {
+      create: membershipCreateMock,
+      findMany: membershipFindManyMock,
+      findFirst: jest.fn(),
+      update: jest.fn(),
+      groupBy: jest.fn(),
+    },
+    staff: staffMock,
+    gym_owner: {
+      findUnique: gymOwnerFindUniqueMock,
+      findMany: gymOwnerFindManyMock,
+      update: gymOwnerUpdateMock,
+      findFirst: gymOwnerFindFirstMock,
+      create: gymOwnerCreateMock,
+    },
+    audit_log: {
+      create: jest.fn(),
+      findMany: jest.fn(),
+    },
+    attendance: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+    plan: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    coupon: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    payment: {
+      create: jest.fn(),
+      findMany: jest.fn(),
+      aggregate: jest.fn(),
+    },
+    membership_freeze: {
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+    invoice_sequence: {
+      upsert: jest.fn(() => Promise.resolve({ last_number: 1 })),
+    },
+    tax_setting: {
+      findUnique: jest.fn(),
+      upsert: jest.fn(),
+    },
+    reminder_setting: {
+      findUnique: jest.fn(),
+      upsert: jest.fn(),
+    },
+    measurement: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      delete: jest.fn(),
+    },
+    trainer: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    pt_session: {
+      count: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      delete: jest.fn(),
+      groupBy: jest.fn(),
+    },
+  };
+  client.$transaction = jest.fn((fn) => fn(client));
+  client.$queryRaw = jest.fn();
 
   return {
-    PrismaClient: jest.fn(() => ({
-      customer: {
-        findFirst: findFirstMock,
-        create: createMock,
-        update: updateMock,
-      },
-      membership: {
-        create: membershipCreateMock,
-      },
-      gym_owner: {
-        findUnique: gymOwnerFindUniqueMock,
-        findMany: gymOwnerFindManyMock,
-      },
-    })),
+    PrismaClient: jest.fn(() => client),
+  };
+});
+
+// Stub the WhatsApp client so no test opens a real socket
+jest.mock('./whatsappClient.js', () => {
+  const sendMessageMock = jest.fn().mockResolvedValue({});
+  return {
+    initializeWhatsAppClient: jest.fn(() => Promise.resolve()),
+    getWhatsAppClient: jest.fn(() => ({ sendMessage: sendMessageMock })),
+  };
+});
+
+// Mock Redis client
+jest.mock('redis', () => {
+  const redisMock = {
+    on: jest.fn(),
+    connect: jest.fn(),
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    getDel: jest.fn(),
+    expire: jest.fn(),
+    sAdd: jest.fn(),
+    sRem: jest.fn(),
+    sMembers: jest.fn(() => Promise.resolve([])),
   };
+  return { createClient: jest.fn(() => redisMock) };
 });
 
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+// OTP routes are rate limited per IP, so each test request comes from its own address
+let ipCounter = 0;
+const nextIp = () => `10.0.0.${++ipCounter}`;
+const authHeader = (id = 1) => `Bearer ${jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '15m' })}`;
+const staffAuthHeader = (role, staff_id = 5, id = 1) => (
+  `Bearer ${jwt.sign({ id, staff_id, role }, process.env.JWT_SECRET, { expiresIn: '15m' })}`
+);
+
 // Retrieve the mocked PrismaClient instance
 import { PrismaClient } from '@prisma/client';
 const prisma = new PrismaClient();
 
+// Retrieve the mocked Redis client
+import { createClient } from 'redis';
+const redisClient = createClient();
+
+// Retrieve the mocked WhatsApp client
+import { getWhatsAppClient } from './whatsappClient.js';
+
 describe('GET /get_profile', () => {
   afterEach(() => {
     jest.clearAllMocks();
@@ -314,3 +450,2788 @@ describe('POST /login', () => {
     jwtSignSpy.mockRestore();
   });
 });
+
+describe('POST /renew_membership', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const renewalPayload = {
+    gym_id: 'gym1',
+    duration: 3,
+    start_date: '2025-04-01T00:00:00.000Z',
+    payment_mode: 'cash',
+    amount: '1000',
+    workout_type: 'cardio',
+    personal_training: false,
+  };
+
+  test('should return 404 if the customer does not exist', async () => {
+    prisma.customer.findFirst.mockResolvedValue(null);
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send(renewalPayload);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Customer not found');
+    expect(prisma.membership.create).not.toHaveBeenCalled();
+  });
+
+  test('should extend end_date from the current end_date when it is later than start_date', async () => {
+    prisma.customer.findFirst.mockResolvedValue({
+      id: 1,
+      gym_id: 'gym1',
+      phone_number: '1234567890',
+      status: true,
+      end_date: new Date('2025-05-01T00:00:00.000Z'),
+    });
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({
+      id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890', ...data,
+    }));
+    prisma.membership.create.mockImplementation(({ data }) => Promise.resolve({ id: 2, ...data }));
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym', phone_number: '9999999999', name: 'Owner' });
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send(renewalPayload);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.renewal).toBe(true);
+    expect(prisma.customer.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { status: true, end_date: new Date('2025-08-01T00:00:00.000Z'), expired_at: null },
+    });
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ customer_id: 1, duration: 3, amount: 1000 }),
+    });
+  });
+
+  test('should extend end_date from start_date when the membership has already lapsed', async () => {
+    prisma.customer.findFirst.mockResolvedValue({
+      id: 1,
+      gym_id: 'gym1',
+      phone_number: '1234567890',
+      status: false,
+      end_date: new Date('2025-01-01T00:00:00.000Z'),
+    });
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({
+      id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890', ...data,
+    }));
+    prisma.membership.create.mockImplementation(({ data }) => Promise.resolve({ id: 2, ...data }));
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym', phone_number: '9999999999', name: 'Owner' });
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send(renewalPayload);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.customer.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { status: true, end_date: new Date('2025-07-01T00:00:00.000Z'), expired_at: null },
+    });
+  });
+});
+
+describe('GET /membership_expiry/last_run', () => {
+  test('should return an empty result before the expiry job has run', async () => {
+    const res = await request(app)
+      .get('/membership_expiry/last_run')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ ran_at: null, success: null, expired_count: 0 });
+  });
+});
+
+describe('password hashing', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should log in with a hashed password without rehashing it', async () => {
+    const password = await hashPassword('correctpass');
+    prisma.gym_owner.findUnique.mockResolvedValue({ id: 1, phone_number: '1234567890', password });
+
+    const res = await request(app)
+      .post('/login')
+      .send({ phone_number: '1234567890', password: 'correctpass' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(prisma.gym_owner.update).not.toHaveBeenCalled();
+  });
+
+  test('should reject a wrong password against a hash', async () => {
+    const password = await hashPassword('correctpass');
+    prisma.gym_owner.findUnique.mockResolvedValue({ id: 1, phone_number: '1234567890', password });
+
+    const res = await request(app)
+      .post('/login')
+      .send({ phone_number: '1234567890', password: 'wrongpass' });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('should rehash a legacy plaintext password on first successful login', async () => {
+    prisma.gym_owner.findUnique.mockResolvedValue({ id: 1, phone_number: '1234567890', password: 'correctpass' });
+
+    const res = await request(app)
+      .post('/login')
+      .send({ phone_number: '1234567890', password: 'correctpass' });
+
+    expect(res.statusCode).toBe(200);
+    const { data } = prisma.gym_owner.update.mock.calls[0][0];
+    expect(data.password).not.toBe('correctpass');
+    expect(await verifyPassword('correctpass', data.password)).toEqual({ valid: true, needsRehash: false });
+  });
+
+  test('should store a hash when changing the password', async () => {
+    prisma.gym_owner.findUnique.mockResolvedValue({ id: 1, password: await hashPassword('oldpass') });
+
+    const res = await request(app)
+      .put('/change_password')
+      .set('Authorization', authHeader())
+      .send({ old_password: 'oldpass', new_password: 'newpass' });
+
+    expect(res.statusCode).toBe(200);
+    const { data } = prisma.gym_owner.update.mock.calls[0][0];
+    expect((await verifyPassword('newpass', data.password)).valid).toBe(true);
+  });
+});
+
+describe('token refresh and revocation', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    redisClient.get.mockReset();
+  });
+
+  test('should return an access token with an expiry and a refresh token on login', async () => {
+    prisma.gym_owner.findUnique.mockResolvedValue({ id: 1, password: await hashPassword('correctpass') });
+
+    const res = await request(app)
+      .post('/login')
+      .send({ phone_number: '1234567890', password: 'correctpass' });
+
+    expect(res.statusCode).toBe(200);
+    expect(jwt.decode(res.body.token).exp).toBeDefined();
+    expect(res.body.refresh_token).toEqual(expect.any(String));
+    expect(redisClient.set).toHaveBeenCalledWith(`refresh:${res.body.refresh_token}`, '1', expect.any(Object));
+  });
+
+  test('should rotate a valid refresh token', async () => {
+    redisClient.getDel.mockResolvedValue('1');
+
+    const res = await request(app).post('/refresh').send({ refresh_token: 'old-token' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.refresh_token).not.toBe('old-token');
+    expect(redisClient.getDel).toHaveBeenCalledWith('refresh:old-token');
+    expect(redisClient.sRem).toHaveBeenCalledWith('refresh_tokens:1', 'old-token');
+  });
+
+  test('should reject an unknown or already used refresh token', async () => {
+    redisClient.getDel.mockResolvedValue(null);
+
+    const res = await request(app).post('/refresh').send({ refresh_token: 'used-token' });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Invalid or expired refresh token');
+  });
+
+  test('should reject tokens issued without an expiry', async () => {
+    const res = await request(app)
+      .get('/membership_expiry/last_run')
+      .set('Authorization', `Bearer ${jwt.sign({ id: 1 }, process.env.JWT_SECRET)}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('should reject a revoked access token', async () => {
+    const token = jwt.sign({ id: 1, jti: 'revoked-jti' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+    redisClient.get.mockImplementation((key) => Promise.resolve(key === 'revoked:revoked-jti' ? '1' : null));
+
+    const res = await request(app)
+      .get('/membership_expiry/last_run')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Token has been revoked');
+  });
+
+  test('should reject access tokens issued before logging out of all devices', async () => {
+    const oldToken = jwt.sign({ id: 1, iat: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET, { expiresIn: '15m' });
+    redisClient.get.mockImplementation((key) => Promise.resolve(
+      key === 'sessions_valid_after:1' ? String(Math.floor(Date.now() / 1000)) : null
+    ));
+
+    const res = await request(app)
+      .get('/membership_expiry/last_run')
+      .set('Authorization', `Bearer ${oldToken}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('should reject access tokens issued in the same second as logging out of all devices', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const sameSecondToken = jwt.sign({ id: 1, iat: now }, process.env.JWT_SECRET, { expiresIn: '15m' });
+    redisClient.get.mockImplementation((key) => Promise.resolve(
+      key === 'sessions_valid_after:1' ? String(now) : null
+    ));
+
+    const res = await request(app)
+      .get('/membership_expiry/last_run')
+      .set('Authorization', `Bearer ${sameSecondToken}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('should revoke every refresh token when logging out of all devices', async () => {
+    redisClient.sMembers.mockResolvedValue(['a', 'b']);
+
+    const res = await request(app)
+      .post('/logout_all')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(redisClient.del).toHaveBeenCalledWith(['refresh:a', 'refresh:b']);
+    expect(redisClient.set).toHaveBeenCalledWith('sessions_valid_after:1', expect.any(String), expect.any(Object));
+  });
+});
+
+describe('gym owner registration', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    redisClient.get.mockReset();
+  });
+
+  const registration = {
+    name: 'New Owner',
+    email: 'Owner@Example.com',
+    phone_number: '9876543210',
+    gym_name: 'New Gym',
+    password: 'supersecret',
+  };
+
+  test('should return 409 if the email is already registered', async () => {
+    prisma.gym_owner.findFirst.mockResolvedValue({ email: 'owner@example.com', phone_number: '1111111111' });
+
+    const res = await request(app).post('/register').set('X-Forwarded-For', nextIp()).send(registration);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('An account with this email already exists');
+  });
+
+  test('should return 409 if the phone number is already registered', async () => {
+    prisma.gym_owner.findFirst.mockResolvedValue({ email: 'other@example.com', phone_number: '9876543210' });
+
+    const res = await request(app).post('/register').set('X-Forwarded-For', nextIp()).send(registration);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('An account with this phone number already exists');
+  });
+
+  test('should store the pending registration with a hashed password and not create the account yet', async () => {
+    prisma.gym_owner.findFirst.mockResolvedValue(null);
+
+    const res = await request(app).post('/register').set('X-Forwarded-For', nextIp()).send(registration);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.gym_owner.create).not.toHaveBeenCalled();
+    const [key, value] = redisClient.set.mock.calls.find(([k]) => k.startsWith('register_otp:'));
+    expect(key).toBe('register_otp:9876543210');
+    const pending = JSON.parse(value);
+    expect(pending.email).toBe('owner@example.com');
+    expect(pending.password).not.toBe('supersecret');
+  });
+
+  test('should create the account once the OTP is confirmed', async () => {
+    redisClient.get.mockResolvedValue(JSON.stringify({ ...registration, otp: '123456', password: 'hashed' }));
+    prisma.gym_owner.create.mockResolvedValue({ id: 7, name: 'New Owner' });
+
+    const res = await request(app).post('/register/verify').set('X-Forwarded-For', nextIp()).send({ phone_number: '9876543210', otp: '123456' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(prisma.gym_owner.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ phone_number: '9876543210', password: 'hashed' }),
+    }));
+    expect(redisClient.del).toHaveBeenCalledWith('register_otp:9876543210');
+  });
+
+  test('should reject a wrong OTP', async () => {
+    redisClient.get.mockResolvedValue(JSON.stringify({ ...registration, otp: '123456' }));
+
+    const res = await request(app).post('/register/verify').set('X-Forwarded-For', nextIp()).send({ phone_number: '9876543210', otp: '654321' });
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.gym_owner.create).not.toHaveBeenCalled();
+  });
+
+  test('should discard the pending registration after too many wrong OTPs', async () => {
+    redisClient.get.mockResolvedValue(JSON.stringify({ ...registration, otp: '123456', attempts: 3 }));
+
+    const first = await request(app).post('/register/verify').set('X-Forwarded-For', nextIp()).send({ phone_number: '9876543210', otp: '000000' });
+
+    expect(first.statusCode).toBe(400);
+    expect(first.body.error).toBe('Invalid OTP');
+    expect(redisClient.set).toHaveBeenCalledWith(
+      'register_otp:9876543210',
+      JSON.stringify({ ...registration, otp: '123456', attempts: 4 }),
+      { KEEPTTL: true }
+    );
+
+    redisClient.get.mockResolvedValue(JSON.stringify({ ...registration, otp: '123456', attempts: 4 }));
+    const second = await request(app).post('/register/verify').set('X-Forwarded-For', nextIp()).send({ phone_number: '9876543210', otp: '923456' });
+
+    expect(second.statusCode).toBe(400);
+    expect(second.body.error).toBe('Too many invalid attempts, please register again');
+    expect(redisClient.del).toHaveBeenCalledWith('register_otp:9876543210');
+    expect(prisma.gym_owner.create).not.toHaveBeenCalled();
+  });
+
+  test('should return 409 instead of a unique-constraint error when the phone was taken meanwhile', async () => {
+    redisClient.get.mockResolvedValue(JSON.stringify({ ...registration, otp: '123456' }));
+    prisma.gym_owner.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), {
+      code: 'P2002',
+      meta: { target: ['phone_number'] },
+    }));
+
+    const res = await request(app).post('/register/verify').set('X-Forwarded-For', nextIp()).send({ phone_number: '9876543210', otp: '123456' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('An account with this phone number already exists');
+  });
+});
+
+describe('account details', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    redisClient.get.mockReset();
+  });
+
+  const safeFields = { id: true, name: true, email: true, phone_number: true, gym_name: true, referral_reward: true };
+
+  test('should not send the password hash back after updating the account', async () => {
+    prisma.gym_owner.update.mockImplementation(({ select }) => Promise.resolve(
+      Object.fromEntries(Object.keys(select).map((field) => [field, field === 'id' ? 1 : 'value']))
+    ));
+
+    const res = await request(app)
+      .put('/account')
+      .set('Authorization', authHeader())
+      .send({ gym_name: 'Iron Gym' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.gym_owner.update).toHaveBeenCalledWith(expect.objectContaining({ select: safeFields }));
+    expect(res.body).not.toHaveProperty('password');
+  });
+
+  test('should not send the password hash back after changing the phone number', async () => {
+    redisClient.get.mockResolvedValue(JSON.stringify({ otp: '123456', new_phone_number: '9876500000' }));
+    prisma.gym_owner.update.mockResolvedValue({ id: 1, phone_number: '9876500000' });
+
+    const res = await request(app)
+      .put('/update_phone_number')
+      .set('Authorization', authHeader())
+      .set('X-Forwarded-For', nextIp())
+      .send({ otp: '123456' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.gym_owner.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { phone_number: '9876500000' },
+      select: safeFields,
+    });
+  });
+});
+
+describe('forgot and reset password', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    redisClient.get.mockReset();
+  });
+
+  test('should give the same answer for an unregistered phone number without sending an OTP', async () => {
+    prisma.gym_owner.findUnique.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/forgot_password')
+      .set('X-Forwarded-For', nextIp())
+      .send({ phone_number: '9000000001' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('If this phone number is registered, an OTP has been sent to it');
+    expect(redisClient.set).not.toHaveBeenCalled();
+  });
+
+  test('should store a reset OTP for a registered phone number', async () => {
+    prisma.gym_owner.findUnique.mockResolvedValue({ id: 1, phone_number: '9000000002' });
+
+    const res = await request(app)
+      .post('/forgot_password')
+      .set('X-Forwarded-For', nextIp())
+      .send({ phone_number: '9000000002' });
+
+    expect(res.statusCode).toBe(200);
+    expect(redisClient.set).toHaveBeenCalledWith(
+      'password_reset_otp:9000000002',
+      expect.stringContaining('"attempts":0'),
+      { EX: 600 }
+    );
+  });
+
+  test('should count a wrong OTP and discard it after too many attempts', async () => {
+    redisClient.get.mockResolvedValue(JSON.stringify({ otp: '123456', attempts: 3 }));
+
+    const first = await request(app)
+      .post('/reset_password')
+      .set('X-Forwarded-For', nextIp())
+      .send({ phone_number: '9000000003', otp: '000000', new_password: 'newpassword' });
+
+    expect(first.statusCode).toBe(400);
+    expect(first.body.error).toBe('Invalid OTP');
+    expect(redisClient.set).toHaveBeenCalledWith(
+      'password_reset_otp:9000000003',
+      JSON.stringify({ otp: '123456', attempts: 4 }),
+      { KEEPTTL: true }
+    );
+
+    redisClient.get.mockResolvedValue(JSON.stringify({ otp: '123456', attempts: 4 }));
+    const second = await request(app)
+      .post('/reset_password')
+      .set('X-Forwarded-For', nextIp())
+      .send({ phone_number: '9000000003', otp: '000000', new_password: 'newpassword' });
+
+    expect(second.body.error).toBe('Too many invalid attempts, please request a new OTP');
+    expect(redisClient.del).toHaveBeenCalledWith('password_reset_otp:9000000003');
+    expect(prisma.gym_owner.update).not.toHaveBeenCalled();
+  });
+
+  test('should set a hashed password and log out every session on a valid OTP', async () => {
+    redisClient.get.mockResolvedValue(JSON.stringify({ otp: '123456', attempts: 0 }));
+    prisma.gym_owner.update.mockResolvedValue({ id: 1 });
+
+    const res = await request(app)
+      .post('/reset_password')
+      .set('X-Forwarded-For', nextIp())
+      .send({ phone_number: '9000000004', otp: '123456', new_password: 'newpassword' });
+
+    expect(res.statusCode).toBe(200);
+    const { where, data } = prisma.gym_owner.update.mock.calls[0][0];
+    expect(where).toEqual({ phone_number: '9000000004' });
+    expect((await verifyPassword('newpassword', data.password)).valid).toBe(true);
+    expect(redisClient.set).toHaveBeenCalledWith('sessions_valid_after:1', expect.any(String), expect.any(Object));
+  });
+
+  test('should rate limit OTP requests per phone number across IPs', async () => {
+    prisma.gym_owner.findUnique.mockResolvedValue(null);
+
+    const statuses = [];
+    for (let i = 0; i < 6; i += 1) {
+      const res = await request(app)
+        .post('/forgot_password')
+        .set('X-Forwarded-For', nextIp())
+        .send({ phone_number: '9000000005' });
+      statuses.push(res.statusCode);
+    }
+
+    expect(statuses.slice(0, 5)).toEqual([200, 200, 200, 200, 200]);
+    expect(statuses[5]).toBe(429);
+  });
+});
+
+describe('staff roles', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should let a receptionist create a membership and record who took the payment', async () => {
+    prisma.customer.findFirst.mockResolvedValue(null);
+    prisma.customer.create.mockResolvedValue({
+      id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890', end_date: new Date('2025-07-01T00:00:00.000Z'),
+    });
+    prisma.membership.create.mockResolvedValue({ id: 1 });
+
+    const res = await request(app)
+      .post('/membership')
+      .set('Authorization', staffAuthHeader('receptionist'))
+      .send({
+        gym_id: 'gym1',
+        phone_number: '1234567890',
+        name: 'John Doe',
+        duration: 3,
+        start_date: '2025-04-01T00:00:00.000Z',
+        payment_mode: 'cash',
+        amount: '1000',
+        workout_type: 'cardio',
+        personal_training: false,
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.customer.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ gym_owner_id: 1 }),
+    });
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ staff_id: 5 }),
+    });
+  });
+
+  test('should not let a receptionist see revenue details or edit transactions', async () => {
+    const revenue = await request(app)
+      .get('/revenue_details')
+      .set('Authorization', staffAuthHeader('receptionist'));
+    const edit = await request(app)
+      .put('/edit_transaction')
+      .set('Authorization', staffAuthHeader('receptionist'))
+      .send({ transaction_id: 1 });
+
+    expect(revenue.statusCode).toBe(403);
+    expect(edit.statusCode).toBe(403);
+    expect(prisma.membership.findMany).not.toHaveBeenCalled();
+  });
+
+  test('should let a manager see revenue details but not manage staff', async () => {
+    prisma.membership.findMany.mockResolvedValue([]);
+
+    const revenue = await request(app)
+      .get('/revenue_details')
+      .set('Authorization', staffAuthHeader('manager'));
+    const staff = await request(app)
+      .post('/staff')
+      .set('Authorization', staffAuthHeader('manager'))
+      .send({ name: 'Desk', phone_number: '9123456780', password: 'password1', role: 'receptionist' });
+
+    expect(revenue.statusCode).toBe(200);
+    expect(staff.statusCode).toBe(403);
+  });
+
+  test('should let the gym owner create a staff account with a hashed password', async () => {
+    prisma.staff.create.mockImplementation(({ data }) => Promise.resolve({ id: 9, ...data }));
+
+    const res = await request(app)
+      .post('/staff')
+      .set('Authorization', authHeader())
+      .send({ name: 'Desk', phone_number: '9123456780', password: 'password1', role: 'receptionist' });
+
+    expect(res.statusCode).toBe(201);
+    const { data } = prisma.staff.create.mock.calls[0][0];
+    expect(data.gym_owner_id).toBe(1);
+    expect((await verifyPassword('password1', data.password)).valid).toBe(true);
+  });
+
+  test('should not allow creating a staff account with the owner role', async () => {
+    const res = await request(app)
+      .post('/staff')
+      .set('Authorization', authHeader())
+      .send({ name: 'Desk', phone_number: '9123456780', password: 'password1', role: 'owner' });
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.staff.create).not.toHaveBeenCalled();
+  });
+
+  test('should issue staff tokens carrying the role on staff login', async () => {
+    prisma.staff.findUnique.mockResolvedValue({
+      id: 5, gym_owner_id: 1, role: 'receptionist', active: true, password: await hashPassword('password1'),
+    });
+
+    const res = await request(app)
+      .post('/staff/login')
+      .send({ phone_number: '9123456780', password: 'password1' });
+
+    expect(res.statusCode).toBe(200);
+    expect(jwt.decode(res.body.token)).toEqual(expect.objectContaining({ id: 1, staff_id: 5, role: 'receptionist' }));
+  });
+
+  test('should reject login for a deactivated staff account', async () => {
+    prisma.staff.findUnique.mockResolvedValue({
+      id: 5, gym_owner_id: 1, role: 'receptionist', active: false, password: await hashPassword('password1'),
+    });
+
+    const res = await request(app)
+      .post('/staff/login')
+      .send({ phone_number: '9123456780', password: 'password1' });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('should deactivate a staff account sent active as a string', async () => {
+    prisma.staff.findFirst.mockResolvedValue({ id: 6 });
+    prisma.staff.update.mockImplementation(({ data }) => Promise.resolve({ id: 6, ...data }));
+
+    const res = await request(app)
+      .put('/staff/6')
+      .set('Authorization', authHeader())
+      .send({ active: 'false' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.staff.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 6 },
+      data: expect.objectContaining({ active: false }),
+    }));
+  });
+
+  test('should reject a non-numeric staff id when deactivating', async () => {
+    const res = await request(app)
+      .delete('/staff/abc')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.staff.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('audit log', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should record the changed profile fields with the actor in the same transaction', async () => {
+    prisma.customer.findFirst.mockResolvedValue({
+      id: 3, gym_owner_id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890',
+    });
+    prisma.customer.update.mockResolvedValue({ id: 3, name: 'John Doe', phone_number: '5555555555' });
+
+    const res = await request(app)
+      .put('/edit_profile')
+      .set('Authorization', staffAuthHeader('receptionist'))
+      .send({ gym_id: 'gym1', name: 'John Doe', phone_number: '5555555555' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(prisma.audit_log.create).toHaveBeenCalledWith({
+      data: {
+        gym_owner_id: 1,
+        entity_type: 'customer',
+        entity_id: 3,
+        customer_id: 3,
+        action: 'update',
+        before: { phone_number: '1234567890' },
+        after: { phone_number: '5555555555' },
+        actor_staff_id: 5,
+        actor_role: 'receptionist',
+      },
+    });
+  });
+
+  test('should not write the change when the audit entry fails', async () => {
+    prisma.customer.findFirst.mockResolvedValue({ id: 3, gym_owner_id: 1, name: 'John Doe', phone_number: '1234567890' });
+    prisma.customer.update.mockResolvedValue({ id: 3 });
+    prisma.audit_log.create.mockRejectedValueOnce(new Error('audit failed'));
+
+    const res = await request(app)
+      .put('/edit_profile')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', name: 'John Doe', phone_number: '5555555555' });
+
+    expect(res.statusCode).toBe(500);
+  });
+
+  test('should record the before and after amounts when a transaction is edited', async () => {
+    prisma.membership.findFirst.mockResolvedValue({
+      id: 8,
+      customer_id: 3,
+      duration: 3,
+      start_date: new Date('2025-04-01T00:00:00.000Z'),
+      payment_mode: 'cash',
+      amount: 1000,
+      taxable_value: 1000,
+      workout_type: 'cardio',
+      personal_training: false,
+      customer: { id: 3, gym_owner_id: 1 },
+    });
+    prisma.membership.update.mockResolvedValue({ id: 8, amount: 1500 });
+
+    const res = await request(app)
+      .put('/edit_transaction')
+      .set('Authorization', authHeader())
+      .send({
+        transaction_id: 8,
+        duration: 3,
+        start_date: '2025-04-01T00:00:00.000Z',
+        payment_mode: 'cash',
+        amount: 1500,
+        workout_type: 'cardio',
+        personal_training: false,
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.audit_log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        entity_type: 'membership',
+        entity_id: 8,
+        before: { amount: 1000, taxable_value: 1000 },
+        after: { amount: 1500, taxable_value: 1500 },
+        actor_role: 'owner',
+      }),
+    });
+  });
+
+  test('should list the audit trail for a gym_id scoped to the gym owner', async () => {
+    prisma.customer.findFirst.mockResolvedValue({ id: 3 });
+    prisma.audit_log.findMany.mockResolvedValue([{ id: 10, action: 'update', actor_staff: { name: 'Desk' } }]);
+
+    const res = await request(app)
+      .get('/audit_log')
+      .query({ gym_id: 'gym1' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.entries).toEqual([{ id: 10, action: 'update', actor_name: 'Desk' }]);
+    expect(prisma.audit_log.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { gym_owner_id: 1, customer_id: 3 },
+    }));
+  });
+
+  test('should reject a non-numeric transaction_id or before_id', async () => {
+    const transaction = await request(app)
+      .get('/audit_log')
+      .query({ transaction_id: 'abc' })
+      .set('Authorization', authHeader());
+    const page = await request(app)
+      .get('/audit_log')
+      .query({ gym_id: 'gym1', before_id: '10x' })
+      .set('Authorization', authHeader());
+
+    expect(transaction.statusCode).toBe(400);
+    expect(transaction.body.errors[0].msg).toBe('transaction_id must be a transaction id');
+    expect(page.statusCode).toBe(400);
+    expect(prisma.audit_log.findMany).not.toHaveBeenCalled();
+  });
+
+  test('should not let a receptionist browse the audit trail', async () => {
+    const res = await request(app)
+      .get('/audit_log')
+      .query({ transaction_id: 8 })
+      .set('Authorization', staffAuthHeader('receptionist'));
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('tenant isolation', () => {
+  // Gym owner 1 owns customer 3 (gym_id 'gym1') and its membership 8
+  const ownedCustomer = {
+    id: 3, gym_owner_id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890',
+    status: true, end_date: new Date('2025-07-01T00:00:00.000Z'),
+  };
+  const ownedMembership = {
+    id: 8,
+    customer_id: 3,
+    duration: 3,
+    start_date: new Date('2025-04-01T00:00:00.000Z'),
+    payment_mode: 'cash',
+    amount: 1000,
+    workout_type: 'cardio',
+    personal_training: false,
+    customer: ownedCustomer,
+  };
+  const transactionEdit = {
+    transaction_id: 8,
+    duration: 3,
+    start_date: '2025-04-01T00:00:00.000Z',
+    payment_mode: 'cash',
+    amount: 1,
+    workout_type: 'cardio',
+    personal_training: false,
+  };
+
+  beforeEach(() => {
+    prisma.customer.findFirst.mockImplementation(({ where }) => Promise.resolve(
+      where.gym_owner_id === ownedCustomer.gym_owner_id && where.gym_id === ownedCustomer.gym_id ? ownedCustomer : null
+    ));
+    prisma.membership.findFirst.mockImplementation(({ where }) => Promise.resolve(
+      where.id === ownedMembership.id && where.customer.gym_owner_id === ownedCustomer.gym_owner_id ? ownedMembership : null
+    ));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findFirst.mockReset();
+    prisma.membership.findFirst.mockReset();
+  });
+
+  test('should return 404 when another gym owner edits a transaction', async () => {
+    const res = await request(app)
+      .put('/edit_transaction')
+      .set('Authorization', authHeader(2))
+      .send(transactionEdit);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Transaction not found');
+    expect(prisma.membership.update).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 when another gym owner edits a profile', async () => {
+    const res = await request(app)
+      .put('/edit_profile')
+      .set('Authorization', authHeader(2))
+      .send({ gym_id: 'gym1', name: 'Hacked', phone_number: '0000000000' });
+
+    expect(res.statusCode).toBe(404);
+    expect(prisma.customer.update).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 when another gym owner renews a membership', async () => {
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader(2))
+      .send({ ...transactionEdit, gym_id: 'gym1' });
+
+    expect(res.statusCode).toBe(404);
+    expect(prisma.membership.create).not.toHaveBeenCalled();
+  });
+
+  test('should let the owning gym owner edit the transaction', async () => {
+    prisma.membership.update.mockResolvedValue({ ...ownedMembership, amount: 1 });
+
+    const res = await request(app)
+      .put('/edit_transaction')
+      .set('Authorization', authHeader(1))
+      .send(transactionEdit);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.membership.update).toHaveBeenCalledWith({
+      where: { id: 8 },
+      data: expect.objectContaining({ amount: 1 }),
+    });
+    // Neither duration nor start_date changed, so end_date is left alone
+    expect(prisma.customer.update).not.toHaveBeenCalled();
+  });
+
+  test('should update the taxable value and discount of an untaxed transaction', async () => {
+    prisma.membership.findFirst.mockResolvedValue({
+      ...ownedMembership, amount: 1000, list_price: 1200, discount: 200, tax_rate: 0, taxable_value: 1000, tax_amount: 0,
+    });
+    prisma.membership.update.mockImplementation(({ data }) => Promise.resolve({ ...ownedMembership, ...data }));
+
+    const res = await request(app)
+      .put('/edit_transaction')
+      .set('Authorization', authHeader(1))
+      .send({ ...transactionEdit, amount: '900' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.membership.update).toHaveBeenCalledWith({
+      where: { id: 8 },
+      data: expect.objectContaining({ amount: 900, taxable_value: 900, discount: 300 }),
+    });
+    expect(prisma.audit_log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        before: { amount: 1000, taxable_value: 1000, discount: 200 },
+        after: { amount: 900, taxable_value: 900, discount: 300 },
+      }),
+    });
+  });
+
+  test('should recompute the customer end_date when the duration changes', async () => {
+    prisma.membership.update.mockResolvedValue({ ...ownedMembership, duration: 6 });
+    prisma.membership.findMany.mockResolvedValue([
+      { id: 8, start_date: new Date('2025-04-01T00:00:00.000Z'), duration: 6 },
+      { id: 9, start_date: new Date('2025-05-01T00:00:00.000Z'), duration: 1 },
+    ]);
+
+    const res = await request(app)
+      .put('/edit_transaction')
+      .set('Authorization', authHeader(1))
+      .send({ ...transactionEdit, duration: 6 });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.customer.update).toHaveBeenCalledWith({
+      where: { id: 3 },
+      data: expect.objectContaining({ end_date: new Date('2025-11-01T00:00:00.000Z') }),
+    });
+  });
+});
+
+describe('attendance', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findFirst.mockReset();
+    prisma.attendance.findFirst.mockReset();
+  });
+
+  const activeCustomer = {
+    id: 3, gym_owner_id: 1, gym_id: 'gym1', name: 'John Doe', id_card_number: 'CARD42',
+    status: true, end_date: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000),
+  };
+  const expiredCustomer = { ...activeCustomer, status: false, end_date: new Date('2025-01-01T00:00:00.000Z') };
+
+  test('should check a member in by id_card_number', async () => {
+    prisma.customer.findFirst.mockResolvedValue(activeCustomer);
+    prisma.attendance.findFirst.mockResolvedValue(null);
+    prisma.attendance.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+
+    const res = await request(app)
+      .post('/attendance/check_in')
+      .set('Authorization', staffAuthHeader('receptionist'))
+      .send({ id_card_number: 'CARD42' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.warning).toBeNull();
+    expect(prisma.customer.findFirst).toHaveBeenCalledWith({
+      where: { gym_owner_id: 1, id_card_number: 'CARD42' },
+    });
+    expect(prisma.attendance.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ gym_owner_id: 1, customer_id: 3, membership_expired: false }),
+    });
+  });
+
+  test('should reject checking in with an expired membership', async () => {
+    prisma.customer.findFirst.mockResolvedValue(expiredCustomer);
+
+    const res = await request(app)
+      .post('/attendance/check_in')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Membership expired');
+    expect(prisma.attendance.create).not.toHaveBeenCalled();
+  });
+
+  test('should record an expired check-in with a warning when allowed', async () => {
+    prisma.customer.findFirst.mockResolvedValue(expiredCustomer);
+    prisma.attendance.findFirst.mockResolvedValue(null);
+    prisma.attendance.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+
+    const res = await request(app)
+      .post('/attendance/check_in')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', allow_expired: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.warning).toBe('Membership expired, please ask the member to renew');
+    expect(res.body.attendance.membership_expired).toBe(true);
+  });
+
+  test('should not check a member in twice', async () => {
+    prisma.customer.findFirst.mockResolvedValue(activeCustomer);
+    prisma.attendance.findFirst.mockResolvedValue({ id: 1, check_in: new Date(), check_out: null });
+
+    const res = await request(app)
+      .post('/attendance/check_in')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1' });
+
+    expect(res.statusCode).toBe(409);
+    expect(prisma.attendance.create).not.toHaveBeenCalled();
+  });
+
+  test('should close a visit left open on an earlier day before checking in', async () => {
+    prisma.customer.findFirst.mockResolvedValue(activeCustomer);
+    prisma.attendance.findFirst.mockResolvedValue({
+      id: 1, check_in: new Date('2025-04-01T18:30:00.000+05:30'), check_out: null,
+    });
+    prisma.attendance.create.mockImplementation(({ data }) => Promise.resolve({ id: 2, ...data }));
+
+    const res = await request(app)
+      .post('/attendance/check_in')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.attendance.findFirst).toHaveBeenCalledWith({
+      where: { customer_id: 3, check_out: null },
+      orderBy: { check_in: 'desc' },
+    });
+    expect(prisma.attendance.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { check_out: new Date('2025-04-01T23:59:59.999+05:30') },
+    });
+    expect(prisma.attendance.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('should return 404 when checking out a member who is not checked in', async () => {
+    prisma.customer.findFirst.mockResolvedValue(activeCustomer);
+    prisma.attendance.findFirst.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/attendance/check_out')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1' });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Member is not checked in');
+  });
+
+  test('should list the visits of a day in the gym timezone', async () => {
+    prisma.attendance.findMany.mockResolvedValue([]);
+
+    const res = await request(app)
+      .get('/attendance')
+      .query({ date: '2025-04-10' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.attendance.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        gym_owner_id: 1,
+        check_in: {
+          gte: new Date('2025-04-09T18:30:00.000Z'),
+          lte: new Date('2025-04-10T18:29:59.999Z'),
+        },
+      },
+    }));
+  });
+});
+
+describe('membership plans', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findFirst.mockReset();
+    prisma.plan.findFirst.mockReset();
+    prisma.$queryRaw.mockReset();
+  });
+
+  const quarterlyPlan = {
+    id: 7, gym_owner_id: 1, name: 'Quarterly Cardio', duration: 3, duration_unit: 'months',
+    workout_type: 'cardio', personal_training: false, price: 2400, active: true,
+  };
+  const lapsedCustomer = {
+    id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890',
+    status: false, end_date: new Date('2025-01-01T00:00:00.000Z'),
+  };
+
+  const mockRenewal = () => {
+    prisma.customer.findFirst.mockResolvedValue(lapsedCustomer);
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({ ...lapsedCustomer, ...data }));
+    prisma.membership.create.mockImplementation(({ data }) => Promise.resolve({ id: 2, ...data }));
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym', phone_number: '9999999999', name: 'Owner' });
+  };
+
+  test('should create a plan', async () => {
+    prisma.plan.create.mockImplementation(({ data }) => Promise.resolve({ id: 7, ...data }));
+
+    const res = await request(app)
+      .post('/plans')
+      .set('Authorization', authHeader())
+      .send({ name: 'Quarterly Cardio', duration: 3, workout_type: 'cardio', price: 2400 });
+
+    expect(res.statusCode).toBe(201);
+    expect(prisma.plan.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ gym_owner_id: 1, name: 'Quarterly Cardio', duration: 3, price: 2400 }),
+    });
+  });
+
+  test('should not let a receptionist manage plans', async () => {
+    const res = await request(app)
+      .post('/plans')
+      .set('Authorization', staffAuthHeader('receptionist'))
+      .send({ name: 'Quarterly Cardio', duration: 3, workout_type: 'cardio', price: 2400 });
+
+    expect(res.statusCode).toBe(403);
+    expect(prisma.plan.create).not.toHaveBeenCalled();
+  });
+
+  test('should renew using the duration and price of the plan', async () => {
+    prisma.plan.findFirst.mockResolvedValue(quarterlyPlan);
+    mockRenewal();
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', plan_id: 7, start_date: '2025-04-01T00:00:00.000Z', payment_mode: 'cash' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.plan.findFirst).toHaveBeenCalledWith({ where: { id: 7, gym_owner_id: 1, active: true } });
+    expect(prisma.customer.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { status: true, end_date: new Date('2025-07-01T00:00:00.000Z'), expired_at: null },
+    });
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        plan_id: 7, duration: 3, workout_type: 'cardio', list_price: 2400, discount: 0, amount: 2400,
+      }),
+    });
+  });
+
+  test('should record a lower amount than the plan price as a discount', async () => {
+    prisma.plan.findFirst.mockResolvedValue(quarterlyPlan);
+    mockRenewal();
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', plan_id: 7, amount: '2000', start_date: '2025-04-01T00:00:00.000Z', payment_mode: 'cash' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ plan_id: 7, list_price: 2400, discount: 400, amount: 2000 }),
+    });
+  });
+
+  test('should reject an amount above the plan price', async () => {
+    prisma.plan.findFirst.mockResolvedValue(quarterlyPlan);
+    prisma.customer.findFirst.mockResolvedValue(lapsedCustomer);
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', plan_id: 7, amount: '3000', start_date: '2025-04-01T00:00:00.000Z', payment_mode: 'cash' });
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.membership.create).not.toHaveBeenCalled();
+  });
+
+  test('should extend day-based plans by days', async () => {
+    prisma.plan.findFirst.mockResolvedValue({ ...quarterlyPlan, id: 8, name: 'Day Pass', duration: 1, duration_unit: 'days', price: 100 });
+    mockRenewal();
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', plan_id: 8, start_date: '2025-04-01T00:00:00.000Z', payment_mode: 'cash' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.customer.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { status: true, end_date: new Date('2025-04-02T00:00:00.000Z'), expired_at: null },
+    });
+  });
+
+  test('should return 404 for an unknown or inactive plan', async () => {
+    prisma.plan.findFirst.mockResolvedValue(null);
+    prisma.customer.findFirst.mockResolvedValue(lapsedCustomer);
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', plan_id: 99, start_date: '2025-04-01T00:00:00.000Z', payment_mode: 'cash' });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Plan not found');
+  });
+
+  test('should deactivate rather than delete a plan', async () => {
+    prisma.plan.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await request(app)
+      .delete('/plans/7')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.plan.updateMany).toHaveBeenCalledWith({
+      where: { id: 7, gym_owner_id: 1 },
+      data: { active: false },
+    });
+  });
+
+  test('should reject a non-numeric plan id when deactivating', async () => {
+    const res = await request(app)
+      .delete('/plans/abc')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.plan.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('should report the money collected per plan', async () => {
+    prisma.membership.groupBy.mockResolvedValueOnce([
+      { plan_id: 7, _sum: { discount: 200 }, _count: { _all: 2 } },
+      { plan_id: null, _sum: { discount: null }, _count: { _all: 1 } },
+    ]);
+    // Only half of one plan membership has been paid so far
+    prisma.$queryRaw.mockResolvedValueOnce([
+      { plan_id: 7, revenue: 3600 },
+      { plan_id: null, revenue: 1000 },
+    ]);
+    prisma.plan.findMany.mockResolvedValueOnce([{ id: 7, name: 'Quarterly Cardio' }]);
+
+    const res = await request(app)
+      .get('/revenue_by_plan')
+      .query({ from: '2025-04-01', to: '2025-04-30' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([
+      { plan_id: 7, plan_name: 'Quarterly Cardio', sales: 2, revenue: 3600, discount: 200 },
+      { plan_id: null, plan_name: 'Custom', sales: 1, revenue: 1000, discount: 0 },
+    ]);
+    const [sql, ...values] = prisma.$queryRaw.mock.calls[0];
+    expect(sql.join('?')).toContain('FROM "payment" p');
+    expect(values).toEqual(expect.arrayContaining([
+      new Date('2025-04-01T00:00:00.000+05:30'), new Date('2025-04-30T23:59:59.999+05:30'),
+    ]));
+  });
+});
+
+describe('coupons and referrals', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findFirst.mockReset();
+    prisma.customer.update.mockReset();
+    prisma.coupon.findFirst.mockReset();
+  });
+
+  const renewalPayload = {
+    gym_id: 'gym1',
+    duration: 3,
+    start_date: '2025-04-01T00:00:00.000Z',
+    payment_mode: 'cash',
+    amount: '2000',
+    workout_type: 'cardio',
+    personal_training: false,
+  };
+  const coupon = {
+    id: 3, gym_owner_id: 1, code: 'DIWALI10', discount_type: 'percent', discount_value: 10,
+    active: true, valid_from: null, valid_until: null, max_uses: 5, used_count: 0,
+  };
+  const customer = {
+    id: 1, gym_owner_id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890',
+    status: false, end_date: new Date('2025-01-01T00:00:00.000Z'), referral_credit: 0,
+  };
+
+  const mockRenewal = (existing) => {
+    prisma.customer.findFirst.mockResolvedValue(existing);
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({ ...existing, ...data }));
+    prisma.membership.create.mockImplementation(({ data }) => Promise.resolve({ id: 2, ...data }));
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym', phone_number: '9999999999', name: 'Owner' });
+  };
+
+  test('should apply a coupon and count its use', async () => {
+    mockRenewal(customer);
+    prisma.coupon.findFirst.mockResolvedValue(coupon);
+    prisma.coupon.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({ ...renewalPayload, coupon_code: 'diwali10' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.coupon.findFirst).toHaveBeenCalledWith({ where: { gym_owner_id: 1, code: 'DIWALI10' } });
+    expect(prisma.coupon.updateMany).toHaveBeenCalled();
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ coupon_id: 3, list_price: 2000, coupon_discount: 200, discount: 200, amount: 1800 }),
+    });
+  });
+
+  test('should reject an expired coupon', async () => {
+    mockRenewal(customer);
+    prisma.coupon.findFirst.mockResolvedValue({ ...coupon, valid_until: new Date('2025-01-01T00:00:00.000Z') });
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({ ...renewalPayload, coupon_code: 'DIWALI10' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Coupon has expired');
+    expect(prisma.membership.create).not.toHaveBeenCalled();
+  });
+
+  test('should use up referral credit on renewal', async () => {
+    mockRenewal({ ...customer, referral_credit: 500 });
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send(renewalPayload);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.customer.updateMany).toHaveBeenCalledWith({
+      where: { id: 1, referral_credit: { gte: 500 } },
+      data: { referral_credit: { decrement: 500 } },
+    });
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ credit_applied: 500, discount: 500, amount: 1500 }),
+    });
+    expect(prisma.audit_log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'renew', after: expect.objectContaining({ referral_credit: 0 }) }),
+    });
+  });
+
+  test('should not spend referral credit another membership has just used', async () => {
+    mockRenewal({ ...customer, referral_credit: 500 });
+    prisma.customer.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send(renewalPayload);
+
+    expect(res.statusCode).toBe(409);
+    expect(prisma.membership.create).not.toHaveBeenCalled();
+  });
+
+  test('should show gross, discount and net amount on the receipt', async () => {
+    mockRenewal({ ...customer, referral_credit: 500 });
+
+    await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send(renewalPayload);
+
+    const sendMessage = getWhatsAppClient().sendMessage;
+    const receipt = sendMessage.mock.calls[0][1].text;
+    expect(receipt).toContain('GROSS AMOUNT : 2000 INR');
+    expect(receipt).toContain('DISCOUNT : 500 INR');
+    expect(receipt).toContain('NET AMOUNT : 1500 INR');
+  });
+
+  test('should credit the referrer when a referred member is admitted', async () => {
+    const referrer = { ...customer, id: 9, gym_id: 'gym9', referral_credit: 100 };
+    prisma.customer.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(referrer);
+    prisma.gym_owner.findUnique.mockResolvedValue({
+      gym_name: 'Gym', phone_number: '9999999999', name: 'Owner', referral_reward: 250,
+    });
+    prisma.customer.create.mockImplementation(({ data }) => Promise.resolve({ id: 10, ...data }));
+    prisma.customer.update.mockResolvedValue({ ...referrer, referral_credit: 350 });
+    prisma.membership.create.mockImplementation(({ data }) => Promise.resolve({ id: 2, ...data }));
+
+    const res = await request(app)
+      .post('/membership')
+      .set('Authorization', authHeader())
+      .send({ ...renewalPayload, gym_id: 'gym10', phone_number: '1234567890', name: 'Jane Doe', referred_by: 'gym9' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.customer.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ referred_by_id: 9 }),
+    });
+    expect(prisma.customer.update).toHaveBeenCalledWith({
+      where: { id: 9 },
+      data: { referral_credit: { increment: 250 } },
+    });
+    expect(prisma.audit_log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'referral_credit', entity_id: 9 }),
+    });
+  });
+
+  test('should reject a non-numeric coupon id when deactivating', async () => {
+    const res = await request(app)
+      .delete('/coupons/abc')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.coupon.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('partial payments and dues', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findFirst.mockReset();
+    prisma.membership.findFirst.mockReset();
+    prisma.$queryRaw.mockReset();
+  });
+
+  const renewalPayload = {
+    gym_id: 'gym1',
+    duration: 3,
+    start_date: '2025-04-01T00:00:00.000Z',
+    payment_mode: 'cash',
+    amount: '3000',
+    workout_type: 'cardio',
+    personal_training: false,
+  };
+  const customer = {
+    id: 1, gym_owner_id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890',
+    status: false, end_date: new Date('2025-01-01T00:00:00.000Z'),
+  };
+  const unpaidMembership = {
+    id: 8, customer_id: 1, amount: 3000, amount_paid: 1500, payment_mode: 'cash', customer,
+  };
+
+  test('should record what was paid up front and leave the rest due', async () => {
+    prisma.customer.findFirst.mockResolvedValue(customer);
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({ ...customer, ...data }));
+    prisma.membership.create.mockImplementation(({ data }) => Promise.resolve({ id: 8, ...data }));
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym', phone_number: '9999999999', name: 'Owner' });
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({ ...renewalPayload, amount_paid: '1500' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ amount: 3000, amount_paid: 1500 }),
+    });
+    expect(prisma.payment.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ membership_id: 8, amount: 1500, payment_mode: 'cash' }),
+    });
+    const receipt = getWhatsAppClient().sendMessage.mock.calls[0][1].text;
+    expect(receipt).toContain('BALANCE DUE : 1500 INR');
+  });
+
+  test('should reject paying more than the net amount up front', async () => {
+    prisma.customer.findFirst.mockResolvedValue(customer);
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({ ...customer, ...data }));
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({ ...renewalPayload, amount_paid: '5000' });
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.membership.create).not.toHaveBeenCalled();
+  });
+
+  test('should record a payment towards a due', async () => {
+    prisma.membership.findFirst.mockResolvedValue(unpaidMembership);
+    prisma.payment.create.mockImplementation(({ data }) => Promise.resolve({ id: 4, ...data }));
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym' });
+
+    const res = await request(app)
+      .post('/payments')
+      .set('Authorization', authHeader())
+      .send({ transaction_id: 8, amount: 1000, payment_mode: 'upi', payment_details: 'john@upi' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.balance_due).toBe(500);
+    expect(prisma.membership.update).toHaveBeenCalledWith({
+      where: { id: 8 },
+      data: { amount_paid: { increment: 1000 } },
+    });
+    expect(prisma.audit_log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ entity_type: 'payment', action: 'create', entity_id: 4 }),
+    });
+  });
+
+  test('should lock the membership before checking the outstanding balance', async () => {
+    prisma.membership.findFirst.mockResolvedValue(unpaidMembership);
+    prisma.payment.create.mockImplementation(({ data }) => Promise.resolve({ id: 4, ...data }));
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym' });
+
+    const res = await request(app)
+      .post('/payments')
+      .set('Authorization', authHeader())
+      .send({ transaction_id: 8, amount: 1000, payment_mode: 'cash' });
+
+    expect(res.statusCode).toBe(201);
+    const [sql, membershipId] = prisma.$queryRaw.mock.calls[0];
+    expect(sql.join('?')).toContain('FOR UPDATE');
+    expect(membershipId).toBe(8);
+    expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(prisma.membership.findFirst.mock.invocationCallOrder[0]);
+  });
+
+  test('should reject a payment larger than the outstanding balance', async () => {
+    prisma.membership.findFirst.mockResolvedValue(unpaidMembership);
+
+    const res = await request(app)
+      .post('/payments')
+      .set('Authorization', authHeader())
+      .send({ transaction_id: 8, amount: 2000, payment_mode: 'cash' });
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.payment.create).not.toHaveBeenCalled();
+  });
+
+  test('should list customers who owe money', async () => {
+    prisma.$queryRaw.mockResolvedValue([
+      { id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890', balance_due: 1500, unpaid_memberships: 1 },
+      { id: 2, gym_id: 'gym2', name: 'Jane Doe', phone_number: '1234567891', balance_due: 499.5, unpaid_memberships: 1 },
+    ]);
+
+    const res = await request(app)
+      .get('/dues')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.total_outstanding).toBe(1999.5);
+    expect(res.body.customers).toHaveLength(2);
+  });
+
+  test('should send dues reminders over WhatsApp', async () => {
+    prisma.$queryRaw.mockResolvedValue([
+      { id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890', balance_due: 1500, unpaid_memberships: 1 },
+    ]);
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym', phone_number: '9999999999' });
+
+    const res = await request(app)
+      .post('/dues/send_reminders')
+      .set('Authorization', authHeader())
+      .send({});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ sent: 1, failed: [] });
+    expect(getWhatsAppClient().sendMessage).toHaveBeenCalledWith(
+      '911234567890@s.whatsapp.net',
+      { text: expect.stringContaining('1500 INR is pending') }
+    );
+  });
+
+  test('should count collected payments as revenue', async () => {
+    prisma.payment.aggregate.mockResolvedValue({ _sum: { amount: 1500 } });
+
+    const res = await request(app)
+      .get('/revenue')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.total_revenue).toBe(1500);
+    expect(prisma.payment.aggregate).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ membership: { customer: { gym_owner_id: 1 } } }),
+    }));
+  });
+
+  test('should count the current month in the gym\'s timezone', async () => {
+    // 20:00 UTC on 31 May is already 1 June in the gym
+    jest.useFakeTimers({ now: new Date('2025-05-31T20:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    prisma.payment.aggregate.mockResolvedValue({ _sum: { amount: null } });
+
+    try {
+      const res = await request(app)
+        .get('/revenue')
+        .set('Authorization', authHeader());
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.total_revenue).toBe(0);
+      expect(prisma.payment.aggregate.mock.calls[0][0].where.paid_at).toEqual({
+        gte: new Date('2025-06-01T00:00:00.000+05:30'),
+        lte: new Date('2025-06-30T23:59:59.999+05:30'),
+      });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('membership freezes', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findFirst.mockReset();
+    prisma.membership_freeze.findFirst.mockReset();
+  });
+
+  const endDate = new Date(Date.now() + 20 * DAY);
+  const customer = {
+    id: 3, gym_owner_id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890',
+    status: true, end_date: endDate,
+  };
+  const withMembership = (membership) => ({
+    ...customer,
+    memberships: [{ id: 8, customer_id: 3, plan: null, freezes: [], ...membership }],
+  });
+
+  test('should freeze a membership and push end_date out', async () => {
+    prisma.customer.findFirst.mockResolvedValue(withMembership({}));
+    prisma.membership_freeze.findFirst.mockResolvedValue(null);
+    prisma.membership_freeze.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({ ...customer, ...data }));
+
+    const res = await request(app)
+      .post('/freeze_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', days: 10, reason: 'Travelling' });
+
+    expect(res.statusCode).toBe(201);
+    expect(prisma.customer.update).toHaveBeenCalledWith({
+      where: { id: 3 },
+      data: { end_date: new Date(endDate.getTime() + 10 * DAY) },
+    });
+    expect(prisma.membership_freeze.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ membership_id: 8, customer_id: 3, reason: 'Travelling' }),
+    });
+    expect(prisma.audit_log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'freeze', entity_type: 'customer' }),
+    });
+  });
+
+  test('should enforce the freeze days allowed by the plan', async () => {
+    prisma.customer.findFirst.mockResolvedValue(withMembership({
+      plan: { max_freezes: 2, max_freeze_days: 14 },
+      freezes: [{ start_date: new Date('2025-01-01T00:00:00.000Z'), end_date: new Date('2025-01-08T00:00:00.000Z') }],
+    }));
+    prisma.membership_freeze.findFirst.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/freeze_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', days: 10 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('This membership can be frozen for 14 days in total, 7 left');
+    expect(prisma.membership_freeze.create).not.toHaveBeenCalled();
+  });
+
+  test('should not freeze a membership twice at the same time', async () => {
+    prisma.customer.findFirst.mockResolvedValue(withMembership({}));
+    prisma.membership_freeze.findFirst.mockResolvedValue({ id: 1, customer_id: 3 });
+
+    const res = await request(app)
+      .post('/freeze_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', days: 5 });
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  test('should not freeze an expired membership', async () => {
+    prisma.customer.findFirst.mockResolvedValue({ ...withMembership({}), status: false });
+
+    const res = await request(app)
+      .post('/freeze_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1', days: 5 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Only an active membership can be frozen');
+  });
+
+  test('should give back the unused days when unfrozen early', async () => {
+    const start = new Date(Date.now() - 2 * DAY - 60 * 60 * 1000);
+    const freeze = { id: 1, customer_id: 3, start_date: start, end_date: new Date(start.getTime() + 10 * DAY) };
+    prisma.customer.findFirst.mockResolvedValue(customer);
+    prisma.membership_freeze.findFirst.mockResolvedValue(freeze);
+    prisma.membership_freeze.update.mockImplementation(({ data }) => Promise.resolve({ ...freeze, ...data }));
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({ ...customer, ...data }));
+
+    const res = await request(app)
+      .post('/unfreeze_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1' });
+
+    expect(res.statusCode).toBe(200);
+    // Frozen for 2 days and an hour, which counts as 3 of the 10 days
+    expect(prisma.customer.update).toHaveBeenCalledWith({
+      where: { id: 3 },
+      data: { end_date: new Date(endDate.getTime() - 7 * DAY) },
+    });
+  });
+
+  test('should return 404 when unfreezing a member who is not frozen', async () => {
+    prisma.customer.findFirst.mockResolvedValue(customer);
+    prisma.membership_freeze.findFirst.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/unfreeze_membership')
+      .set('Authorization', authHeader())
+      .send({ gym_id: 'gym1' });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Membership is not frozen');
+  });
+
+  test('should leave frozen members out of expiring memberships', async () => {
+    prisma.customer.findMany.mockResolvedValue([]);
+
+    const res = await request(app)
+      .get('/expiring_memberships/7')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.customer.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ freezes: { none: expect.any(Object) } }),
+    }));
+  });
+});
+
+describe('PDF receipts', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findFirst.mockReset();
+    prisma.membership.findFirst.mockReset();
+  });
+
+  const customer = {
+    id: 1, gym_owner_id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890',
+    status: false, end_date: new Date('2025-01-01T00:00:00.000Z'),
+  };
+  const membership = {
+    id: 8, customer_id: 1, invoice_number: 'INV-00042', duration: 3, duration_unit: 'months',
+    start_date: new Date('2025-04-01T00:00:00.000Z'), bill_date: new Date('2025-04-01T00:00:00.000Z'),
+    payment_mode: 'cash', amount: 1800, amount_paid: 1800, list_price: 2000, discount: 200,
+    coupon_discount: 200, credit_applied: 0, workout_type: 'cardio', personal_training: false,
+    plan: null, coupon: { code: 'DIWALI10' }, customer,
+  };
+
+  test('should download the receipt of a transaction as a PDF', async () => {
+    prisma.membership.findFirst.mockResolvedValue(membership);
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym', phone_number: '9999999999' });
+
+    const res = await request(app)
+      .get('/transactions/8/receipt')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="receipt-INV-00042.pdf"');
+    expect(res.body.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+    expect(prisma.membership.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 8, customer: { gym_owner_id: 1 } },
+    }));
+  });
+
+  test('should return 404 for the receipt of another gym\'s transaction', async () => {
+    prisma.membership.findFirst.mockResolvedValue(null);
+
+    const res = await request(app)
+      .get('/transactions/8/receipt')
+      .set('Authorization', authHeader(2));
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('should number the transaction and send the receipt as a WhatsApp document', async () => {
+    prisma.customer.findFirst.mockResolvedValue(customer);
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({ ...customer, ...data }));
+    prisma.membership.create.mockImplementation(({ data }) => Promise.resolve({ id: 8, ...data }));
+    prisma.membership.findFirst.mockResolvedValue(membership);
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym', phone_number: '9999999999', name: 'Owner' });
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({
+        gym_id: 'gym1', duration: 3, start_date: '2025-04-01T00:00:00.000Z', payment_mode: 'cash',
+        amount: '2000', workout_type: 'cardio', personal_training: false,
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ invoice_number: expect.stringMatching(/^\d{4}-\d{2}\/00001$/) }),
+    });
+    expect(getWhatsAppClient().sendMessage).toHaveBeenCalledWith('911234567890@s.whatsapp.net', {
+      document: expect.any(Buffer),
+      mimetype: 'application/pdf',
+      fileName: 'receipt-INV-00042.pdf',
+      caption: 'Receipt INV-00042',
+    });
+  });
+});
+
+describe('GST', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findFirst.mockReset();
+    prisma.tax_setting.findUnique.mockReset();
+  });
+
+  const customer = {
+    id: 1, gym_owner_id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890',
+    status: false, end_date: new Date('2025-01-01T00:00:00.000Z'),
+  };
+  const renewalPayload = {
+    gym_id: 'gym1',
+    duration: 3,
+    start_date: '2025-04-01T00:00:00.000Z',
+    payment_mode: 'cash',
+    amount: '1000',
+    workout_type: 'cardio',
+    personal_training: false,
+  };
+  const mockRenewal = () => {
+    prisma.customer.findFirst.mockResolvedValue(customer);
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({ ...customer, ...data }));
+    prisma.membership.create.mockImplementation(({ data }) => Promise.resolve({ id: 2, ...data }));
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym', phone_number: '9999999999', name: 'Owner' });
+  };
+
+  test('should add GST on top of exclusive prices', async () => {
+    mockRenewal();
+    prisma.tax_setting.findUnique.mockResolvedValue({
+      enabled: true, gstin: '29ABCDE1234F1Z5', rate: 18, inclusive: false,
+    });
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send(renewalPayload);
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        gstin: '29ABCDE1234F1Z5', tax_rate: 18, taxable_value: 1000, tax_amount: 180, cgst: 90, sgst: 90,
+        amount: 1180, amount_paid: 1180,
+      }),
+    });
+  });
+
+  test('should split GST out of inclusive prices', async () => {
+    mockRenewal();
+    prisma.tax_setting.findUnique.mockResolvedValue({
+      enabled: true, gstin: '29ABCDE1234F1Z5', rate: 18, inclusive: true,
+    });
+
+    const res = await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send({ ...renewalPayload, amount: '1180' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ taxable_value: 1000, tax_amount: 180, amount: 1180 }),
+    });
+  });
+
+  test('should not charge GST when it is not configured', async () => {
+    mockRenewal();
+    prisma.tax_setting.findUnique.mockResolvedValue(null);
+
+    await request(app)
+      .post('/renew_membership')
+      .set('Authorization', authHeader())
+      .send(renewalPayload);
+
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ gstin: null, tax_rate: 0, taxable_value: 1000, tax_amount: 0, amount: 1000 }),
+    });
+  });
+
+  test('should require a GSTIN to enable GST', async () => {
+    prisma.tax_setting.findUnique.mockResolvedValue(null);
+
+    const res = await request(app)
+      .put('/tax_settings')
+      .set('Authorization', authHeader())
+      .send({ enabled: true, rate: 18 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('A GSTIN is required to charge GST');
+    expect(prisma.tax_setting.upsert).not.toHaveBeenCalled();
+  });
+
+  test('should store flags sent as strings as booleans', async () => {
+    prisma.tax_setting.findUnique.mockResolvedValue(null);
+    prisma.tax_setting.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+
+    const res = await request(app)
+      .put('/tax_settings')
+      .set('Authorization', authHeader())
+      .send({ enabled: 'false', inclusive: 'false' });
+
+    // "false" is not mistaken for enabling GST, which would need a GSTIN
+    expect(res.statusCode).toBe(200);
+    expect(prisma.tax_setting.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      update: expect.objectContaining({ enabled: false, inclusive: false }),
+    }));
+  });
+
+  test('should reject a malformed GSTIN', async () => {
+    const res = await request(app)
+      .put('/tax_settings')
+      .set('Authorization', authHeader())
+      .send({ enabled: true, gstin: '12345' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Invalid GSTIN');
+  });
+
+  test('should summarise GST for a date range', async () => {
+    prisma.membership.groupBy.mockResolvedValueOnce([
+      { tax_rate: 0, _count: { _all: 2 }, _sum: { taxable_value: 2000, cgst: 0, sgst: 0, tax_amount: 0, amount: 2000 } },
+      { tax_rate: 18, _count: { _all: 1 }, _sum: { taxable_value: 1000, cgst: 90, sgst: 90, tax_amount: 180, amount: 1180 } },
+    ]);
+
+    const res = await request(app)
+      .get('/tax_summary')
+      .query({ from: '2025-04-01', to: '2025-04-30' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({
+      invoices: 3, taxable_value: 3000, cgst: 90, sgst: 90, tax: 180, total: 3180,
+    }));
+    expect(res.body.rates).toHaveLength(2);
+  });
+});
+
+describe('exports', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findMany.mockReset();
+    prisma.membership.findMany.mockReset();
+    prisma.$queryRaw.mockReset();
+  });
+
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  test('should export the customer list as CSV with en-GB dates', async () => {
+    prisma.customer.findMany.mockResolvedValueOnce([
+      {
+        id: 1, gym_id: 'gym1', name: 'Doe, John', phone_number: '1234567890', status: true,
+        end_date: new Date('2025-04-30T00:00:00.000Z'), id_card_number: null, referral_credit: 0,
+      },
+    ]);
+
+    const res = await request(app)
+      .get('/export/customers')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="customers.csv"');
+    expect(res.text.replace(/^\ufeff/, '').split('\r\n')).toEqual([
+      'Gym ID,Name,Phone Number,Status,End Date,ID Card Number,Referral Credit',
+      'gym1,"Doe, John",1234567890,Active,30/04/2025,,0',
+      '',
+    ]);
+    expect(prisma.customer.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { gym_owner_id: 1 },
+      take: 500,
+    }));
+  });
+
+  test('should export transactions in a date range as XLSX', async () => {
+    prisma.membership.findMany.mockResolvedValueOnce([
+      {
+        id: 4, invoice_number: '2025-26/00001', bill_date: new Date('2025-04-02T00:00:00.000Z'),
+        start_date: new Date('2025-04-02T00:00:00.000Z'), duration: 3, duration_unit: 'months',
+        workout_type: 'cardio', personal_training: false, payment_mode: 'upi', list_price: 2000,
+        discount: 0, taxable_value: 1694.92, cgst: 152.54, sgst: 152.54, amount: 2000, amount_paid: 1500,
+        customer: { gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890' }, plan: { name: 'Quarterly' },
+      },
+    ]);
+
+    const res = await request(app)
+      .get('/export/transactions')
+      .query({ from: '2025-04-01', to: '2025-04-30', format: 'xlsx' })
+      .set('Authorization', authHeader())
+      .buffer(true)
+      .parse(binary);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="transactions-2025-04-01-to-2025-04-30.xlsx"');
+    expect(res.body.toString('latin1', 0, 2)).toBe('PK');
+    // Entries are stored uncompressed, so the sheet can be read straight out of the file
+    const sheet = res.body.toString('utf8');
+    expect(sheet).toContain('<t xml:space="preserve">02/04/2025</t>');
+    expect(sheet).toContain('<t xml:space="preserve">Quarterly</t>');
+    expect(sheet).toContain('<v>500</v>');
+    expect(prisma.membership.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        customer: { gym_owner_id: 1 },
+        bill_date: {
+          gte: new Date('2025-04-01T00:00:00.000+05:30'),
+          lte: new Date('2025-04-30T23:59:59.999+05:30'),
+        },
+      },
+    }));
+  });
+
+  test('should export the monthly revenue summary oldest month first', async () => {
+    prisma.$queryRaw.mockResolvedValueOnce([
+      { month: '2025-04', payments: 1, revenue: 1180, tax: 180 },
+      { month: '2025-05', payments: 2, revenue: 1500, tax: 0 },
+    ]);
+
+    const res = await request(app)
+      .get('/export/revenue')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.text.replace(/^\ufeff/, '').split('\r\n')).toEqual([
+      'Month,Payments,Revenue,Taxable Value,Tax',
+      'April 2025,1,1180,1000,180',
+      'May 2025,2,1500,1500,0',
+      '',
+    ]);
+    // Money collected, not invoiced
+    expect(prisma.$queryRaw.mock.calls[0][0].join('?')).toContain('SUM(p."amount")');
+    expect(prisma.membership.findMany).not.toHaveBeenCalled();
+  });
+
+  test('should reject an unknown export format', async () => {
+    const res = await request(app)
+      .get('/export/customers')
+      .query({ format: 'pdf' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.customer.findMany).not.toHaveBeenCalled();
+  });
+
+  test('should require a date range to export transactions', async () => {
+    const res = await request(app)
+      .get('/export/transactions')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('member import', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findMany.mockReset();
+    prisma.customer.create.mockReset();
+    prisma.membership.create.mockReset();
+    prisma.tax_setting.findUnique.mockReset();
+    getWhatsAppClient().sendMessage.mockClear();
+  });
+
+  const csv = [
+    'gym_id,name,phone_number,start_date,duration,amount,amount_paid,workout_type,personal_training',
+    'G1,John Doe,9876543210,15/04/2025,3,3000,2000,cardio,no',
+    'G2,Jane Doe,9876543211,2025-04-15,1,1000,,strength,yes',
+  ].join('\n');
+
+  const mockImport = () => {
+    prisma.customer.findMany.mockResolvedValue([]);
+    prisma.tax_setting.findUnique.mockResolvedValue(null);
+    prisma.customer.create.mockImplementation(({ data }) => Promise.resolve({ id: data.gym_id === 'G1' ? 11 : 12, ...data }));
+    prisma.membership.create.mockImplementation(({ data }) => Promise.resolve({ id: data.customer_id + 100, ...data }));
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Gym', phone_number: '9999999999', name: 'Owner' });
+  };
+
+  test('should import every row in one transaction without messaging members', async () => {
+    mockImport();
+
+    const res = await request(app)
+      .post('/import/members')
+      .set('Authorization', authHeader())
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ success: true, imported: 2, notified: false });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(prisma.customer.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        gym_owner_id: 1, gym_id: 'G1', phone_number: '9876543210',
+        end_date: new Date('2025-07-15T00:00:00.000+05:30'),
+      }),
+    });
+    expect(prisma.membership.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        customer_id: 11, amount: 3000, amount_paid: 2000, bill_date: new Date('2025-04-15T00:00:00.000+05:30'),
+      }),
+    });
+    expect(prisma.payment.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        membership_id: 111, amount: 2000, paid_at: new Date('2025-04-15T00:00:00.000+05:30'),
+      }),
+    });
+    expect(prisma.customer.findMany).toHaveBeenCalledWith({
+      where: { gym_owner_id: 1, gym_id: { in: ['G1', 'G2'] } },
+      select: { gym_id: true },
+    });
+    expect(getWhatsAppClient().sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('should import register amounts untaxed and without invoice numbers', async () => {
+    mockImport();
+    prisma.tax_setting.findUnique.mockResolvedValue({ enabled: true, gstin: '27ABCDE1234F1Z5', rate: 18, inclusive: false });
+
+    const res = await request(app)
+      .post('/import/members')
+      .set('Authorization', authHeader())
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    expect(res.statusCode).toBe(200);
+    const { data } = prisma.membership.create.mock.calls[0][0];
+    expect(data).toEqual(expect.objectContaining({
+      amount: 3000, taxable_value: 3000, tax_amount: 0, tax_rate: 0, gstin: null,
+    }));
+    expect(data).not.toHaveProperty('invoice_number');
+    expect(prisma.invoice_sequence.upsert).not.toHaveBeenCalled();
+  });
+
+  test('should send welcome messages when asked to notify', async () => {
+    mockImport();
+
+    const res = await request(app)
+      .post('/import/members')
+      .set('Authorization', authHeader())
+      .send({ csv, notify: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.notified).toBe(true);
+    expect(getWhatsAppClient().sendMessage).toHaveBeenCalledWith('919876543210@s.whatsapp.net', expect.anything());
+  });
+
+  test('should return per-row errors on a dry run without importing', async () => {
+    prisma.customer.findMany.mockResolvedValue([{ gym_id: 'G2' }]);
+
+    const res = await request(app)
+      .post('/import/members')
+      .query({ dry_run: 'true' })
+      .set('Authorization', authHeader())
+      .set('Content-Type', 'text/csv')
+      .send(`${csv}\nG3,Jim,12345,31/02/2025,3,3000,,cardio,no`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      dry_run: true,
+      total: 3,
+      valid: 1,
+      invalid: 2,
+      errors: [
+        { row: 3, gym_id: 'G2', errors: ['This Gym ID already exists'] },
+        {
+          row: 4,
+          gym_id: 'G3',
+          errors: ['phone_number must be a 10 digit mobile number', 'start_date must be a date as dd/mm/yyyy or YYYY-MM-DD'],
+        },
+      ],
+    });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('should import nothing when any row has errors', async () => {
+    prisma.customer.findMany.mockResolvedValue([{ gym_id: 'G1' }]);
+
+    const res = await request(app)
+      .post('/import/members')
+      .set('Authorization', authHeader())
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Some rows have errors, nothing was imported');
+    expect(prisma.customer.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('revenue analytics', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.$queryRaw.mockReset();
+  });
+
+  test('should compare a range with the period before it', async () => {
+    const group = (payment_mode, workout_type, personal_training, revenue, transactions) => ({
+      payment_mode, workout_type, personal_training, revenue, transactions,
+    });
+    prisma.$queryRaw
+      .mockResolvedValueOnce([
+        { period: '2025-04-01', revenue: 1000, transactions: 1 },
+        { period: '2025-05-01', revenue: 2000, transactions: 1 },
+      ])
+      .mockResolvedValueOnce([
+        group('cash', 'cardio', false, 1000, 1),
+        group('upi', 'cardio', true, 2000, 1),
+      ])
+      .mockResolvedValueOnce([
+        group('cash', 'strength', false, 1500, 1),
+      ]);
+
+    const res = await request(app)
+      .get('/revenue_analytics')
+      .query({ from: '2025-04-01', to: '2025-05-31' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.granularity).toBe('month');
+    expect(res.body.total).toEqual({ revenue: 3000, transactions: 2 });
+    expect(res.body.previous).toEqual({
+      from: '2025-01-29T18:30:00.000Z', to: '2025-03-31T18:29:59.999Z', revenue: 1500, transactions: 1,
+    });
+    expect(res.body.change).toEqual({ revenue: 1500, revenue_percent: 100, transactions: 1 });
+    expect(res.body.by_payment_mode).toEqual([
+      { payment_mode: 'upi', revenue: 2000, transactions: 1, previous_revenue: 0, previous_transactions: 0 },
+      { payment_mode: 'cash', revenue: 1000, transactions: 1, previous_revenue: 1500, previous_transactions: 1 },
+    ]);
+    expect(res.body.by_workout_type).toContainEqual({
+      workout_type: 'strength', revenue: 0, transactions: 0, previous_revenue: 1500, previous_transactions: 1,
+    });
+    expect(res.body.series).toEqual([
+      { period: '2025-04-01', revenue: 1000, transactions: 1 },
+      { period: '2025-05-01', revenue: 2000, transactions: 1 },
+    ]);
+    // Payments are bucketed by their local date in the gym, so evening payments keep their day
+    const [seriesSql, ...seriesValues] = prisma.$queryRaw.mock.calls[0];
+    expect(seriesSql.join('?')).toContain('AT TIME ZONE \'UTC\') AT TIME ZONE ?');
+    expect(seriesValues).toEqual(expect.arrayContaining([
+      'month', 'Asia/Kolkata', 1, new Date('2025-04-01T00:00:00.000+05:30'), new Date('2025-05-31T23:59:59.999+05:30'),
+    ]));
+    expect(prisma.$queryRaw.mock.calls[2]).toEqual(expect.arrayContaining([
+      new Date('2025-01-29T18:30:00.000Z'), new Date('2025-03-31T18:29:59.999Z'),
+    ]));
+  });
+
+  test('should reject an unknown granularity', async () => {
+    const res = await request(app)
+      .get('/revenue_analytics')
+      .query({ from: '2025-04-01', to: '2025-05-31', granularity: 'quarter' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+});
+
+describe('retention analytics', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findMany.mockReset();
+    prisma.$queryRaw.mockReset();
+  });
+
+  test('should shape the counts worked out by the database', async () => {
+    prisma.$queryRaw.mockResolvedValue([{
+      renewals: { due: 2, renewed: 1, not_renewed: 1, pending: 0 },
+      churn: [
+        { month: '2024-01', active_at_start: 0, churned: 0 },
+        { month: '2024-02', active_at_start: 2, churned: 1 },
+      ],
+      lifetime: { customers: 2, days: 45.25 },
+      cohorts: [
+        { cohort: '2024-01', month: 1, members: 2, retained: 1 },
+        { cohort: '2024-01', month: 0, members: 2, retained: 2 },
+      ],
+    }]);
+
+    const res = await request(app)
+      .get('/retention_analytics')
+      .query({ from: '2024-01-01', to: '2024-02-29' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.renewal_days).toBe(30);
+    expect(res.body.renewals).toEqual({ due: 2, renewed: 1, not_renewed: 1, pending: 0, renewal_rate: 50 });
+    expect(res.body.churn).toEqual([
+      { month: '2024-01', active_at_start: 0, churned: 0, churn_rate: null },
+      { month: '2024-02', active_at_start: 2, churned: 1, churn_rate: 50 },
+    ]);
+    expect(res.body.average_lifetime).toEqual({ customers: 2, days: 45.3, months: 1.5 });
+    expect(res.body.cohorts).toEqual([{
+      cohort: '2024-01',
+      members: 2,
+      retention: [{ month: 0, retained: 2, rate: 100 }, { month: 1, retained: 1, rate: 50 }],
+    }]);
+    // Aggregated in one grouped query over the gym's memberships, nothing loaded per customer
+    expect(prisma.customer.findMany).not.toHaveBeenCalled();
+    const values = prisma.$queryRaw.mock.calls[0].slice(1);
+    expect(values).toEqual(expect.arrayContaining([
+      1, 30, 'Asia/Kolkata', new Date('2024-01-01T00:00:00.000+05:30'), new Date('2024-02-29T23:59:59.999+05:30'),
+    ]));
+  });
+
+  test('should reject an invalid renewal window', async () => {
+    const res = await request(app)
+      .get('/retention_analytics')
+      .query({ from: '2024-01-01', to: '2024-02-29', renewal_days: 'soon' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+
+  test('should list members not renewed within the given days', async () => {
+    prisma.customer.findMany.mockResolvedValue([
+      { id: 4, gym_id: 'G4', name: 'Asha', phone_number: '9000000001', end_date: new Date(Date.now() - 45.5 * 24 * 60 * 60 * 1000) },
+    ]);
+
+    const res = await request(app)
+      .get('/lapsed_members')
+      .query({ days: 40 })
+      .set('Authorization', staffAuthHeader('receptionist'));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([expect.objectContaining({ gym_id: 'G4', days_lapsed: 45 })]);
+    const { where } = prisma.customer.findMany.mock.calls[0][0];
+    expect(where.gym_owner_id).toBe(1);
+    expect(Date.now() - where.end_date.lt.getTime()).toBeGreaterThanOrEqual(40 * 24 * 60 * 60 * 1000);
+  });
+});
+
+describe('customer listing', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.$queryRaw.mockReset();
+  });
+
+  test('should return a page of customers with the total count', async () => {
+    prisma.$queryRaw.mockResolvedValue([
+      { total: 3, position: 3, id: 7, gym_id: 'G7', name: 'Zara', status: true, balance_due: 250.5, workout_type: 'cardio' },
+    ]);
+
+    const res = await request(app)
+      .get('/customers')
+      .query({ page: '2', page_size: '2', has_dues: 'true', workout_type: 'cardio' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      customers: [{ id: 7, gym_id: 'G7', name: 'Zara', status: true, balance_due: 250.5, workout_type: 'cardio' }],
+      total: 3,
+      page: 2,
+      page_size: 2,
+      total_pages: 2,
+    });
+    const values = prisma.$queryRaw.mock.calls[0].slice(1);
+    expect(values[0]).toBe(1);
+    expect(values).toEqual(expect.arrayContaining(['cardio', true, 'name:asc', 2, 4]));
+  });
+
+  test('should report the total on a page past the last customer', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ total: 3, position: null, id: null }]);
+
+    const res = await request(app)
+      .get('/customers')
+      .query({ page: '9' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.customers).toEqual([]);
+    expect(res.body.total).toBe(3);
+  });
+
+  test('should reject an unknown sort', async () => {
+    const res = await request(app)
+      .get('/customers')
+      .query({ sort: 'phone_number' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+});
+
+describe('customer search', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.$queryRaw.mockReset();
+  });
+
+  test('should search the gym owner\'s customers with the type-ahead terms', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ id: 3, gym_id: 'G3', name: 'Ramesh Kumar', score: 3.5 }]);
+
+    const res = await request(app)
+      .get('/search')
+      .query({ q: 'ram', limit: '100' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([{ id: 3, gym_id: 'G3', name: 'Ramesh Kumar', score: 3.5 }]);
+    const values = prisma.$queryRaw.mock.calls[0].slice(1);
+    expect(values).toContain(1);
+    expect(values).toContain('ram');
+    expect(values[values.length - 1]).toBe(25);
+  });
+
+  test('should reject a one character search', async () => {
+    const res = await request(app)
+      .get('/search')
+      .query({ q: 'r' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+});
+
+describe('member profile', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findFirst.mockReset();
+    prisma.customer.update.mockReset();
+    prisma.$queryRaw.mockReset();
+  });
+
+  const customer = {
+    id: 3, gym_owner_id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890',
+    date_of_birth: null, gender: null, health_notes: null, photo_key: null,
+  };
+
+  test('should save the extended profile fields', async () => {
+    prisma.customer.findFirst.mockResolvedValue(customer);
+    prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({ ...customer, ...data }));
+
+    const res = await request(app)
+      .put('/edit_profile')
+      .set('Authorization', authHeader())
+      .send({
+        gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890',
+        date_of_birth: '1990-06-15', gender: 'male', health_notes: ' Knee injury, no squats ', goals: '',
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.customer.update).toHaveBeenCalledWith({
+      where: { id: 3 },
+      data: {
+        name: 'John Doe', phone_number: '1234567890', date_of_birth: new Date('1990-06-15'),
+        gender: 'male', health_notes: 'Knee injury, no squats', goals: null,
+      },
+    });
+  });
+
+  test('should validate the extended profile fields', async () => {
+    const res = await request(app)
+      .put('/edit_profile')
+      .set('Authorization', authHeader())
+      .send({
+        gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890', date_of_birth: '15/06/1990', gender: 'x',
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map((error) => error.path)).toEqual(['date_of_birth', 'gender']);
+    expect(prisma.customer.update).not.toHaveBeenCalled();
+  });
+
+  test('should store an uploaded photo and serve it back', async () => {
+    const photos = new Map();
+    setPhotoStorage({
+      save: jest.fn(async (key, buffer) => { photos.set(key, buffer); }),
+      read: jest.fn(async (key) => photos.get(key) || null),
+      remove: jest.fn(async (key) => { photos.delete(key); }),
+    });
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+    prisma.customer.findFirst.mockResolvedValueOnce(customer);
+
+    const upload = await request(app)
+      .put('/profile/photo')
+      .query({ gym_id: 'gym1' })
+      .set('Authorization', authHeader())
+      .set('Content-Type', 'image/jpeg')
+      .send(jpeg);
+
+    expect(upload.statusCode).toBe(200);
+    expect(upload.body.photo_url).toBe('/profile/photo?gym_id=gym1');
+    const key = prisma.customer.update.mock.calls[0][0].data.photo_key;
+    expect(key).toMatch(/^1\/3-\d+\.jpg$/);
+
+    prisma.customer.findFirst.mockResolvedValueOnce({ photo_key: key });
+    const download = await request(app)
+      .get('/profile/photo')
+      .query({ gym_id: 'gym1' })
+      .set('Authorization', authHeader());
+
+    expect(download.statusCode).toBe(200);
+    expect(download.headers['content-type']).toBe('image/jpeg');
+    expect(download.body).toEqual(jpeg);
+  });
+
+  test('should reject uploads that are not images', async () => {
+    const res = await request(app)
+      .put('/profile/photo')
+      .query({ gym_id: 'gym1' })
+      .set('Authorization', authHeader())
+      .set('Content-Type', 'image/png')
+      .send(Buffer.from('not an image'));
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.customer.findFirst).not.toHaveBeenCalled();
+  });
+
+  test('should list upcoming birthdays soonest first', async () => {
+    jest.useFakeTimers({ now: new Date('2025-06-15T06:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    prisma.$queryRaw.mockResolvedValue([
+      { id: 2, gym_id: 'G2', name: 'Asha', date_of_birth: new Date('1995-06-18') },
+      { id: 1, gym_id: 'G1', name: 'Ravi', date_of_birth: new Date('1990-06-15') },
+    ]);
+
+    const res = await request(app)
+      .get('/birthdays')
+      .query({ days: '7' })
+      .set('Authorization', authHeader());
+    jest.useRealTimers();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.members.map(({ gym_id, birthday, turning }) => ({ gym_id, birthday, turning }))).toEqual([
+      { gym_id: 'G1', birthday: '2025-06-15', turning: 35 },
+      { gym_id: 'G2', birthday: '2025-06-18', turning: 30 },
+    ]);
+    expect(prisma.$queryRaw.mock.calls[0]).toContainEqual(
+      ['06-15', '06-16', '06-17', '06-18', '06-19', '06-20', '06-21', '06-22'],
+    );
+  });
+});
+
+describe('body measurements', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.customer.findFirst.mockReset();
+    prisma.measurement.findMany.mockReset();
+    prisma.measurement.findFirst.mockReset();
+    getWhatsAppClient().sendMessage.mockClear();
+  });
+
+  const customer = { id: 3, gym_owner_id: 1, gym_id: 'gym1', name: 'John Doe', phone_number: '1234567890' };
+  const entries = [
+    { id: 1, customer_id: 3, recorded_at: new Date('2025-04-01T06:00:00.000Z'), weight: 82, body_fat: 24, waist: null },
+    { id: 2, customer_id: 3, recorded_at: new Date('2025-05-01T06:00:00.000Z'), weight: 79.5, body_fat: null, waist: 90 },
+    { id: 3, customer_id: 3, recorded_at: new Date('2025-06-01T06:00:00.000Z'), weight: 78, body_fat: 21.5, waist: 88 },
+  ];
+
+  test('should record measurements taken by the staff member', async () => {
+    prisma.customer.findFirst.mockResolvedValue(customer);
+    prisma.measurement.create.mockImplementation(({ data }) => Promise.resolve({ id: 9, ...data }));
+
+    const res = await request(app)
+      .post('/measurements/gym1')
+      .set('Authorization', staffAuthHeader('receptionist'))
+      .send({ weight: '78.4', waist: 88, notes: ' After Diwali ' });
+
+    expect(res.statusCode).toBe(201);
+    expect(prisma.measurement.create).toHaveBeenCalledWith({
+      data: {
+        weight: 78.4, body_fat: null, chest: null, waist: 88, hips: null, arms: null, thighs: null,
+        notes: 'After Diwali', customer_id: 3, staff_id: 5,
+      },
+    });
+    expect(prisma.audit_log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ entity_type: 'measurement', entity_id: 9, action: 'create' }),
+    });
+  });
+
+  test('should reject implausible or missing measurements', async () => {
+    const implausible = await request(app)
+      .post('/measurements/gym1')
+      .set('Authorization', authHeader())
+      .send({ weight: 900 });
+    const empty = await request(app)
+      .post('/measurements/gym1')
+      .set('Authorization', authHeader())
+      .send({});
+
+    expect(implausible.statusCode).toBe(400);
+    expect(implausible.body.errors[0].msg).toBe('Weight must be between 10 and 400 kg');
+    expect(empty.statusCode).toBe(400);
+    expect(empty.body.error).toBe('Record at least one measurement');
+    expect(prisma.measurement.create).not.toHaveBeenCalled();
+  });
+
+  test('should compute the trend between dates', async () => {
+    prisma.customer.findFirst.mockResolvedValue(customer);
+    prisma.measurement.findMany.mockResolvedValue(entries);
+
+    const res = await request(app)
+      .get('/measurements/gym1/trend')
+      .query({ from: '2025-04-01', to: '2025-06-30' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.fields.weight).toEqual(expect.objectContaining({ first: 82, last: 78, change: -4, change_percent: -4.9 }));
+    expect(res.body.fields.waist.change).toBe(-2);
+    expect(prisma.measurement.findMany).toHaveBeenCalledWith({
+      where: {
+        customer_id: 3,
+        recorded_at: {
+          gte: new Date('2025-04-01T00:00:00.000+05:30'),
+          lte: new Date('2025-06-30T23:59:59.999+05:30'),
+        },
+      },
+      orderBy: { recorded_at: 'asc' },
+    });
+  });
+
+  test('should send the progress summary on WhatsApp', async () => {
+    prisma.customer.findFirst.mockResolvedValue(customer);
+    prisma.measurement.findMany.mockResolvedValue(entries);
+    prisma.gym_owner.findUnique.mockResolvedValue({ gym_name: 'Iron Gym', phone_number: '9999999999' });
+
+    const res = await request(app)
+      .post('/measurements/gym1/send_progress')
+      .set('Authorization', authHeader())
+      .send({});
+
+    expect(res.statusCode).toBe(200);
+    const [to, { text }] = getWhatsAppClient().sendMessage.mock.calls[0];
+    expect(to).toBe('911234567890@s.whatsapp.net');
+    expect(text).toContain('WEIGHT : 82 to 78 kg (-4 kg)');
+    expect(text).toContain('BODY FAT : 24 to 21.5 % (-2.5 %)');
+  });
+
+  test('should only delete measurements of the gym owner\'s customers', async () => {
+    prisma.measurement.findFirst.mockResolvedValue(null);
+
+    const res = await request(app)
+      .delete('/measurements/gym1/4')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(404);
+    expect(prisma.measurement.findFirst).toHaveBeenCalledWith({
+      where: { id: 4, customer: { gym_owner_id: 1, gym_id: 'gym1' } },
+    });
+    expect(prisma.measurement.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe('trainers and personal training', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    prisma.$queryRaw.mockReset();
+    prisma.pt_session.count.mockReset();
+    prisma.membership.findFirst.mockReset();
+    prisma.membership.groupBy.mockReset();
+    prisma.customer.findMany.mockReset();
+    prisma.trainer.findFirst.mockReset();
+    prisma.trainer.findMany.mockReset();
+  });
+
+  const trainer = { id: 7, gym_owner_id: 1, name: 'Ravi', phone_number: '9876543210', commission_rate: 20, active: true };
+  const ptMembership = {
+    id: 11,
+    customer_id: 3,
+    personal_training: true,
+    trainer_id: 7,
+    pt_session_allowance: 12,
+    _count: { pt_sessions: 4 },
+  };
+
+  test('should only let owners and managers add trainers', async () => {
+    prisma.trainer.create.mockImplementation(({ data }) => Promise.resolve({ id: 7, ...data }));
+
+    const denied = await request(app)
+      .post('/trainers')
+      .set('Authorization', staffAuthHeader('receptionist'))
+      .send({ name: 'Ravi', phone_number: '9876543210' });
+    const res = await request(app)
+      .post('/trainers')
+      .set('Authorization', staffAuthHeader('manager'))
+      .send({ name: 'Ravi', phone_number: '9876543210', commission_rate: '20' });
+
+    expect(denied.statusCode).toBe(403);
+    expect(res.statusCode).toBe(201);
+    expect(prisma.trainer.create).toHaveBeenCalledTimes(1);
+    expect(prisma.trainer.create).toHaveBeenCalledWith({
+      data: { gym_owner_id: 1, name: 'Ravi', phone_number: '9876543210', commission_rate: 20 },
+    });
+  });
+
+  test('should assign a PT membership to a trainer with a session allowance', async () => {
+    prisma.membership.findFirst.mockResolvedValue({ ...ptMembership, trainer_id: null, pt_session_allowance: null });
+    prisma.trainer.findFirst.mockResolvedValue(trainer);
+    prisma.membership.update.mockImplementation(({ data }) => Promise.resolve({ ...ptMembership, ...data }));
+
+    const res = await request(app)
+      .put('/transactions/11/trainer')
+      .set('Authorization', authHeader())
+      .send({ trainer_id: 7, pt_session_allowance: 12 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({ trainer_id: 7, sessions_allowed: 12, sessions_used: 4, sessions_remaining: 8 }));
+    expect(prisma.trainer.findFirst).toHaveBeenCalledWith({ where: { id: 7, gym_owner_id: 1, active: true } });
+    expect(prisma.audit_log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        entity_type: 'membership',
+        action: 'assign_trainer',
+        before: { trainer_id: null, pt_session_allowance: null },
+        after: { trainer_id: 7, pt_session_allowance: 12 },
+      }),
+    });
+  });
+
+  test('should not assign memberships without personal training', async () => {
+    prisma.membership.findFirst.mockResolvedValue({ ...ptMembership, personal_training: false });
+
+    const res = await request(app)
+      .put('/transactions/11/trainer')
+      .set('Authorization', authHeader())
+      .send({ trainer_id: 7 });
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.membership.update).not.toHaveBeenCalled();
+  });
+
+  test('should log a session with the membership\'s trainer', async () => {
+    prisma.membership.findFirst.mockResolvedValue(ptMembership);
+    prisma.pt_session.count.mockResolvedValue(4);
+    prisma.trainer.findFirst.mockResolvedValue(trainer);
+    prisma.pt_session.create.mockImplementation(({ data }) => Promise.resolve({ id: 21, ...data }));
+
+    const res = await request(app)
+      .post('/pt_sessions')
+      .set('Authorization', staffAuthHeader('receptionist'))
+      .send({ transaction_id: 11, notes: 'Leg day' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual(expect.objectContaining({ sessions_used: 5, sessions_remaining: 7 }));
+    expect(prisma.pt_session.create).toHaveBeenCalledWith({
+      data: { membership_id: 11, customer_id: 3, trainer_id: 7, notes: 'Leg day', staff_id: 5 },
+    });
+    expect(prisma.audit_log.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ entity_type: 'pt_session', entity_id: 21, action: 'create' }),
+    });
+    // The membership row is locked before the sessions are counted
+    const [sql, membershipId] = prisma.$queryRaw.mock.calls[0];
+    expect(sql.join('?')).toContain('FOR UPDATE');
+    expect(membershipId).toBe(11);
+    expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(prisma.pt_session.count.mock.invocationCallOrder[0]);
+  });
+
+  test('should refuse sessions once the allowance is used up', async () => {
+    prisma.membership.findFirst.mockResolvedValue(ptMembership);
+    prisma.pt_session.count.mockResolvedValue(12);
+    prisma.trainer.findFirst.mockResolvedValue(trainer);
+
+    const res = await request(app)
+      .post('/pt_sessions')
+      .set('Authorization', authHeader())
+      .send({ transaction_id: 11 });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('All 12 sessions of this membership have been used');
+    expect(prisma.pt_session.create).not.toHaveBeenCalled();
+  });
+
+  test('should list the trainer\'s active members whose current membership is theirs', async () => {
+    prisma.trainer.findFirst.mockResolvedValue(trainer);
+    prisma.customer.findMany.mockResolvedValue([
+      { gym_id: 'gym1', name: 'Asha', phone_number: '9000000001', end_date: null, memberships: [ptMembership] },
+      { gym_id: 'gym2', name: 'Bala', phone_number: '9000000002', end_date: null, memberships: [{ id: 12, trainer_id: null }] },
+    ]);
+
+    const res = await request(app)
+      .get('/trainers/7/members')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.members).toEqual([
+      expect.objectContaining({ gym_id: 'gym1', transaction_id: 11, sessions_used: 4, sessions_remaining: 8 }),
+    ]);
+  });
+
+  test('should report trainer commissions on PT amounts before GST', async () => {
+    prisma.trainer.findMany.mockResolvedValue([trainer]);
+    prisma.membership.groupBy.mockResolvedValue([
+      { trainer_id: 7, _sum: { amount: 11800, tax_amount: 1800 }, _count: { _all: 2 } },
+    ]);
+    prisma.pt_session.groupBy.mockResolvedValue([{ trainer_id: 7, _count: { _all: 15 } }]);
+
+    const res = await request(app)
+      .get('/trainer_commissions')
+      .query({ from: '2025-04-01', to: '2025-04-30' })
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.trainers).toEqual([
+      { trainer_id: 7, name: 'Ravi', commission_rate: 20, pt_memberships: 2, pt_revenue: 10000, sessions: 15, commission: 2000 },
+    ]);
+    expect(prisma.membership.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        customer: { gym_owner_id: 1 },
+        personal_training: true,
+        trainer_id: { not: null },
+        bill_date: {
+          gte: new Date('2025-04-01T00:00:00.000+05:30'),
+          lte: new Date('2025-04-30T23:59:59.999+05:30'),
+        },
+      },
+    }));
+  });
+
+  test('should reject a non-numeric trainer id when deactivating', async () => {
+    const res = await request(app)
+      .delete('/trainers/abc')
+      .set('Authorization', authHeader());
+
+    expect(res.statusCode).toBe(400);
+    expect(prisma.trainer.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('reminder settings', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should store flags sent as strings as booleans', async () => {
+    prisma.reminder_setting.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+
+    const res = await request(app)
+      .put('/reminder_settings')
+      .set('Authorization', authHeader())
+      .send({ enabled: 'false', send_on_day: 'true' });
+
+    expect(res.statusCode).toBe(200);
+    expect(prisma.reminder_setting.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      update: expect.objectContaining({ enabled: false, send_on_day: true }),
+    }));
+    expect(res.body.enabled).toBe(false);
+  });
+});
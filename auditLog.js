@@ -0,0 +1,55 @@
+// auditLog.js
+
+/**
+ * Describes who made a change, from req.user. Background jobs pass no user and are recorded as "system".
+ */
+export function auditActor(user) {
+  if (!user) {
+    return { actor_staff_id: null, actor_role: 'system' };
+  }
+  return { actor_staff_id: user.staff_id || null, actor_role: user.role };
+}
+
+// Json columns only take plain JSON, so Dates become ISO strings.
+// Prisma rejects a bare null for Json fields, undefined leaves the column NULL.
+function toJson(value) {
+  return value == null ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Returns only the fields of `after` whose values differ from `before`, as { before, after }.
+ */
+export function changedFields(before, after) {
+  const changes = { before: {}, after: {} };
+  Object.keys(after).forEach((field) => {
+    if (after[field] === undefined) {
+      return;
+    }
+    const oldValue = toJson(before[field]) ?? null;
+    const newValue = toJson(after[field]) ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.before[field] = oldValue;
+      changes.after[field] = newValue;
+    }
+  });
+  return changes;
+}
+
+/**
+ * Appends an entry to the audit log. Pass the transaction client (`tx`) of the change being
+ * audited so the entry is only written if the change itself is committed.
+ */
+export function recordAudit(tx, { gym_owner_id, user, entity_type, entity_id, customer_id, action, before, after }) {
+  return tx.audit_log.create({
+    data: {
+      gym_owner_id: Number(gym_owner_id),
+      entity_type,
+      entity_id,
+      customer_id,
+      action,
+      before: toJson(before),
+      after: toJson(after),
+      ...auditActor(user),
+    },
+  });
+}
@@ -0,0 +1,117 @@
+// authTokens.js
+import { randomBytes, randomUUID } from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_SECONDS = Number(process.env.REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60; // 30 days
+
+/**
+ * Returns the Redis key suffix identifying who a session belongs to:
+ * the gym owner id for owners, "staff:<staff_id>" for staff members.
+ */
+function principalKey(gym_owner_id, staff_id) {
+  return staff_id ? `staff:${staff_id}` : String(gym_owner_id);
+}
+
+/**
+ * Issues a short-lived access token and a refresh token for the gym owner, or for one of
+ * their staff members when `staff` ({ staff_id, role }) is given.
+ * Refresh tokens are opaque and stored in Redis, tracked per user so they can all be revoked at once.
+ */
+export async function issueTokens(redisClient, gym_owner_id, staff = null) {
+  const claims = staff
+    ? { id: gym_owner_id, staff_id: staff.staff_id, role: staff.role }
+    : { id: gym_owner_id };
+  const token = jwt.sign({ ...claims, jti: randomUUID() }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  });
+
+  const principal = principalKey(gym_owner_id, staff?.staff_id);
+  const session = staff ? JSON.stringify({ id: gym_owner_id, staff_id: staff.staff_id }) : String(gym_owner_id);
+  const refresh_token = randomBytes(32).toString('hex');
+  await redisClient.set(`refresh:${refresh_token}`, session, { EX: REFRESH_TOKEN_TTL_SECONDS });
+  await redisClient.sAdd(`refresh_tokens:${principal}`, refresh_token);
+  await redisClient.expire(`refresh_tokens:${principal}`, REFRESH_TOKEN_TTL_SECONDS);
+
+  return { token, refresh_token, expires_in: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+/**
+ * Parses a stored refresh token value into { id, staff_id }.
+ */
+function parseSession(raw) {
+  const session = JSON.parse(raw);
+  return typeof session === 'number' ? { id: session, staff_id: null } : session;
+}
+
+/**
+ * Consumes a refresh token so it can only be used once, and resolves to the session it belonged to
+ * ({ id, staff_id }), or null if it is unknown, expired or revoked. The caller issues the new token pair.
+ */
+export async function consumeRefreshToken(redisClient, refresh_token) {
+  const raw = await redisClient.getDel(`refresh:${refresh_token}`);
+  if (!raw) {
+    return null;
+  }
+  const session = parseSession(raw);
+  await redisClient.sRem(`refresh_tokens:${principalKey(session.id, session.staff_id)}`, refresh_token);
+  return session;
+}
+
+/**
+ * Revokes a single refresh token, if it belongs to the given user ({ id, staff_id }).
+ */
+export async function revokeRefreshToken(redisClient, user, refresh_token) {
+  const raw = await redisClient.get(`refresh:${refresh_token}`);
+  if (!raw) {
+    return;
+  }
+  const session = parseSession(raw);
+  const principal = principalKey(user.id, user.staff_id);
+  if (principalKey(session.id, session.staff_id) !== principal) {
+    return;
+  }
+  await redisClient.del(`refresh:${refresh_token}`);
+  await redisClient.sRem(`refresh_tokens:${principal}`, refresh_token);
+}
+
+/**
+ * Revokes a single access token until it would have expired anyway.
+ */
+export async function revokeAccessToken(redisClient, decoded) {
+  const remainingSeconds = decoded.exp - Math.floor(Date.now() / 1000);
+  if (!decoded.jti || remainingSeconds <= 0) {
+    return;
+  }
+  await redisClient.set(`revoked:${decoded.jti}`, '1', { EX: remainingSeconds });
+}
+
+/**
+ * Logs a user out of every device: deletes all their refresh tokens and rejects every
+ * access token issued to them before now. Pass `staff_id` to target a staff member
+ * instead of the gym owner.
+ */
+export async function revokeAllSessions(redisClient, gym_owner_id, staff_id = null) {
+  const principal = principalKey(gym_owner_id, staff_id);
+  const refreshTokens = await redisClient.sMembers(`refresh_tokens:${principal}`);
+  if (refreshTokens.length > 0) {
+    await redisClient.del(refreshTokens.map((refresh_token) => `refresh:${refresh_token}`));
+  }
+  await redisClient.del(`refresh_tokens:${principal}`);
+  await redisClient.set(`sessions_valid_after:${principal}`, String(Math.floor(Date.now() / 1000)), {
+    EX: ACCESS_TOKEN_TTL_SECONDS,
+  });
+}
+
+/**
+ * Returns true if the decoded access token was revoked on its own or by revokeAllSessions.
+ * `iat` only has whole seconds, so a token issued in the same second as the logout is
+ * treated as issued before it.
+ */
+export async function isAccessTokenRevoked(redisClient, decoded) {
+  if (decoded.jti && (await redisClient.get(`revoked:${decoded.jti}`))) {
+    return true;
+  }
+  const validAfter = await redisClient.get(`sessions_valid_after:${principalKey(decoded.id, decoded.staff_id)}`);
+  return !!validAfter && decoded.iat <= Number(validAfter);
+}
@@ -0,0 +1,87 @@
+// customerListing.js
+// Query options of GET /customers, the paginated customer listing: filters, sort order and page.
+// workout_type and personal_training are those of the customer's latest membership.
+
+export const CUSTOMER_SORTS = ['name', 'gym_id', 'end_date', 'balance_due'];
+export const SORT_ORDERS = ['asc', 'desc'];
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Reads a true/false query option, null when absent. Returns undefined when it is neither.
+ */
+function booleanOption(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return undefined;
+}
+
+/**
+ * Reads a positive whole number query option, `fallback` when absent. Returns NaN when invalid.
+ */
+function positiveInteger(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : NaN;
+}
+
+/**
+ * Validates the listing query string. `dayRange` turns a YYYY-MM-DD date into its { start, end }
+ * in the gym's timezone (or null). Returns { options } or { error }; filters that weren't asked
+ * for are null.
+ */
+export function parseCustomerListQuery(query, dayRange) {
+  const page = positiveInteger(query.page, 1);
+  const page_size = positiveInteger(query.page_size, DEFAULT_PAGE_SIZE);
+  if (Number.isNaN(page) || Number.isNaN(page_size) || page_size > MAX_PAGE_SIZE) {
+    return { error: `page must be at least 1 and page_size between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const sort = query.sort || 'name';
+  const order = query.order || (sort === 'name' || sort === 'gym_id' ? 'asc' : 'desc');
+  if (!CUSTOMER_SORTS.includes(sort) || !SORT_ORDERS.includes(order)) {
+    return { error: `sort must be one of ${CUSTOMER_SORTS.join(', ')} and order one of ${SORT_ORDERS.join(', ')}` };
+  }
+
+  let status = null;
+  if (query.status) {
+    if (query.status !== 'active' && query.status !== 'inactive') {
+      return { error: 'status must be active or inactive' };
+    }
+    status = query.status === 'active';
+  }
+
+  const has_dues = booleanOption(query.has_dues);
+  const personal_training = booleanOption(query.personal_training);
+  if (has_dues === undefined || personal_training === undefined) {
+    return { error: 'has_dues and personal_training must be true or false' };
+  }
+
+  const endFrom = query.end_from ? dayRange(query.end_from) : null;
+  const endTo = query.end_to ? dayRange(query.end_to) : null;
+  if ((query.end_from && !endFrom) || (query.end_to && !endTo)) {
+    return { error: 'end_from and end_to must be dates in YYYY-MM-DD format' };
+  }
+
+  return {
+    options: {
+      page,
+      page_size,
+      sort,
+      order,
+      status,
+      end_from: endFrom ? endFrom.start : null,
+      end_to: endTo ? endTo.end : null,
+      workout_type: query.workout_type || null,
+      has_dues,
+      personal_training,
+    },
+  };
+}
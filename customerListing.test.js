@@ -0,0 +1,40 @@
+import { parseCustomerListQuery } from './customerListing.js';
+
+const dayRange = (date) => (/^\d{4}-\d{2}-\d{2}$/.test(date)
+  ? { start: new Date(`${date}T00:00:00.000+05:30`), end: new Date(`${date}T23:59:59.999+05:30`) }
+  : null);
+
+describe('parseCustomerListQuery', () => {
+  test('defaults to the first page sorted by name without filters', () => {
+    expect(parseCustomerListQuery({}, dayRange)).toEqual({
+      options: {
+        page: 1, page_size: 50, sort: 'name', order: 'asc', status: null, end_from: null, end_to: null,
+        workout_type: null, has_dues: null, personal_training: null,
+      },
+    });
+  });
+
+  test('reads filters, covering whole days of the end_date range', () => {
+    const { options } = parseCustomerListQuery({
+      page: '3', page_size: '20', sort: 'end_date', status: 'inactive', end_from: '2025-04-01',
+      end_to: '2025-04-30', workout_type: 'cardio', has_dues: 'true', personal_training: 'false',
+    }, dayRange);
+
+    expect(options).toEqual({
+      page: 3, page_size: 20, sort: 'end_date', order: 'desc', status: false,
+      end_from: new Date('2025-04-01T00:00:00.000+05:30'), end_to: new Date('2025-04-30T23:59:59.999+05:30'),
+      workout_type: 'cardio', has_dues: true, personal_training: false,
+    });
+  });
+
+  test.each([
+    [{ page: '0' }],
+    [{ page_size: '500' }],
+    [{ sort: 'phone_number' }],
+    [{ status: 'frozen' }],
+    [{ has_dues: 'maybe' }],
+    [{ end_to: '30/04/2025' }],
+  ])('rejects %j', (query) => {
+    expect(parseCustomerListQuery(query, dayRange).error).toBeDefined();
+  });
+});
@@ -0,0 +1,39 @@
+// customerSearch.js
+// Search terms for GET /search, the type-ahead customer search. A query matches gym_ids it
+// starts, an exact id_card_number, phone numbers ending in its digits and names containing it
+// (or, through pg_trgm similarity, names close to it, for misspellings).
+
+export const MIN_SEARCH_LENGTH = 2;
+export const DEFAULT_SEARCH_LIMIT = 10;
+export const MAX_SEARCH_LIMIT = 25;
+
+// Phone number suffixes shorter than this match too many customers to be useful
+const MIN_PHONE_DIGITS = 3;
+
+/**
+ * Escapes the LIKE wildcards (%, _ and the escape character \) in `text`.
+ */
+export function escapeLike(text) {
+  return text.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Turns the search box text into the terms the search query uses, or null when it is too short.
+ * `digits` is only set when the text looks like (part of) a phone number.
+ */
+export function searchTerms(q) {
+  const text = (q || '').toString().trim().replace(/\s+/g, ' ');
+  if (text.length < MIN_SEARCH_LENGTH) {
+    return null;
+  }
+
+  let digits = null;
+  if (/^[+\d\s-]+$/.test(text)) {
+    digits = text.replace(/\D/g, '').replace(/^91(?=\d{10}$)/, '');
+    if (digits.length < MIN_PHONE_DIGITS) {
+      digits = null;
+    }
+  }
+
+  return { text, like: escapeLike(text), digits };
+}
@@ -0,0 +1,23 @@
+import { escapeLike, searchTerms } from './customerSearch.js';
+
+describe('searchTerms', () => {
+  test('needs at least two characters', () => {
+    expect(searchTerms(' r ')).toBeNull();
+    expect(searchTerms(undefined)).toBeNull();
+  });
+
+  test('only searches phone numbers for digit queries', () => {
+    expect(searchTerms('Ramesh')).toEqual({ text: 'Ramesh', like: 'Ramesh', digits: null });
+    expect(searchTerms('43210')).toEqual({ text: '43210', like: '43210', digits: '43210' });
+    expect(searchTerms('G1').digits).toBeNull();
+  });
+
+  test('drops the country code of a full phone number', () => {
+    expect(searchTerms('+91 98765 43210').digits).toBe('9876543210');
+  });
+
+  test('escapes LIKE wildcards', () => {
+    expect(escapeLike('50%_off\\')).toBe('50\\%\\_off\\\\');
+    expect(searchTerms('a_b').like).toBe('a\\_b');
+  });
+});
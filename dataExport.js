@@ -0,0 +1,293 @@
+// dataExport.js
+// CSV and XLSX exports for accountants. Rows are read from the database a page at a time and written
+// straight to the response, so an export never holds more than one page in memory. XLSX files are
+// written by hand (an uncompressed zip of SpreadsheetML parts), like the PDF receipts, so no
+// spreadsheet library is needed.
+
+import { once } from 'events';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Formats a date the way the WhatsApp messages do (dd/mm/yyyy), blank when missing.
+ */
+export function formatExportDate(date) {
+  return date ? new Date(date).toLocaleDateString('en-GB') : '';
+}
+
+/**
+ * Reads rows matching `args` from a Prisma model delegate in pages of `batchSize`, by ascending id.
+ */
+export async function* findInBatches(delegate, args, batchSize = 500) {
+  let cursor = null;
+  while (true) {
+    const rows = await delegate.findMany({
+      ...args,
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      ...(cursor === null ? {} : { skip: 1, cursor: { id: cursor } }),
+    });
+    if (rows.length > 0) {
+      yield rows;
+    }
+    if (rows.length < batchSize) {
+      return;
+    }
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Writes to `stream`, waiting for it to drain when its buffer is full.
+ */
+async function writeTo(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+// ----------------------
+// CSV
+// ----------------------
+
+/**
+ * Quotes a CSV field when needed. Text starting with =, +, - or @ is prefixed with ' so spreadsheet
+ * programs don't run it as a formula.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createCsvWriter(stream, columns) {
+  return {
+    async start() {
+      // The byte order mark makes Excel read the file as UTF-8
+      await writeTo(stream, `\ufeff${columns.map((column) => csvField(column.header)).join(',')}\r\n`);
+    },
+    async writeRow(values) {
+      await writeTo(stream, `${values.map(csvField).join(',')}\r\n`);
+    },
+    async end() {
+      stream.end();
+    },
+  };
+}
+
+// ----------------------
+// XLSX
+// ----------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Continues the CRC-32 `crc` (0 to start) over `buffer`.
+ */
+export function crc32(buffer, crc = 0) {
+  let c = ~crc >>> 0;
+  for (const byte of buffer) {
+    c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+// Entries carry a data descriptor (sizes and CRC after the data) and UTF-8 names
+const ZIP_FLAGS = 0x0808;
+// 1 January 1980, the earliest MS-DOS date
+const ZIP_DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+/**
+ * Writes a zip archive of stored (uncompressed) entries to `stream`, one entry at a time.
+ */
+function createZipWriter(stream) {
+  const entries = [];
+  let offset = 0;
+  let current = null;
+
+  const put = async (buffer) => {
+    offset += buffer.length;
+    await writeTo(stream, buffer);
+  };
+
+  return {
+    async startEntry(name) {
+      const nameBuffer = Buffer.from(name, 'utf8');
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(ZIP_FLAGS, 6);
+      header.writeUInt16LE(0, 8); // stored
+      header.writeUInt16LE(0, 10);
+      header.writeUInt16LE(ZIP_DOS_DATE, 12);
+      header.writeUInt16LE(nameBuffer.length, 26);
+
+      current = { nameBuffer, offset, crc: 0, size: 0 };
+      await put(Buffer.concat([header, nameBuffer]));
+    },
+    async write(text) {
+      const buffer = Buffer.from(text, 'utf8');
+      current.crc = crc32(buffer, current.crc);
+      current.size += buffer.length;
+      await put(buffer);
+    },
+    async endEntry() {
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(current.crc, 4);
+      descriptor.writeUInt32LE(current.size, 8);
+      descriptor.writeUInt32LE(current.size, 12);
+      await put(descriptor);
+      entries.push(current);
+      current = null;
+    },
+    async addEntry(name, text) {
+      await this.startEntry(name);
+      await this.write(text);
+      await this.endEntry();
+    },
+    async finish() {
+      const directoryOffset = offset;
+      for (const entry of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(ZIP_FLAGS, 8);
+        header.writeUInt16LE(0, 10);
+        header.writeUInt16LE(0, 12);
+        header.writeUInt16LE(ZIP_DOS_DATE, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.size, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.nameBuffer.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+        await put(Buffer.concat([header, entry.nameBuffer]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - directoryOffset, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+      await put(end);
+      stream.end();
+    },
+  };
+}
+
+/**
+ * Escapes text for XML, dropping control characters XML can't hold.
+ */
+function xmlText(value) {
+  return String(value)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+/**
+ * Spreadsheet column name of a zero-based index: 0 is A, 26 is AA.
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function xlsxRow(rowNumber, values) {
+  const cells = values.map((value, index) => {
+    const ref = `${columnName(index)}${rowNumber}`;
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+function createXlsxWriter(stream, columns, sheetName) {
+  const zip = createZipWriter(stream);
+  let rowNumber = 0;
+
+  return {
+    async start() {
+      await zip.addEntry('[Content_Types].xml', `${XML_HEADER}`
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>');
+      await zip.addEntry('_rels/.rels', `${XML_HEADER}`
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>');
+      await zip.addEntry('xl/workbook.xml', `${XML_HEADER}`
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+        + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${xmlText(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>');
+      await zip.addEntry('xl/_rels/workbook.xml.rels', `${XML_HEADER}`
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>');
+
+      await zip.startEntry('xl/worksheets/sheet1.xml');
+      await zip.write(`${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>`);
+      await this.writeRow(columns.map((column) => column.header));
+    },
+    async writeRow(values) {
+      rowNumber += 1;
+      await zip.write(xlsxRow(rowNumber, values));
+    },
+    async end() {
+      await zip.write('</sheetData></worksheet>');
+      await zip.endEntry();
+      await zip.finish();
+    },
+  };
+}
+
+/**
+ * Creates a writer for `format` ('csv' or 'xlsx') on `stream`. `columns` are `{ header, value }`
+ * pairs, `value(row)` giving the cell for a row. Call start(), writeRows() for each page, then end().
+ */
+export function createExportWriter(format, stream, { columns, sheetName = 'Sheet1' }) {
+  const writer = format === 'xlsx'
+    ? createXlsxWriter(stream, columns, sheetName)
+    : createCsvWriter(stream, columns);
+
+  return {
+    start: () => writer.start(),
+    async writeRows(rows) {
+      for (const row of rows) {
+        await writer.writeRow(columns.map((column) => column.value(row)));
+      }
+    },
+    end: () => writer.end(),
+  };
+}
@@ -0,0 +1,85 @@
+import { PassThrough } from 'stream';
+import { crc32, findInBatches, createExportWriter, formatExportDate } from './dataExport.js';
+
+/**
+ * Runs `write(writer)` against a writer on an in-memory stream and returns everything written.
+ */
+async function exportToBuffer(format, columns, write) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+  const writer = createExportWriter(format, stream, { columns, sheetName: 'Test' });
+  await writer.start();
+  await write(writer);
+  await writer.end();
+  return Buffer.concat(chunks);
+}
+
+const columns = [
+  { header: 'Name', value: (row) => row.name },
+  { header: 'Amount', value: (row) => row.amount },
+];
+
+describe('CSV export', () => {
+  test('quotes fields with commas, quotes and line breaks', async () => {
+    const csv = await exportToBuffer('csv', columns, (writer) => writer.writeRows([
+      { name: 'Doe, "Jo"\nJohn', amount: 10 },
+    ]));
+
+    expect(csv.toString('utf8')).toBe('\ufeffName,Amount\r\n"Doe, ""Jo""\nJohn",10\r\n');
+  });
+
+  test('keeps text that looks like a formula from running', async () => {
+    const csv = await exportToBuffer('csv', columns, (writer) => writer.writeRows([
+      { name: '=HYPERLINK("x")', amount: -5 },
+    ]));
+
+    expect(csv.toString('utf8').split('\r\n')[1]).toBe('"\'=HYPERLINK(""x"")",-5');
+  });
+
+  test('formats dates as dd/mm/yyyy', () => {
+    expect(formatExportDate(new Date('2025-04-30T00:00:00.000Z'))).toBe('30/04/2025');
+    expect(formatExportDate(null)).toBe('');
+  });
+});
+
+describe('XLSX export', () => {
+  test('writes a zip whose central directory lists every part', async () => {
+    const xlsx = await exportToBuffer('xlsx', columns, (writer) => writer.writeRows([
+      { name: 'A & B', amount: 1.5 },
+    ]));
+
+    expect(xlsx.readUInt32LE(0)).toBe(0x04034b50);
+    const end = xlsx.length - 22;
+    expect(xlsx.readUInt32LE(end)).toBe(0x06054b50);
+    expect(xlsx.readUInt16LE(end + 10)).toBe(5);
+    expect(xlsx.toString('utf8')).toContain(
+      '<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">A &amp; B</t></is></c><c r="B2"><v>1.5</v></c></row>',
+    );
+  });
+
+  test('computes standard CRC-32 checksums', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.from('6789'), crc32(Buffer.from('12345')))).toBe(0xcbf43926);
+  });
+});
+
+describe('findInBatches', () => {
+  test('pages through rows by id until a short page', async () => {
+    const delegate = {
+      findMany: jest.fn()
+        .mockResolvedValueOnce([{ id: 1 }, { id: 2 }])
+        .mockResolvedValueOnce([{ id: 5 }]),
+    };
+
+    const pages = [];
+    for await (const rows of findInBatches(delegate, { where: { gym_owner_id: 1 } }, 2)) {
+      pages.push(rows);
+    }
+
+    expect(pages).toEqual([[{ id: 1 }, { id: 2 }], [{ id: 5 }]]);
+    expect(delegate.findMany).toHaveBeenLastCalledWith({
+      where: { gym_owner_id: 1 }, orderBy: { id: 'asc' }, take: 2, skip: 1, cursor: { id: 2 },
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// discounts.js
+// Pricing of a membership payment: the list price (plan price, or the amount entered for a custom
+// membership) less any discount given at the counter, a coupon and the customer's referral credit.
+
+export const COUPON_DISCOUNT_TYPES = ['percent', 'flat'];
+
+/**
+ * Rounds an amount of money to paise.
+ */
+export function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Coupon codes are matched case-insensitively, they are stored upper-cased.
+ */
+export function normalizeCouponCode(code) {
+  return code.toString().trim().toUpperCase();
+}
+
+/**
+ * Returns why the coupon can't be used at `now`, or null when it can.
+ */
+export function couponProblem(coupon, now = new Date()) {
+  if (!coupon || !coupon.active) {
+    return 'Invalid coupon code';
+  }
+  if (coupon.valid_from && now < new Date(coupon.valid_from)) {
+    return 'Coupon is not valid yet';
+  }
+  if (coupon.valid_until && now > new Date(coupon.valid_until)) {
+    return 'Coupon has expired';
+  }
+  if (coupon.max_uses !== null && coupon.max_uses !== undefined && coupon.used_count >= coupon.max_uses) {
+    return 'Coupon usage limit reached';
+  }
+  return null;
+}
+
+/**
+ * Discount the coupon gives on `amount`, never more than the amount itself.
+ */
+export function couponDiscount(coupon, amount) {
+  const discount = coupon.discount_type === 'percent'
+    ? (amount * coupon.discount_value) / 100
+    : coupon.discount_value;
+  return roundMoney(Math.min(Math.max(discount, 0), amount));
+}
+
+/**
+ * Applies a coupon and then referral credit to resolved membership terms.
+ * Returns the terms with `amount` (net) and `discount` (list_price - net) updated,
+ * plus coupon_id, coupon_discount and credit_applied.
+ */
+export function applyDiscounts(terms, { coupon = null, credit = 0 } = {}) {
+  const coupon_discount = coupon ? couponDiscount(coupon, terms.amount) : 0;
+  const afterCoupon = terms.amount - coupon_discount;
+  const credit_applied = roundMoney(Math.min(Math.max(credit || 0, 0), afterCoupon));
+  const amount = roundMoney(afterCoupon - credit_applied);
+
+  return {
+    ...terms,
+    coupon_id: coupon ? coupon.id : null,
+    coupon_discount,
+    credit_applied,
+    amount,
+    discount: roundMoney(terms.list_price - amount),
+  };
+}
+
+/**
+ * Counts one use of the coupon inside the payment's transaction. Throws a 409 error when
+ * another payment took the last use since the coupon was checked.
+ */
+export async function redeemCoupon(tx, coupon) {
+  const { count } = await tx.coupon.updateMany({
+    where: {
+      id: coupon.id,
+      ...(coupon.max_uses !== null && coupon.max_uses !== undefined ? { used_count: { lt: coupon.max_uses } } : {}),
+    },
+    data: { used_count: { increment: 1 } },
+  });
+  if (count === 0) {
+    const error = new Error('Coupon usage limit reached');
+    error.status = 409;
+    throw error;
+  }
+}
+
+/**
+ * Takes `amount` off a customer's referral credit inside the transaction `tx`, only if they still
+ * have that much, so two memberships sold at once can't both spend the same credit.
+ */
+export async function spendReferralCredit(tx, customer_id, amount) {
+  const { count } = await tx.customer.updateMany({
+    where: { id: customer_id, referral_credit: { gte: amount } },
+    data: { referral_credit: { decrement: amount } },
+  });
+  if (count === 0) {
+    const error = new Error('Referral credit has already been used, please try again');
+    error.status = 409;
+    throw error;
+  }
+}
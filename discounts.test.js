@@ -0,0 +1,106 @@
+import {
+  normalizeCouponCode,
+  couponProblem,
+  couponDiscount,
+  applyDiscounts,
+  redeemCoupon,
+  spendReferralCredit,
+} from './discounts.js';
+
+describe('couponProblem', () => {
+  const now = new Date('2025-04-10T00:00:00.000Z');
+  const coupon = {
+    id: 1, code: 'DIWALI20', discount_type: 'percent', discount_value: 20, active: true,
+    valid_from: new Date('2025-04-01T00:00:00.000Z'), valid_until: new Date('2025-04-30T00:00:00.000Z'),
+    max_uses: 10, used_count: 3,
+  };
+
+  test('accepts a coupon inside its window with uses left', () => {
+    expect(couponProblem(coupon, now)).toBeNull();
+  });
+
+  test('rejects missing, inactive, early, expired and used-up coupons', () => {
+    expect(couponProblem(null, now)).toBe('Invalid coupon code');
+    expect(couponProblem({ ...coupon, active: false }, now)).toBe('Invalid coupon code');
+    expect(couponProblem(coupon, new Date('2025-03-31T00:00:00.000Z'))).toBe('Coupon is not valid yet');
+    expect(couponProblem(coupon, new Date('2025-05-01T00:00:00.000Z'))).toBe('Coupon has expired');
+    expect(couponProblem({ ...coupon, used_count: 10 }, now)).toBe('Coupon usage limit reached');
+  });
+
+  test('treats a null max_uses as unlimited', () => {
+    expect(couponProblem({ ...coupon, max_uses: null, used_count: 1000 }, now)).toBeNull();
+  });
+});
+
+describe('couponDiscount', () => {
+  test('takes a percentage of the amount', () => {
+    expect(couponDiscount({ discount_type: 'percent', discount_value: 15 }, 2000)).toBe(300);
+  });
+
+  test('never discounts more than the amount', () => {
+    expect(couponDiscount({ discount_type: 'flat', discount_value: 500 }, 300)).toBe(300);
+  });
+});
+
+describe('applyDiscounts', () => {
+  const terms = { plan_id: 7, list_price: 2400, discount: 400, amount: 2000 };
+
+  test('applies the coupon before the referral credit', () => {
+    const priced = applyDiscounts(terms, {
+      coupon: { id: 3, discount_type: 'percent', discount_value: 10 },
+      credit: 500,
+    });
+
+    expect(priced).toEqual(expect.objectContaining({
+      coupon_id: 3, coupon_discount: 200, credit_applied: 500, amount: 1300, discount: 1100,
+    }));
+  });
+
+  test('uses only as much credit as the payment needs', () => {
+    const priced = applyDiscounts(terms, { credit: 5000 });
+
+    expect(priced).toEqual(expect.objectContaining({ coupon_id: null, credit_applied: 2000, amount: 0, discount: 2400 }));
+  });
+});
+
+describe('redeemCoupon', () => {
+  test('only counts a use while uses are left', async () => {
+    const tx = { coupon: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) } };
+
+    await redeemCoupon(tx, { id: 3, max_uses: 10 });
+
+    expect(tx.coupon.updateMany).toHaveBeenCalledWith({
+      where: { id: 3, used_count: { lt: 10 } },
+      data: { used_count: { increment: 1 } },
+    });
+  });
+
+  test('throws a 409 when the last use was taken meanwhile', async () => {
+    const tx = { coupon: { updateMany: jest.fn().mockResolvedValue({ count: 0 }) } };
+
+    await expect(redeemCoupon(tx, { id: 3, max_uses: 10 })).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+test('normalizeCouponCode upper-cases and trims', () => {
+  expect(normalizeCouponCode(' diwali20 ')).toBe('DIWALI20');
+});
+
+describe('spendReferralCredit', () => {
+  test('only takes the credit off while the customer still has it', async () => {
+    const tx = { customer: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) } };
+
+    await spendReferralCredit(tx, 4, 250);
+
+    expect(tx.customer.updateMany).toHaveBeenCalledWith({
+      where: { id: 4, referral_credit: { gte: 250 } },
+      data: { referral_credit: { decrement: 250 } },
+    });
+  });
+
+  test('throws a 409 when the credit was spent meanwhile', async () => {
+    const tx = { customer: { updateMany: jest.fn().mockResolvedValue({ count: 0 }) } };
+
+    await expect(spendReferralCredit(tx, 4, 250)).rejects.toMatchObject({ status: 409 });
+  });
+});
@@ -0,0 +1,55 @@
+// freezes.js
+// A freeze pauses a membership for a window of days: the member counts as neither active nor expiring
+// meanwhile, and customer.end_date is pushed out by the frozen days.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Freeze limits for memberships sold without a plan
+export const DEFAULT_FREEZE_RULES = { max_freezes: 1, max_freeze_days: 30 };
+
+/**
+ * Freeze limits of a membership: those of its plan, or the defaults for a custom membership.
+ */
+export function freezeRules(plan) {
+  if (!plan) {
+    return DEFAULT_FREEZE_RULES;
+  }
+  return { max_freezes: plan.max_freezes, max_freeze_days: plan.max_freeze_days };
+}
+
+/**
+ * Returns a new Date that is `days` days after `date` (before it when negative).
+ */
+export function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+/**
+ * Days a freeze extends the membership by. A part day counts as a whole one.
+ */
+export function frozenDays(freeze) {
+  const ms = new Date(freeze.end_date) - new Date(freeze.start_date);
+  return Math.max(0, Math.ceil(ms / DAY_MS));
+}
+
+/**
+ * Prisma filter matching freezes that cover the instant `at`.
+ */
+export function frozenAt(at) {
+  return { start_date: { lte: at }, end_date: { gt: at } };
+}
+
+/**
+ * Returns why another freeze of `days` days can't be added to a membership that already has
+ * `existingFreezes`, or null when it can.
+ */
+export function freezeProblem(rules, existingFreezes, days) {
+  if (existingFreezes.length >= rules.max_freezes) {
+    return `This membership can only be frozen ${rules.max_freezes} time(s)`;
+  }
+  const used = existingFreezes.reduce((sum, freeze) => sum + frozenDays(freeze), 0);
+  if (used + days > rules.max_freeze_days) {
+    return `This membership can be frozen for ${rules.max_freeze_days} days in total, ${Math.max(0, rules.max_freeze_days - used)} left`;
+  }
+  return null;
+}
@@ -0,0 +1,37 @@
+import { DEFAULT_FREEZE_RULES, freezeRules, frozenDays, freezeProblem } from './freezes.js';
+
+describe('frozenDays', () => {
+  test('counts a part day as a whole one', () => {
+    expect(frozenDays({
+      start_date: new Date('2025-04-01T10:00:00.000Z'),
+      end_date: new Date('2025-04-03T11:00:00.000Z'),
+    })).toBe(3);
+  });
+
+  test('is zero for a freeze cancelled before it started', () => {
+    const start = new Date('2025-04-01T00:00:00.000Z');
+    expect(frozenDays({ start_date: start, end_date: start })).toBe(0);
+  });
+});
+
+describe('freezeProblem', () => {
+  const earlier = { start_date: new Date('2025-04-01T00:00:00.000Z'), end_date: new Date('2025-04-11T00:00:00.000Z') };
+
+  test('uses the defaults for memberships without a plan', () => {
+    expect(freezeRules(null)).toBe(DEFAULT_FREEZE_RULES);
+  });
+
+  test('allows a freeze within the limits', () => {
+    expect(freezeProblem({ max_freezes: 2, max_freeze_days: 30 }, [earlier], 20)).toBeNull();
+  });
+
+  test('rejects a freeze over the number of freezes allowed', () => {
+    expect(freezeProblem({ max_freezes: 1, max_freeze_days: 30 }, [earlier], 5))
+      .toBe('This membership can only be frozen 1 time(s)');
+  });
+
+  test('rejects a freeze over the total days allowed', () => {
+    expect(freezeProblem({ max_freezes: 2, max_freeze_days: 30 }, [earlier], 21))
+      .toBe('This membership can be frozen for 30 days in total, 20 left');
+  });
+});
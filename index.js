@@ -2,10 +2,80 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import jwt from 'jsonwebtoken';
 import rateLimit from 'express-rate-limit';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { createClient } from 'redis';
 import cors from 'cors';
 import { initializeWhatsAppClient, getWhatsAppClient } from './whatsappClient.js';
+import { startMembershipExpiryJob, getLastExpiryRun } from './membershipExpiry.js';
+import {
+  findCustomersEndingBetween,
+  resolveReminderSettings,
+  startMembershipReminderJob,
+  getLastReminderRun,
+} from './membershipReminders.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+import {
+  issueTokens,
+  consumeRefreshToken,
+  revokeAccessToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  isAccessTokenRevoked,
+} from './authTokens.js';
+import { STAFF_ROLES, requirePermission } from './permissions.js';
+import { recordAudit, changedFields } from './auditLog.js';
+import {
+  findOwnedCustomer,
+  findOwnedCustomerByIdCard,
+  findOwnedMembership,
+  findOwnedPlan,
+  findTakenGymIds,
+} from './ownership.js';
+import {
+  COUPON_DISCOUNT_TYPES,
+  normalizeCouponCode,
+  couponProblem,
+  applyDiscounts,
+  redeemCoupon,
+  spendReferralCredit,
+  roundMoney,
+} from './discounts.js';
+import { freezeRules, addDays, frozenDays, frozenAt, freezeProblem } from './freezes.js';
+import { nextInvoiceNumber } from './invoices.js';
+import { GSTIN_PATTERN, resolveTaxSettings, splitTax, applyTax, taxFromMembership } from './tax.js';
+import { receiptFromMembership, renderReceiptPdf, receiptFileName } from './receiptPdf.js';
+import { parseMemberImport, flagTakenGymIds } from './memberImport.js';
+import { parseCustomerListQuery } from './customerListing.js';
+import { MEASUREMENT_FIELDS, measurementTrend, progressMessage } from './measurements.js';
+import { sessionBalance, trainerCommissions } from './trainers.js';
+import { GENDERS, PROFILE_FIELDS, MAX_BIRTHDAY_DAYS, upcomingBirthdayKeys, nextBirthday } from './memberProfile.js';
+import {
+  PHOTO_CONTENT_TYPES,
+  MAX_PHOTO_BYTES,
+  detectPhotoType,
+  photoKey,
+  photoContentType,
+  getPhotoStorage,
+} from './photoStorage.js';
+import { MIN_SEARCH_LENGTH, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT, searchTerms } from './customerSearch.js';
+import {
+  ANALYTICS_GRANULARITIES,
+  GYM_TIMEZONE,
+  previousPeriod,
+  compareTotals,
+  summarizeRevenue,
+  withPreviousBreakdowns,
+} from './revenueAnalytics.js';
+import {
+  DEFAULT_RENEWAL_DAYS,
+  MAX_RENEWAL_DAYS,
+  COHORT_MONTHS,
+  renewalSummary,
+  monthlyChurn,
+  averageLifetime,
+  cohortRetention,
+} from './retentionAnalytics.js';
+import { EXPORT_FORMATS, EXPORT_CONTENT_TYPES, formatExportDate, findInBatches, createExportWriter } from './dataExport.js';
 // At the top of your entry file (index.js)
 import dotenv from 'dotenv';
 dotenv.config();
@@ -26,7 +96,7 @@ app.use(express.json());
 // Set trust proxy to 1 (assuming a single proxy/load balancer)
 app.set('trust proxy', 1);
 
-// Authentication middleware to verify JWT and attach gym_owner id to req.user
+// Authentication middleware to verify JWT and attach gym_owner id (and staff member, if any) to req.user
 function authenticateJWT(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader) {
@@ -34,197 +104,402 @@ function authenticateJWT(req, res, next) {
   }
   // Expected format: "Bearer <token>"
   const token = authHeader.split(' ')[1];
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err || !decoded?.id) {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
+    // Tokens without an expiry were issued before access tokens became short-lived and are no longer accepted
+    if (err || !decoded?.id || !decoded.exp) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
-    req.user = { id: decoded.id };
+    try {
+      if (await isAccessTokenRevoked(redisClient, decoded)) {
+        return res.status(403).json({ error: 'Token has been revoked' });
+      }
+    } catch (error) {
+      console.error('Error checking token revocation', { error });
+      return res.status(503).json({ error: 'Unable to verify token, please try again' });
+    }
+    // Tokens issued to the gym owner carry no role, the owner always has full access
+    req.user = {
+      id: decoded.id,
+      staff_id: decoded.staff_id || null,
+      role: decoded.role || 'owner',
+      token: decoded,
+    };
     next();
   });
 }
 
-// Initialize WhatsApp client
-initializeWhatsAppClient()
-  .then(() => console.log("WhatsApp client is ready."))
-  .catch((error) => console.error("Failed to initialize WhatsApp client:", error));
+/**
+ * Generates a random 6 digit OTP.
+ */
+function generateOtp() {
+  return Math.floor(100000 + Math.random() * 900000).toString();
+}
 
 /**
- * POST /login
- * Public route for gym owners to obtain a JWT token.
+ * Maps a Prisma unique-constraint error on gym_owner to a readable message,
+ * or returns null for any other error.
  */
-app.post('/login', async (req, res) => {
-  const { phone_number, password } = req.body;
-  if (!phone_number || !password) {
-    return res.status(400).json({ error: 'Phone number and password are required' });
+function gymOwnerConflictMessage(error) {
+  if (error?.code !== 'P2002') {
+    return null;
   }
-  console.log('Login attempt with phone number:', phone_number);
-  // Find gym owner by phone number
-  const gymOwner = await prisma.gym_owner.findUnique({
-    where: { phone_number },
-  });
-
-  if (!gymOwner || gymOwner.password !== password) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  const target = [].concat(error.meta?.target || []).join(',');
+  if (target.includes('email')) {
+    return 'An account with this email already exists';
   }
+  if (target.includes('phone_number')) {
+    return 'An account with this phone number already exists';
+  }
+  return 'An account with these details already exists';
+}
 
-  // Create a JWT token (in production, consider adding expiration and hashing passwords)
-  const token = jwt.sign({ id: gymOwner.id }, process.env.JWT_SECRET);
-  return res.json({ success: true, token });
-});
+/**
+ * Returns a new Date that is `months` months after `date`.
+ */
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + Number(months));
+  return result;
+}
 
-// Apply JWT authentication middleware for all routes below
-app.use(authenticateJWT);
+/**
+ * Returns a new Date that is `duration` months (or days, for day-based plans) after `date`.
+ */
+function addDuration(date, duration, unit = 'months') {
+  if (unit === 'days') {
+    const result = new Date(date);
+    result.setDate(result.getDate() + Number(duration));
+    return result;
+  }
+  return addMonths(date, duration);
+}
 
 /**
- * Check if a gym ID already exists
- * @route GET /check_gym_id
- * @param {string} gym_id - The gym ID to check
- * @returns {object} Object with exists field indicating if ID exists
+ * Works out the duration, price and plan of a membership payment from the request body.
+ * With a plan_id the plan supplies everything; an explicit amount below the plan price is recorded
+ * as a discount. Without one, duration, amount, workout_type and personal_training are required.
+ * Resolves to { terms } or { status, error }.
  */
-app.get('/check_gym_id', async (req, res) => {
-  try {
-    const { gym_id } = req.query;
-    const gym_owner_id = req.user.id;
-    
-    if (!gym_id) {
-      return res.status(400).json({ error: 'Gym ID is required' });
+async function resolveMembershipTerms(gym_owner_id, { plan_id, duration, amount, workout_type, personal_training }) {
+  const amountGiven = amount !== undefined && amount !== null && amount !== '';
+
+  if (plan_id === undefined || plan_id === null || plan_id === '') {
+    if (!duration || !amountGiven || !workout_type || personal_training === undefined) {
+      return { status: 400, error: 'Missing required fields' };
     }
-    
-    // Only check if the ID exists, don't fetch the entire profile
-    const customerExists = await prisma.customer.findFirst({
-      where: {
-        gym_owner_id: Number(gym_owner_id),
-        gym_id: gym_id.toString(),
-      },
-      select: {
-        id: true, // Only select the ID field to minimize data transfer
+    return {
+      terms: {
+        plan_id: null,
+        duration: Number(duration),
+        duration_unit: 'months',
+        list_price: parseFloat(amount),
+        discount: 0,
+        amount: parseFloat(amount),
+        workout_type,
+        personal_training,
       },
-    });
-    
-    return res.status(200).json({ 
-      exists: !!customerExists,
-      message: customerExists 
-        ? 'This Gym ID already exists' 
-        : 'Gym ID is available'
-    });
-  } catch (error) {
-    console.error('Error checking gym ID:', error);
-    return res.status(500).json({ 
-      error: 'Failed to check gym ID',
-      details: error.message 
-    });
+    };
   }
-});
+
+  const plan = await findOwnedPlan(prisma, gym_owner_id, plan_id, { activeOnly: true });
+  if (!plan) {
+    return { status: 404, error: 'Plan not found' };
+  }
+
+  const paid = amountGiven ? parseFloat(amount) : plan.price;
+  if (Number.isNaN(paid) || paid < 0 || paid > plan.price) {
+    return { status: 400, error: `Amount must be between 0 and the plan price (${plan.price})` };
+  }
+
+  return {
+    terms: {
+      plan_id: plan.id,
+      duration: plan.duration,
+      duration_unit: plan.duration_unit,
+      list_price: plan.price,
+      discount: plan.price - paid,
+      amount: paid,
+      workout_type: plan.workout_type,
+      personal_training: plan.personal_training,
+    },
+  };
+}
 
 /**
- * POST /membership
- * Creates a membership transaction and updates or creates a customer record.
+ * Looks up a coupon code of the gym owner and checks it can be used now.
+ * Resolves to { coupon } (null without a code) or { status, error }.
  */
-app.post('/membership', async (req, res) => {
-  const {
-    gym_id,
-    phone_number,
-    name,
-    duration,
-    start_date,
-    payment_mode,
-    amount,
-    workout_type,
-    personal_training,
-    payment_details, // UPI/Card details
-    id_card_number, // Optional ID card number
-  } = req.body;
-  const gym_owner_id = req.user.id;
+async function resolveCoupon(gym_owner_id, coupon_code) {
+  if (!coupon_code) {
+    return { coupon: null };
+  }
 
-  if (
-    !gym_id ||
-    !phone_number ||
-    !name ||
-    !duration ||
-    !start_date ||
-    !payment_mode ||
-    !amount ||
-    !workout_type ||
-    personal_training === undefined
-  ) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  const coupon = await prisma.coupon.findFirst({
+    where: { gym_owner_id: Number(gym_owner_id), code: normalizeCouponCode(coupon_code) },
+  });
+  const problem = couponProblem(coupon);
+  if (problem) {
+    return { status: 400, error: problem };
   }
+  return { coupon };
+}
 
-  // Validate payment details if payment mode is not cash
-  if (payment_mode !== 'cash' && !payment_details) {
-    return res.status(400).json({ error: 'Payment details required for UPI/Card payments' });
+/**
+ * How much of a priced membership is paid up front: all of it unless the request gives a smaller amount_paid.
+ * Throws a 400 error when amount_paid is negative or more than the net amount.
+ */
+function amountPaidNow(priced, amount_paid) {
+  if (amount_paid === undefined || amount_paid === null || amount_paid === '') {
+    return priced.amount;
+  }
+  const paid = parseFloat(amount_paid);
+  if (Number.isNaN(paid) || paid < 0 || paid > priced.amount) {
+    const error = new Error(`Amount paid must be between 0 and the net amount (${priced.amount})`);
+    error.status = 400;
+    throw error;
   }
+  return paid;
+}
 
-  try {
-    // Find customer based on gym_id and gym_owner_id
-    let customer = await prisma.customer.findFirst({
-      where: {
-        gym_owner_id: Number(gym_owner_id),
-        gym_id: gym_id.toString(),
-      },
-    });
+/**
+ * Creates a membership transaction row with the next invoice number of the gym owner, and records
+ * the payment taken up front.
+ */
+async function createMembershipRecord(tx, gym_owner_id, customer_id, details, user) {
+  const membership = await tx.membership.create({
+    data: {
+      ...buildMembershipData(customer_id, details, user),
+      invoice_number: await nextInvoiceNumber(tx, gym_owner_id),
+    },
+  });
+  await recordInitialPayment(tx, membership, user);
+  return membership;
+}
 
-    if (customer) {
-      // If customer exists, we don't allow adding a new one with this gym_id
-      return res.status(400).json({ error: 'A customer with this Gym ID already exists' });
-    }
+/**
+ * Records the payment taken when a membership is sold, if anything was paid up front. It is paid
+ * now unless `paid_at` says otherwise.
+ */
+async function recordInitialPayment(tx, membership, user, { paid_at } = {}) {
+  if (!(membership.amount_paid > 0)) {
+    return null;
+  }
+  return tx.payment.create({
+    data: {
+      membership_id: membership.id,
+      staff_id: user.staff_id || null,
+      amount: membership.amount_paid,
+      payment_mode: membership.payment_mode,
+      payment_details: membership.payment_details || null,
+      ...(paid_at ? { paid_at } : {}),
+    },
+  });
+}
 
-    // Calculate new end_date based on start_date and duration (in months)
-    const newStartDate = new Date(start_date);
-    const newEndDate = new Date(new Date(start_date).setMonth(new Date(start_date).getMonth() + Number(duration)));
+/**
+ * Loads the gym owner's GST settings, merged over the defaults.
+ */
+async function loadTaxSettings(gym_owner_id) {
+  const setting = await prisma.tax_setting.findUnique({
+    where: { gym_owner_id: Number(gym_owner_id) },
+  });
+  return resolveTaxSettings(setting);
+}
 
-    // Get bill_date in Asia/Kolkata timezone
-    const bill_date = new Date(new Date().toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
+/**
+ * Applies `details.coupon`, referral credit and then GST (per `details.tax_settings`) to resolved membership terms.
+ */
+function priceMembership(details, { credit = 0 } = {}) {
+  return applyTax(applyDiscounts(details, { coupon: details.coupon, credit }), details.tax_settings);
+}
 
-    // Create new customer with active membership status
-    customer = await prisma.customer.create({
-      data: {
-        gym_owner_id: Number(gym_owner_id),
-        name,
-        phone_number,
-        status: true,
-        gym_id: gym_id.toString(),
-        end_date: newEndDate,
-        id_card_number: id_card_number || null, // Store ID card number if provided
-      },
-    });
+/**
+ * Builds the data of a membership transaction row from priced terms and payment details.
+ */
+function buildMembershipData(customer_id, details, user) {
+  return {
+    customer_id,
+    staff_id: user.staff_id || null, // Staff member who took the payment, null for the gym owner
+    plan_id: details.plan_id,
+    duration: details.duration,
+    duration_unit: details.duration_unit,
+    start_date: details.start_date,
+    bill_date: details.bill_date,
+    payment_mode: details.payment_mode,
+    payment_details: details.payment_details || null,
+    list_price: details.list_price,
+    discount: details.discount,
+    coupon_id: details.coupon_id,
+    coupon_discount: details.coupon_discount,
+    credit_applied: details.credit_applied,
+    gstin: details.gstin,
+    tax_rate: details.tax_rate,
+    taxable_value: details.taxable_value,
+    tax_amount: details.tax_amount,
+    cgst: details.cgst,
+    sgst: details.sgst,
+    amount: details.amount,
+    amount_paid: details.amount_paid,
+    workout_type: details.workout_type,
+    personal_training: details.personal_training,
+  };
+}
 
-    // Create membership transaction record with payment details
-    const membership = await prisma.membership.create({
-      data: {
-        customer_id: customer.id,
-        duration: Number(duration),
-        start_date: newStartDate,
-        bill_date: bill_date,
-        payment_mode,
-        payment_details: payment_details || null,
-        amount: parseFloat(amount),
-        workout_type,
-        personal_training,
-      },
+/**
+ * Replays a customer's membership transactions in the order they were taken, extending from
+ * whichever is later each time (as renewMembership does), and returns the resulting end_date.
+ * Days a membership was frozen are added on top of its duration.
+ */
+function computeEndDate(memberships) {
+  return [...memberships]
+    .sort((a, b) => a.id - b.id)
+    .reduce((endDate, membership) => {
+      const startDate = new Date(membership.start_date);
+      const extendFrom = endDate && endDate > startDate ? endDate : startDate;
+      const freezeDays = (membership.freezes || []).reduce((sum, freeze) => sum + frozenDays(freeze), 0);
+      return addDays(addDuration(extendFrom, membership.duration, membership.duration_unit), freezeDays);
+    }, null);
+}
+
+/**
+ * Adds a membership transaction to an existing customer and reactivates them, inside the transaction `tx`.
+ * The new end_date is counted from whichever is later: the current end_date or the new start_date,
+ * so renewing early never loses the days the member has already paid for.
+ * `details.coupon` is applied first, then whatever referral credit the customer has earned, then GST.
+ */
+async function renewMembership(tx, customer, details, user) {
+  const { duration, duration_unit, start_date, coupon } = details;
+  const priced = priceMembership(details, { credit: customer.referral_credit });
+  const amount_paid = amountPaidNow(priced, details.amount_paid);
+
+  const currentEndDate = customer.end_date ? new Date(customer.end_date) : null;
+  const extendFrom = currentEndDate && currentEndDate > start_date ? currentEndDate : start_date;
+  const customerChanges = {
+    status: true,
+    end_date: addDuration(extendFrom, duration, duration_unit),
+    expired_at: null,
+  };
+  // The credit is taken off in the database, where it is checked again; `customer` may be stale
+  const creditChanges = {};
+  if (priced.credit_applied > 0) {
+    await spendReferralCredit(tx, customer.id, priced.credit_applied);
+    creditChanges.referral_credit = roundMoney(customer.referral_credit - priced.credit_applied);
+  }
+
+  const updatedCustomer = await tx.customer.update({
+    where: { id: customer.id },
+    data: customerChanges,
+  });
+
+  if (coupon) {
+    await redeemCoupon(tx, coupon);
+  }
+
+  const membership = await createMembershipRecord(tx, customer.gym_owner_id, customer.id, { ...priced, amount_paid }, user);
+
+  await recordAudit(tx, {
+    gym_owner_id: customer.gym_owner_id,
+    user,
+    entity_type: 'customer',
+    entity_id: customer.id,
+    customer_id: customer.id,
+    action: 'renew',
+    ...changedFields(customer, { ...customerChanges, ...creditChanges }),
+  });
+  await recordAudit(tx, {
+    gym_owner_id: customer.gym_owner_id,
+    user,
+    entity_type: 'membership',
+    entity_id: membership.id,
+    customer_id: customer.id,
+    action: 'create',
+    after: membership,
+  });
+
+  return { customer: updatedCustomer, membership };
+}
+
+/**
+ * Loads a membership transaction of the gym owner and builds its receipt, or returns null.
+ */
+async function buildMembershipReceipt(gym_owner_id, transaction_id) {
+  const membership = await findOwnedMembership(prisma, gym_owner_id, transaction_id, {
+    include: { customer: true, plan: true, coupon: true },
+  });
+  if (!membership) {
+    return null;
+  }
+
+  const gymOwner = await prisma.gym_owner.findUnique({
+    where: { id: Number(gym_owner_id) },
+    select: { gym_name: true, phone_number: true },
+  });
+  return receiptFromMembership({
+    membership,
+    customer: membership.customer,
+    gymOwner,
+    tax: taxFromMembership(membership),
+  });
+}
+
+/**
+ * Sends the PDF receipt of a membership transaction as a WhatsApp document.
+ * Failures are logged, the text receipt has already gone out.
+ */
+async function sendReceiptDocument(gym_owner_id, transaction_id, waNumber) {
+  try {
+    const receipt = await buildMembershipReceipt(gym_owner_id, transaction_id);
+    if (!receipt) {
+      return false;
+    }
+    await getWhatsAppClient().sendMessage(waNumber, {
+      document: renderReceiptPdf(receipt),
+      mimetype: 'application/pdf',
+      fileName: receiptFileName(receipt),
+      caption: `Receipt ${receipt.invoice_number}`,
     });
+    return true;
+  } catch (error) {
+    console.error('Error sending PDF receipt:', error);
+    return false;
+  }
+}
 
+/**
+ * Sends the payment receipt to the customer and a summary to the gym owner over WhatsApp.
+ * Failures are logged and never fail the request, the payment has already been recorded.
+ */
+async function sendMembershipMessages(gym_owner_id, customer, membership, { isRenewal = false } = {}) {
+  try {
     // Retrieve gym owner details for WhatsApp messaging
     const gymOwner = await prisma.gym_owner.findUnique({
       where: { id: Number(gym_owner_id) },
       select: { gym_name: true, phone_number: true, name: true },
     });
 
-    try {
-      // Get WhatsApp client and send messages to customer and gym owner
-      const waClient = getWhatsAppClient();
-      const waNumber = phone_number.includes('@s.whatsapp.net')
-        ? phone_number
-        : `91${phone_number}@s.whatsapp.net`;
+    // Get WhatsApp client and send messages to customer and gym owner
+    const waClient = getWhatsAppClient();
+    const { phone_number } = customer;
+    const waNumber = phone_number.includes('@s.whatsapp.net')
+      ? phone_number
+      : `91${phone_number}@s.whatsapp.net`;
+    const { amount, payment_mode, payment_details, bill_date, duration, start_date, personal_training } = membership;
+    const gross = membership.list_price ?? amount;
+    const discount = membership.discount || 0;
+    const paid = membership.amount_paid ?? amount;
+    const balance = roundMoney(amount - paid);
 
-      const customer_message = `${gymOwner.gym_name.toUpperCase()}
+    const customer_message = `${gymOwner.gym_name.toUpperCase()}
 
 DEAR : Madam / Sir
 
 UR ADMIS NO : ${customer.gym_id}
 
-LAST PAID DATE : ${bill_date.toLocaleDateString('en-GB')}
-LAST PAID AMOUNT : ${amount} INR
+LAST PAID DATE : ${new Date(bill_date).toLocaleDateString('en-GB')}
+GROSS AMOUNT : ${gross} INR
+DISCOUNT : ${discount} INR
+${membership.tax_amount > 0 ? `GST @ ${membership.tax_rate}% : ${membership.tax_amount} INR\n` : ''}NET AMOUNT : ${amount} INR
+${balance > 0 ? `PAID NOW : ${paid} INR\nBALANCE DUE : ${balance} INR` : ''}
 PAYMENT MODE : ${payment_mode.toUpperCase()}
 ${payment_details ? `PAYMENT DETAILS : ${payment_details}` : ''}
 
@@ -239,327 +514,415 @@ ${gymOwner.gym_name.toUpperCase()}
 ${gymOwner.phone_number}
 ${gymOwner.name}`;
 
-      await waClient.sendMessage(waNumber, { text: customer_message });
-      console.log(`Message sent to ${phone_number}`);
+    await waClient.sendMessage(waNumber, { text: customer_message });
+    console.log(`Message sent to ${phone_number}`);
 
-      const owner_message = `Hi ${gymOwner.name},
-A new membership has been created for ${customer.name} (${phone_number}).
+    await sendReceiptDocument(gym_owner_id, membership.id, waNumber);
+
+    const owner_message = `Hi ${gymOwner.name},
+${isRenewal
+  ? `The membership of ${customer.name} (${phone_number}) has been renewed.`
+  : `A new membership has been created for ${customer.name} (${phone_number}).`}
 Membership Details:
-- Duration: ${duration} months
-- Start Date: ${start_date}
+- Duration: ${duration} ${membership.duration_unit || 'months'}
+- Start Date: ${new Date(start_date).toLocaleDateString('en-GB')}
 - Payment Mode: ${payment_mode}
 ${payment_details ? `- Payment Details: ${payment_details}` : ''}
-- Amount: ${amount} INR
+- Amount: ${amount} INR${discount > 0 ? ` (gross ${gross} INR, discount ${discount} INR)` : ''}
+${balance > 0 ? `- Paid Now: ${paid} INR, Balance Due: ${balance} INR` : ''}
 - Personal Training: ${personal_training ? 'Yes' : 'No'}
-- Bill Date: ${bill_date.toLocaleDateString('en-GB')}
-- Customer End Date: ${customer.end_date.toLocaleDateString('en-GB')}
+- Bill Date: ${new Date(bill_date).toLocaleDateString('en-GB')}
+- Customer End Date: ${new Date(customer.end_date).toLocaleDateString('en-GB')}
 `;
 
-      await waClient.sendMessage(`91${gymOwner.phone_number}@s.whatsapp.net`, { text: owner_message });
-      console.log(`Message sent to gym owner ${gymOwner.phone_number}`);
-    } catch (whatsappError) {
-      console.error('Error sending WhatsApp message:', whatsappError);
+    await waClient.sendMessage(`91${gymOwner.phone_number}@s.whatsapp.net`, { text: owner_message });
+    console.log(`Message sent to gym owner ${gymOwner.phone_number}`);
+  } catch (whatsappError) {
+    console.error('Error sending WhatsApp message:', whatsappError);
+  }
+}
+
+// Initialize WhatsApp client
+initializeWhatsAppClient()
+  .then(() => console.log("WhatsApp client is ready."))
+  .catch((error) => console.error("Failed to initialize WhatsApp client:", error));
+
+// Initialize Redis client (ensure REDIS_URL is correct in your environment)
+const redisClient = createClient({ url: process.env.REDIS_URL });
+redisClient.on('error', (err) => console.error('Redis Client Error', err));
+
+// Rate limiter for OTP endpoints
+const otpLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes window
+  max: 5, // limit each IP to 5 OTP requests per windowMs
+  message: 'Too many OTP requests from this IP, please try again later'
+});
+
+// Same limits as otpLimiter but keyed by the phone number in the body, so rotating IPs doesn't help
+const phoneOtpLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes window
+  max: 5, // limit each phone number to 5 OTP requests per windowMs
+  keyGenerator: (req) => (req.body?.phone_number ? `phone:${req.body.phone_number}` : req.ip),
+  message: 'Too many OTP requests for this phone number, please try again later'
+});
+
+// Wrong OTPs allowed before a pending OTP is discarded, so a 6 digit code can't be guessed in its lifetime
+const MAX_OTP_ATTEMPTS = 5;
+
+// Middleware for input validation errors
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * POST /login
+ * Public route for gym owners to obtain a short-lived JWT access token and a refresh token.
+ */
+app.post('/login', async (req, res) => {
+  const { phone_number, password } = req.body;
+  if (!phone_number || !password) {
+    return res.status(400).json({ error: 'Phone number and password are required' });
+  }
+  console.log('Login attempt with phone number:', phone_number);
+  try {
+    // Find gym owner by phone number
+    const gymOwner = await prisma.gym_owner.findUnique({
+      where: { phone_number },
+    });
+
+    const { valid, needsRehash } = gymOwner
+      ? await verifyPassword(password, gymOwner.password)
+      : { valid: false, needsRehash: false };
+
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Transparently upgrade a legacy plaintext password to a hash on first successful login
+    if (needsRehash) {
+      await prisma.gym_owner.update({
+        where: { id: gymOwner.id },
+        data: { password: await hashPassword(password) },
+      });
     }
 
-    res.json({ success: true, membership });
+    // Issue a short-lived access token and a refresh token
+    const tokens = await issueTokens(redisClient, gymOwner.id);
+    return res.json({ success: true, ...tokens });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /profile
- * Response: Customer details with memberships.
+ * POST /refresh
+ * Public route exchanging a refresh token for a new access token and refresh token.
+ * Each refresh token can only be used once.
  */
-app.get('/profile', async (req, res) => {
-  const { gym_id } = req.query;
-  const gym_owner_id = req.user.id;
-
-  if (!gym_id) {
-    return res.status(400).json({ error: 'gym_id is required' });
+app.post('/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'Refresh token is required' });
   }
 
   try {
-    const customer = await prisma.customer.findFirst({
-      where: {
-        gym_owner_id: Number(gym_owner_id),
-        gym_id: gym_id.toString(),
-      },
-      include: { memberships: true },
-    });
+    const session = await consumeRefreshToken(redisClient, refresh_token);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
 
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
+    if (!session.staff_id) {
+      const tokens = await issueTokens(redisClient, session.id);
+      return res.json({ success: true, ...tokens });
     }
-    res.json({
-      name: customer.name,
-      phone_number: customer.phone_number,
-      status: customer.status,
-      end_date: customer.end_date,
-      gym_id: customer.gym_id,
-      membership_transactions: customer.memberships,
+
+    // Re-read the staff member so a deactivation or role change takes effect on refresh
+    const staff = await prisma.staff.findFirst({
+      where: { id: session.staff_id, gym_owner_id: session.id, active: true },
+      select: { id: true, role: true },
     });
+    if (!staff) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    const tokens = await issueTokens(redisClient, session.id, { staff_id: staff.id, role: staff.role });
+    return res.json({ success: true, ...tokens });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /view_all
- * Response: List of all customers for the gym owner.
+ * POST /register
+ * Public route for a new gym owner to sign up. Sends an OTP to the phone number over WhatsApp;
+ * the account is only created once the OTP is confirmed via POST /register/verify.
  */
-app.get('/view_all', async (req, res) => {
-  const gym_owner_id = req.user.id;
+app.post(
+  '/register',
+  otpLimiter,
+  body('name').isString().trim().notEmpty().withMessage('Name is required').escape(),
+  body('email').trim().toLowerCase().isEmail().withMessage('Invalid email'),
+  body('phone_number').isMobilePhone('any').withMessage('Invalid phone number'),
+  body('gym_name').isString().trim().notEmpty().withMessage('Gym name is required').escape(),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  validate,
+  async (req, res, next) => {
+    const { name, email, phone_number, gym_name, password } = req.body;
 
-  try {
-    const gymOwner = await prisma.gym_owner.findUnique({
-      where: { id: Number(gym_owner_id) },
-      include: { customers: true },
-    });
+    try {
+      const existingOwner = await prisma.gym_owner.findFirst({
+        where: { OR: [{ email }, { phone_number }] },
+        select: { email: true, phone_number: true },
+      });
 
-    if (!gymOwner) {
-      return res.status(404).json({ error: 'Gym owner not found' });
-    }
-    res.json(gymOwner.customers);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+      if (existingOwner) {
+        return res.status(409).json({
+          error: existingOwner.email === email
+            ? 'An account with this email already exists'
+            : 'An account with this phone number already exists',
+        });
+      }
 
-/**
- * GET /expiring_memberships/:days
- * Response: List of active customers with memberships expiring within the specified days.
- */
-app.get('/expiring_memberships/:days', async (req, res) => {
-  const gym_owner_id = req.user.id;
-  const days = parseInt(req.params.days, 10) || 7;
+      const otp = generateOtp();
+      const otpExpirySeconds = 10 * 60; // 10 minutes
 
-  try {
-    const now = new Date();
-    const futureDate = new Date();
-    futureDate.setDate(now.getDate() + days);
+      // Keep the pending registration in Redis until the phone number is verified, with the number
+      // of failed attempts so far
+      const registrationData = JSON.stringify({
+        otp,
+        attempts: 0,
+        name,
+        email,
+        phone_number,
+        gym_name,
+        password: await hashPassword(password),
+      });
+      await redisClient.set(`register_otp:${phone_number}`, registrationData, { EX: otpExpirySeconds });
 
-    const expiringCustomers = await prisma.customer.findMany({
-      where: {
-        gym_owner_id: Number(gym_owner_id),
-        end_date: { gte: now, lte: futureDate },
-      },
-      select: { id: true, name: true, phone_number: true, end_date: true, gym_id: true },
-    });
+      const waClient = getWhatsAppClient();
+      await waClient.sendMessage(`91${phone_number}@s.whatsapp.net`, {
+        text: `Your OTP to verify your gym owner account is: ${otp}. It expires in 10 minutes.`,
+      });
 
-    res.json({
-      count: expiringCustomers.length,
-      members: expiringCustomers
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+      res.json({ message: 'OTP sent to your phone number for verification' });
+    } catch (error) {
+      console.error('Error registering gym owner', { error });
+      next(error);
+    }
   }
-});
+);
 
 /**
- * GET /account
- * Response: Gym owner account details.
+ * POST /register/verify
+ * Confirms the registration OTP, creates the gym owner account and logs it in.
+ * The pending registration is discarded after too many wrong attempts.
  */
-app.get('/account', async (req, res) => {
-  const gym_owner_id = req.user.id;
-
-  try {
-    const gymOwner = await prisma.gym_owner.findUnique({
-      where: { id: Number(gym_owner_id) },
-      select: { name: true, phone_number: true, gym_name: true },
-    });
+app.post(
+  '/register/verify',
+  otpLimiter,
+  body('phone_number').isMobilePhone('any').withMessage('Invalid phone number'),
+  body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
+  validate,
+  async (req, res, next) => {
+    const { phone_number, otp } = req.body;
+    const otpKey = `register_otp:${phone_number}`;
 
-    if (!gymOwner) {
-      return res.status(404).json({ error: 'Gym owner not found' });
-    }
-    res.json(gymOwner);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+    try {
+      const registrationRaw = await redisClient.get(otpKey);
+      if (!registrationRaw) {
+        return res.status(400).json({ error: 'No pending registration found or OTP expired' });
+      }
 
-// ----------------------
-// Redis & OTP Endpoints
-// ----------------------
+      const registration = JSON.parse(registrationRaw);
+      if (registration.otp !== otp) {
+        const attempts = (registration.attempts || 0) + 1;
+        if (attempts >= MAX_OTP_ATTEMPTS) {
+          await redisClient.del(otpKey);
+          return res.status(400).json({ error: 'Too many invalid attempts, please register again' });
+        }
+        // Keep the original expiry while counting the failed attempt
+        await redisClient.set(otpKey, JSON.stringify({ ...registration, attempts }), { KEEPTTL: true });
+        return res.status(400).json({ error: 'Invalid OTP' });
+      }
 
-// Initialize Redis client (ensure REDIS_URL is correct in your environment)
-const redisClient = createClient({ url: process.env.REDIS_URL });
-redisClient.on('error', (err) => console.error('Redis Client Error', err));
+      let gymOwner;
+      try {
+        gymOwner = await prisma.gym_owner.create({
+          data: {
+            name: registration.name,
+            email: registration.email,
+            phone_number: registration.phone_number,
+            gym_name: registration.gym_name,
+            password: registration.password,
+          },
+          select: { id: true, name: true, email: true, phone_number: true, gym_name: true },
+        });
+      } catch (error) {
+        // The email or phone number may have been taken since the OTP was sent
+        const conflict = gymOwnerConflictMessage(error);
+        if (conflict) {
+          await redisClient.del(otpKey);
+          return res.status(409).json({ error: conflict });
+        }
+        throw error;
+      }
 
-// Rate limiter for OTP endpoints
-const otpLimiter = rateLimit({
-  windowMs: 10 * 60 * 1000, // 10 minutes window
-  max: 5, // limit each IP to 5 OTP requests per windowMs
-  message: 'Too many OTP requests from this IP, please try again later'
-});
+      await redisClient.del(otpKey);
 
-// Middleware for input validation errors
-const validate = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+      const tokens = await issueTokens(redisClient, gymOwner.id);
+      res.status(201).json({ success: true, gym_owner: gymOwner, ...tokens });
+    } catch (error) {
+      console.error('Error verifying registration', { error });
+      next(error);
+    }
   }
-  next();
-};
+);
 
 /**
- * POST /request_phone_change
- * Sends an OTP to the gym owner's current phone number when a phone change is requested.
+ * POST /forgot_password
+ * Public route sending a password reset OTP to the gym owner's registered phone number.
+ * The response is the same whether or not the number is registered.
  */
 app.post(
-  '/request_phone_change',
+  '/forgot_password',
   otpLimiter,
-  body('new_phone_number').isMobilePhone('any').withMessage('Invalid phone number'),
+  phoneOtpLimiter,
+  body('phone_number').isMobilePhone('any').withMessage('Invalid phone number'),
   validate,
   async (req, res, next) => {
-    const gym_owner_id = req.user.id;
-    const { new_phone_number } = req.body;
+    const { phone_number } = req.body;
 
     try {
-      // Get current gym owner details
       const gymOwner = await prisma.gym_owner.findUnique({
-        where: { id: Number(gym_owner_id) }
-      });
-      
-      if (!gymOwner) {
-        return res.status(404).json({ error: 'Gym owner not found' });
-      }
-      
-      // Check if new phone number already exists for another user
-      const existingUser = await prisma.gym_owner.findFirst({
-        where: { 
-          phone_number: new_phone_number,
-          id: { not: Number(gym_owner_id) }
-        }
+        where: { phone_number },
+        select: { id: true, phone_number: true },
       });
-      
-      if (existingUser) {
-        return res.status(400).json({ error: 'Phone number already in use by another account' });
+
+      if (gymOwner) {
+        const otp = generateOtp();
+        const otpExpirySeconds = 10 * 60; // 10 minutes
+
+        // Store OTP with the number of failed attempts so far
+        const otpData = JSON.stringify({ otp, attempts: 0 });
+        await redisClient.set(`password_reset_otp:${phone_number}`, otpData, { EX: otpExpirySeconds });
+
+        const waClient = getWhatsAppClient();
+        await waClient.sendMessage(`91${gymOwner.phone_number}@s.whatsapp.net`, {
+          text: `Your OTP to reset your gym owner account password is: ${otp}. It expires in 10 minutes. If you did not request this, ignore this message.`,
+        });
       }
-  
-      // Generate 6 digit OTP
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
-      const otpExpirySeconds = 10 * 60; // 10 minutes
-  
-      // Store OTP with gym owner ID and new phone number in Redis
-      const otpData = JSON.stringify({ otp, new_phone_number });
-      await redisClient.set(`otp:${gym_owner_id}`, otpData, { EX: otpExpirySeconds });
-      
-      // Send OTP via WhatsApp to the CURRENT phone number
-      const waClient = getWhatsAppClient();
-      const currentWaNumber = `91${gymOwner.phone_number}@s.whatsapp.net`;
-  
-      await waClient.sendMessage(currentWaNumber, { 
-        text: `Your OTP for phone number change is: ${otp}. Please use it to verify your new phone number: ${new_phone_number}` 
-      });
-  
-      res.json({ message: 'OTP sent to your current phone number for verification' });
+
+      res.json({ message: 'If this phone number is registered, an OTP has been sent to it' });
     } catch (error) {
-      console.error('Error requesting phone change', { error });
+      console.error('Error requesting password reset', { error });
       next(error);
     }
   }
 );
 
 /**
- * PUT /update_phone_number
- * Verifies the OTP and updates the phone number.
+ * POST /reset_password
+ * Public route verifying the password reset OTP and setting a new password.
+ * The OTP is discarded after too many wrong attempts, and every existing session is logged out.
  */
-app.put(
-  '/update_phone_number',
+app.post(
+  '/reset_password',
   otpLimiter,
+  phoneOtpLimiter,
+  body('phone_number').isMobilePhone('any').withMessage('Invalid phone number'),
   body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
+  body('new_password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
   validate,
   async (req, res, next) => {
-    const gym_owner_id = req.user.id;
-    const { otp } = req.body;
-  
+    const { phone_number, otp, new_password } = req.body;
+    const otpKey = `password_reset_otp:${phone_number}`;
+
     try {
-      // Get stored OTP data from Redis
-      const otpDataRaw = await redisClient.get(`otp:${gym_owner_id}`);
+      const otpDataRaw = await redisClient.get(otpKey);
       if (!otpDataRaw) {
-        return res.status(400).json({ error: 'No pending phone number change request found or OTP expired' });
+        return res.status(400).json({ error: 'No pending password reset found or OTP expired' });
       }
-  
+
       const otpData = JSON.parse(otpDataRaw);
-      
-      // Verify OTP
+
       if (otpData.otp !== otp) {
+        const attempts = otpData.attempts + 1;
+        if (attempts >= MAX_OTP_ATTEMPTS) {
+          await redisClient.del(otpKey);
+          return res.status(400).json({ error: 'Too many invalid attempts, please request a new OTP' });
+        }
+        // Keep the original expiry while counting the failed attempt
+        await redisClient.set(otpKey, JSON.stringify({ ...otpData, attempts }), { KEEPTTL: true });
         return res.status(400).json({ error: 'Invalid OTP' });
       }
-      
-      // Update phone number
-      const updatedGymOwner = await prisma.gym_owner.update({
-        where: { id: Number(gym_owner_id) },
-        data: { phone_number: otpData.new_phone_number },
-      });
-      
-      // Clear OTP data from Redis
-      await redisClient.del(`otp:${gym_owner_id}`);
-      
-      // Send confirmation to new number via WhatsApp
-      const waClient = getWhatsAppClient();
-      const newWaNumber = `91${otpData.new_phone_number}@s.whatsapp.net`;
-      await waClient.sendMessage(newWaNumber, { 
-        text: `Your phone number has been successfully updated in your gym owner account.` 
-      });
-  
-      res.json(updatedGymOwner);
-    } catch (error) {
-      console.error('Error updating phone number', { error });
-      next(error);
-    }
-  }
-);
 
-/**
- * PUT /account
- * Updates basic account details (name, gym_name).
- */
-app.put(
-  '/account',
-  body('name').optional().isString().trim().escape(),
-  body('gym_name').optional().isString().trim().escape(),
-  validate,
-  async (req, res, next) => {
-    const gym_owner_id = req.user.id;
-    const { name, gym_name } = req.body;
-  
-    try {
-      const updatedGymOwner = await prisma.gym_owner.update({
-        where: { id: Number(gym_owner_id) },
-        data: { name, gym_name },
+      const gymOwner = await prisma.gym_owner.update({
+        where: { phone_number },
+        data: { password: await hashPassword(new_password) },
+        select: { id: true },
       });
-      res.json(updatedGymOwner);
+
+      await redisClient.del(otpKey);
+
+      // Anyone holding an old session may be the reason the password was reset
+      await revokeAllSessions(redisClient, gymOwner.id);
+
+      res.json({ success: true });
     } catch (error) {
-      console.error('Error updating account details', { error });
+      console.error('Error resetting password', { error });
       next(error);
     }
   }
 );
 
 /**
- * PUT /change_password
- * Changes the password for the gym owner.
+ * POST /staff/login
+ * Public route for staff members to obtain tokens scoped to their gym owner and role.
  */
-app.put('/change_password', async (req, res) => {
-  const gym_owner_id = req.user.id;
-  const { old_password, new_password } = req.body;
+app.post('/staff/login', async (req, res) => {
+  const { phone_number, password } = req.body;
+  if (!phone_number || !password) {
+    return res.status(400).json({ error: 'Phone number and password are required' });
+  }
 
   try {
-    const gymOwner = await prisma.gym_owner.findUnique({
-      where: { id: Number(gym_owner_id) },
+    const staff = await prisma.staff.findUnique({
+      where: { phone_number },
     });
 
-    if (!gymOwner || gymOwner.password !== old_password) {
-      return res.status(401).json({ error: 'Invalid old password' });
+    const { valid } = staff && staff.active
+      ? await verifyPassword(password, staff.password)
+      : { valid: false };
+
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    await prisma.gym_owner.update({
-      where: { id: Number(gym_owner_id) },
-      data: { password: new_password },
-    });
+    const tokens = await issueTokens(redisClient, staff.gym_owner_id, { staff_id: staff.id, role: staff.role });
+    return res.json({ success: true, role: staff.role, ...tokens });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply JWT authentication middleware for all routes below
+app.use(authenticateJWT);
 
+/**
+ * POST /logout
+ * Revokes the current access token and, if given, the refresh token of this device.
+ */
+app.post('/logout', async (req, res) => {
+  const { refresh_token } = req.body;
+
+  try {
+    await revokeAccessToken(redisClient, req.user.token);
+    if (refresh_token) {
+      await revokeRefreshToken(redisClient, req.user, refresh_token);
+    }
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -567,341 +930,4076 @@ app.put('/change_password', async (req, res) => {
 });
 
 /**
- * GET /revenue
- * Returns total revenue for the current month.
+ * POST /logout_all
+ * Logs the current user (gym owner or staff member) out of every device.
  */
-app.get('/revenue', async (req, res) => {
-  const gym_owner_id = req.user.id;
- 
+app.post('/logout_all', async (req, res) => {
   try {
-    // Get start and end of the current month
-    const startOfMonth = new Date();
-    startOfMonth.setDate(1);
-    startOfMonth.setHours(0, 0, 0, 0);
-
-    const endOfMonth = new Date(startOfMonth);
-    endOfMonth.setMonth(endOfMonth.getMonth() + 1, 0); // Last day of the month
-    endOfMonth.setHours(23, 59, 59, 999);
-
-    // Get revenue for the current month
-    const currentMonthRevenue = await prisma.membership.aggregate({
-      where: {
-        customer: {
-          gym_owner_id: Number(gym_owner_id),
+    await revokeAllSessions(redisClient, req.user.id, req.user.staff_id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Check if a gym ID already exists
+ * @route GET /check_gym_id
+ * @param {string} gym_id - The gym ID to check
+ * @returns {object} Object with exists field indicating if ID exists
+ */
+app.get('/check_gym_id', requirePermission('view_members'), async (req, res) => {
+  try {
+    const { gym_id } = req.query;
+    const gym_owner_id = req.user.id;
+    
+    if (!gym_id) {
+      return res.status(400).json({ error: 'Gym ID is required' });
+    }
+    
+    // Only check if the ID exists, don't fetch the entire profile (the bulk import checks the same way)
+    const customerExists = (await findTakenGymIds(prisma, gym_owner_id, [gym_id])).has(gym_id.toString());
+    
+    return res.status(200).json({ 
+      exists: !!customerExists,
+      message: customerExists 
+        ? 'This Gym ID already exists' 
+        : 'Gym ID is available'
+    });
+  } catch (error) {
+    console.error('Error checking gym ID:', error);
+    return res.status(500).json({ 
+      error: 'Failed to check gym ID',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * POST /membership
+ * Creates a membership transaction and updates or creates a customer record.
+ * An existing gym_id is treated as a renewal of that customer's membership.
+ */
+app.post('/membership', requirePermission('manage_members'), async (req, res) => {
+  const {
+    gym_id,
+    phone_number,
+    name,
+    duration,
+    start_date,
+    payment_mode,
+    amount,
+    workout_type,
+    personal_training,
+    payment_details, // UPI/Card details
+    id_card_number, // Optional ID card number
+    plan_id, // Optional plan from the catalogue, replaces duration/workout_type/personal_training
+    coupon_code, // Optional coupon code
+    referred_by, // Optional gym_id of the existing customer who referred a new admission
+    amount_paid, // Optional part of the net amount paid now, the rest becomes a due
+  } = req.body;
+  const gym_owner_id = req.user.id;
+
+  if (
+    !gym_id ||
+    !phone_number ||
+    !name ||
+    !start_date ||
+    !payment_mode ||
+    (!plan_id && (!duration || !amount || !workout_type || personal_training === undefined))
+  ) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  // Validate payment details if payment mode is not cash
+  if (payment_mode !== 'cash' && !payment_details) {
+    return res.status(400).json({ error: 'Payment details required for UPI/Card payments' });
+  }
+
+  try {
+    const { terms, status, error } = await resolveMembershipTerms(gym_owner_id, {
+      plan_id,
+      duration,
+      amount,
+      workout_type,
+      personal_training,
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const couponResult = await resolveCoupon(gym_owner_id, coupon_code);
+    if (couponResult.error) {
+      return res.status(couponResult.status).json({ error: couponResult.error });
+    }
+    const { coupon } = couponResult;
+
+    // Find customer based on gym_id and gym_owner_id
+    let customer = await findOwnedCustomer(prisma, gym_owner_id, gym_id);
+
+    const newStartDate = new Date(start_date);
+
+    // Get bill_date in Asia/Kolkata timezone
+    const bill_date = new Date(new Date().toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
+
+    const details = {
+      ...terms,
+      coupon,
+      tax_settings: await loadTaxSettings(gym_owner_id),
+      amount_paid,
+      start_date: newStartDate,
+      bill_date,
+      payment_mode,
+      payment_details,
+    };
+    const isRenewal = !!customer;
+    let membership;
+
+    // Referrals only count for new admissions
+    let referrer = null;
+    if (!isRenewal && referred_by) {
+      referrer = await findOwnedCustomer(prisma, gym_owner_id, referred_by);
+      if (!referrer) {
+        return res.status(404).json({ error: 'Referring customer not found' });
+      }
+    }
+
+    if (isRenewal) {
+      // Returning member: add a new transaction to the existing customer instead of rejecting the gym_id
+      ({ customer, membership } = await prisma.$transaction((tx) => renewMembership(tx, customer, details, req.user)));
+    } else {
+      // Calculate new end_date based on start_date and the membership duration
+      const newEndDate = addDuration(newStartDate, terms.duration, terms.duration_unit);
+      const priced = priceMembership(details);
+      const paidNow = amountPaidNow(priced, amount_paid);
+
+      let referralReward = 0;
+      if (referrer) {
+        const gymOwner = await prisma.gym_owner.findUnique({
+          where: { id: Number(gym_owner_id) },
+          select: { referral_reward: true },
+        });
+        referralReward = gymOwner?.referral_reward || 0;
+      }
+
+      ({ customer, membership } = await prisma.$transaction(async (tx) => {
+        // Create new customer with active membership status
+        const newCustomer = await tx.customer.create({
+          data: {
+            gym_owner_id: Number(gym_owner_id),
+            name,
+            phone_number,
+            status: true,
+            gym_id: gym_id.toString(),
+            end_date: newEndDate,
+            id_card_number: id_card_number || null, // Store ID card number if provided
+            referred_by_id: referrer ? referrer.id : null,
+          },
+        });
+
+        if (coupon) {
+          await redeemCoupon(tx, coupon);
+        }
+
+        // Create membership transaction record with payment details
+        const newMembership = await createMembershipRecord(
+          tx,
+          gym_owner_id,
+          newCustomer.id,
+          { ...priced, amount_paid: paidNow },
+          req.user
+        );
+
+        // The referrer earns credit towards their next renewal
+        if (referralReward > 0) {
+          const updatedReferrer = await tx.customer.update({
+            where: { id: referrer.id },
+            data: { referral_credit: { increment: referralReward } },
+          });
+          await recordAudit(tx, {
+            gym_owner_id,
+            user: req.user,
+            entity_type: 'customer',
+            entity_id: referrer.id,
+            customer_id: referrer.id,
+            action: 'referral_credit',
+            before: { referral_credit: referrer.referral_credit },
+            after: { referral_credit: updatedReferrer.referral_credit, referred_customer_id: newCustomer.id },
+          });
+        }
+
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'customer',
+          entity_id: newCustomer.id,
+          customer_id: newCustomer.id,
+          action: 'create',
+          after: newCustomer,
+        });
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'membership',
+          entity_id: newMembership.id,
+          customer_id: newCustomer.id,
+          action: 'create',
+          after: newMembership,
+        });
+
+        return { customer: newCustomer, membership: newMembership };
+      }));
+    }
+
+    await sendMembershipMessages(gym_owner_id, customer, membership, { isRenewal });
+
+    res.json({ success: true, renewal: isRenewal, membership });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /renew_membership
+ * Renews the membership of an existing customer identified by gym_id.
+ */
+app.post('/renew_membership', requirePermission('manage_members'), async (req, res) => {
+  const {
+    gym_id,
+    duration,
+    start_date,
+    payment_mode,
+    amount,
+    workout_type,
+    personal_training,
+    payment_details, // UPI/Card details
+    plan_id, // Optional plan from the catalogue
+    coupon_code, // Optional coupon code
+    amount_paid, // Optional part of the net amount paid now, the rest becomes a due
+  } = req.body;
+  const gym_owner_id = req.user.id;
+
+  if (
+    !gym_id ||
+    !start_date ||
+    !payment_mode ||
+    (!plan_id && (!duration || !amount || !workout_type || personal_training === undefined))
+  ) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  // Validate payment details if payment mode is not cash
+  if (payment_mode !== 'cash' && !payment_details) {
+    return res.status(400).json({ error: 'Payment details required for UPI/Card payments' });
+  }
+
+  try {
+    const existingCustomer = await findOwnedCustomer(prisma, gym_owner_id, gym_id);
+
+    if (!existingCustomer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const { terms, status, error } = await resolveMembershipTerms(gym_owner_id, {
+      plan_id,
+      duration,
+      amount,
+      workout_type,
+      personal_training,
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const couponResult = await resolveCoupon(gym_owner_id, coupon_code);
+    if (couponResult.error) {
+      return res.status(couponResult.status).json({ error: couponResult.error });
+    }
+
+    const tax_settings = await loadTaxSettings(gym_owner_id);
+
+    // Get bill_date in Asia/Kolkata timezone
+    const bill_date = new Date(new Date().toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
+
+    const { customer, membership } = await prisma.$transaction((tx) => renewMembership(tx, existingCustomer, {
+      ...terms,
+      coupon: couponResult.coupon,
+      tax_settings,
+      amount_paid,
+      start_date: new Date(start_date),
+      bill_date,
+      payment_mode,
+      payment_details,
+    }, req.user));
+
+    await sendMembershipMessages(gym_owner_id, customer, membership, { isRenewal: true });
+
+    res.json({ success: true, renewal: true, membership, end_date: customer.end_date });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /profile
+ * Response: Customer details with memberships and recent visits.
+ */
+app.get('/profile', requirePermission('view_members'), async (req, res) => {
+  const { gym_id } = req.query;
+  const gym_owner_id = req.user.id;
+
+  if (!gym_id) {
+    return res.status(400).json({ error: 'gym_id is required' });
+  }
+
+  try {
+    const customer = await findOwnedCustomer(prisma, gym_owner_id, gym_id, {
+      include: {
+        memberships: {
+          include: {
+            payments: { orderBy: { paid_at: 'asc' } },
+            freezes: { orderBy: { start_date: 'asc' } },
+          },
+        },
+        attendance: { orderBy: { check_in: 'desc' }, take: 30 }, // Most recent visits
+      },
+    });
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const now = new Date();
+    const currentFreeze = customer.memberships
+      .flatMap((membership) => membership.freezes || [])
+      .find((freeze) => new Date(freeze.start_date) <= now && new Date(freeze.end_date) > now);
+
+    res.json({
+      name: customer.name,
+      phone_number: customer.phone_number,
+      status: customer.status,
+      end_date: customer.end_date,
+      gym_id: customer.gym_id,
+      id_card_number: customer.id_card_number,
+      ...Object.fromEntries(PROFILE_FIELDS.map((field) => [field, customer[field] ?? null])),
+      photo_url: customer.photo_key ? `/profile/photo?gym_id=${encodeURIComponent(customer.gym_id)}` : null,
+      frozen_until: currentFreeze ? currentFreeze.end_date : null,
+      membership_transactions: customer.memberships,
+      balance_due: roundMoney(customer.memberships.reduce(
+        (sum, membership) => sum + (membership.amount - (membership.amount_paid ?? membership.amount)),
+        0
+      )),
+      last_visit: customer.attendance.length > 0 ? customer.attendance[0].check_in : null,
+      visit_history: customer.attendance,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /customers
+ * One page of the gym owner's customers, with their latest membership's workout_type and
+ * personal_training and their balance_due. Query options (see customerListing.js): page, page_size,
+ * sort (name, gym_id, end_date, balance_due), order, status (active/inactive), end_from, end_to,
+ * workout_type, has_dues and personal_training (true/false).
+ */
+app.get('/customers', requirePermission('view_members'), async (req, res) => {
+  const { options, error } = parseCustomerListQuery(req.query, gymDayRange);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const sortKey = `${options.sort}:${options.order}`;
+  const offset = (options.page - 1) * options.page_size;
+
+  try {
+    // A single row with a null id comes back when the page is past the last customer, so the
+    // total is known either way
+    const rows = await prisma.$queryRaw`
+      WITH listed AS (
+        SELECT c."id", c."gym_id", c."name", c."phone_number", c."status", c."end_date", c."id_card_number",
+               latest."workout_type", latest."personal_training",
+               COALESCE(dues."balance_due", 0)::float AS balance_due
+        FROM "customer" c
+        LEFT JOIN LATERAL (
+          SELECT m."workout_type", m."personal_training"
+          FROM "membership" m
+          WHERE m."customer_id" = c."id"
+          ORDER BY m."id" DESC
+          LIMIT 1
+        ) latest ON true
+        LEFT JOIN LATERAL (
+          SELECT SUM(m."amount" - m."amount_paid") AS balance_due
+          FROM "membership" m
+          WHERE m."customer_id" = c."id" AND m."amount_paid" < m."amount"
+        ) dues ON true
+        WHERE c."gym_owner_id" = ${Number(req.user.id)}
+      ), filtered AS (
+        SELECT * FROM listed
+        WHERE (${options.status}::boolean IS NULL OR "status" = ${options.status}::boolean)
+          AND (${options.end_from}::timestamp IS NULL OR "end_date" >= ${options.end_from}::timestamp)
+          AND (${options.end_to}::timestamp IS NULL OR "end_date" <= ${options.end_to}::timestamp)
+          AND (${options.workout_type}::text IS NULL OR "workout_type" = ${options.workout_type}::text)
+          AND (${options.personal_training}::boolean IS NULL OR "personal_training" = ${options.personal_training}::boolean)
+          AND (${options.has_dues}::boolean IS NULL OR ("balance_due" > 0) = ${options.has_dues}::boolean)
+      ), ordered AS (
+        SELECT *, ROW_NUMBER() OVER (ORDER BY
+          CASE WHEN ${sortKey} = 'name:asc' THEN "name" END ASC,
+          CASE WHEN ${sortKey} = 'name:desc' THEN "name" END DESC,
+          CASE WHEN ${sortKey} = 'gym_id:asc' THEN "gym_id" END ASC,
+          CASE WHEN ${sortKey} = 'gym_id:desc' THEN "gym_id" END DESC,
+          CASE WHEN ${sortKey} = 'end_date:asc' THEN "end_date" END ASC NULLS LAST,
+          CASE WHEN ${sortKey} = 'end_date:desc' THEN "end_date" END DESC NULLS LAST,
+          CASE WHEN ${sortKey} = 'balance_due:asc' THEN "balance_due" END ASC,
+          CASE WHEN ${sortKey} = 'balance_due:desc' THEN "balance_due" END DESC,
+          "id" ASC
+        ) AS position
+        FROM filtered
+      )
+      SELECT counted.total, ordered.*
+      FROM (SELECT COUNT(*)::int AS total FROM filtered) counted
+      LEFT JOIN ordered ON ordered.position > ${offset} AND ordered.position <= ${offset + options.page_size}
+      ORDER BY ordered.position`;
+
+    const total = rows.length > 0 ? Number(rows[0].total) : 0;
+    const customers = rows
+      .filter((row) => row.id !== null)
+      .map(({ total: _total, position: _position, ...customer }) => ({
+        ...customer,
+        balance_due: roundMoney(Number(customer.balance_due)),
+      }));
+
+    res.json({
+      customers,
+      total,
+      page: options.page,
+      page_size: options.page_size,
+      total_pages: Math.ceil(total / options.page_size),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /view_all
+ * Response: List of all customers for the gym owner.
+ * Kept as it is for older app versions, which expect every customer at once; use GET /customers.
+ */
+app.get('/view_all', requirePermission('view_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+
+  try {
+    const gymOwner = await prisma.gym_owner.findUnique({
+      where: { id: Number(gym_owner_id) },
+      include: { customers: true },
+    });
+
+    if (!gymOwner) {
+      return res.status(404).json({ error: 'Gym owner not found' });
+    }
+    res.json(gymOwner.customers);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /birthdays?days=7
+ * Members whose birthday is today or within the next `days` days (0 to 31, today only by default),
+ * soonest first, with the age they turn.
+ */
+app.get('/birthdays', requirePermission('view_members'), async (req, res) => {
+  const days = req.query.days === undefined ? 0 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_BIRTHDAY_DAYS) {
+    return res.status(400).json({ error: `days must be a whole number from 0 to ${MAX_BIRTHDAY_DAYS}` });
+  }
+
+  try {
+    const customers = await prisma.$queryRaw`
+      SELECT "id", "gym_id", "name", "phone_number", "status", "date_of_birth"
+      FROM "customer"
+      WHERE "gym_owner_id" = ${Number(req.user.id)}
+        AND to_char("date_of_birth", 'MM-DD') = ANY(${upcomingBirthdayKeys(days)}::text[])`;
+
+    const birthdays = customers
+      .map((customer) => {
+        const { date, age } = nextBirthday(customer.date_of_birth);
+        return { ...customer, birthday: date, turning: age };
+      })
+      .sort((a, b) => a.birthday.localeCompare(b.birthday) || a.name.localeCompare(b.name));
+
+    res.json({ count: birthdays.length, members: birthdays });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /expiring_memberships/:days
+ * Response: List of active customers with memberships expiring within the specified days.
+ */
+app.get('/expiring_memberships/:days', requirePermission('view_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+  const days = parseInt(req.params.days, 10) || 7;
+
+  try {
+    const now = new Date();
+    const futureDate = new Date();
+    futureDate.setDate(now.getDate() + days);
+
+    const expiringCustomers = await findCustomersEndingBetween(prisma, gym_owner_id, now, futureDate, {
+      excludeFrozenAt: now,
+    });
+
+    res.json({
+      count: expiringCustomers.length,
+      members: expiringCustomers
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Gym owner fields safe to send back after an account change, never the password hash
+const gymOwnerSelect = { id: true, name: true, email: true, phone_number: true, gym_name: true, referral_reward: true };
+
+/**
+ * GET /account
+ * Response: Gym owner account details.
+ */
+app.get('/account', async (req, res) => {
+  const gym_owner_id = req.user.id;
+
+  try {
+    const gymOwner = await prisma.gym_owner.findUnique({
+      where: { id: Number(gym_owner_id) },
+      select: { name: true, phone_number: true, gym_name: true, referral_reward: true },
+    });
+
+    if (!gymOwner) {
+      return res.status(404).json({ error: 'Gym owner not found' });
+    }
+    res.json(gymOwner);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ----------------------
+// Redis & OTP Endpoints
+// ----------------------
+
+/**
+ * POST /request_phone_change
+ * Sends an OTP to the gym owner's current phone number when a phone change is requested.
+ */
+app.post(
+  '/request_phone_change',
+  requirePermission('manage_account'),
+  otpLimiter,
+  body('new_phone_number').isMobilePhone('any').withMessage('Invalid phone number'),
+  validate,
+  async (req, res, next) => {
+    const gym_owner_id = req.user.id;
+    const { new_phone_number } = req.body;
+
+    try {
+      // Get current gym owner details
+      const gymOwner = await prisma.gym_owner.findUnique({
+        where: { id: Number(gym_owner_id) }
+      });
+      
+      if (!gymOwner) {
+        return res.status(404).json({ error: 'Gym owner not found' });
+      }
+      
+      // Check if new phone number already exists for another user
+      const existingUser = await prisma.gym_owner.findFirst({
+        where: { 
+          phone_number: new_phone_number,
+          id: { not: Number(gym_owner_id) }
+        }
+      });
+      
+      if (existingUser) {
+        return res.status(400).json({ error: 'Phone number already in use by another account' });
+      }
+  
+      // Generate 6 digit OTP
+      const otp = generateOtp();
+      const otpExpirySeconds = 10 * 60; // 10 minutes
+  
+      // Store OTP with gym owner ID and new phone number in Redis
+      const otpData = JSON.stringify({ otp, new_phone_number });
+      await redisClient.set(`otp:${gym_owner_id}`, otpData, { EX: otpExpirySeconds });
+      
+      // Send OTP via WhatsApp to the CURRENT phone number
+      const waClient = getWhatsAppClient();
+      const currentWaNumber = `91${gymOwner.phone_number}@s.whatsapp.net`;
+  
+      await waClient.sendMessage(currentWaNumber, { 
+        text: `Your OTP for phone number change is: ${otp}. Please use it to verify your new phone number: ${new_phone_number}` 
+      });
+  
+      res.json({ message: 'OTP sent to your current phone number for verification' });
+    } catch (error) {
+      console.error('Error requesting phone change', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /update_phone_number
+ * Verifies the OTP and updates the phone number.
+ */
+app.put(
+  '/update_phone_number',
+  requirePermission('manage_account'),
+  otpLimiter,
+  body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
+  validate,
+  async (req, res, next) => {
+    const gym_owner_id = req.user.id;
+    const { otp } = req.body;
+  
+    try {
+      // Get stored OTP data from Redis
+      const otpDataRaw = await redisClient.get(`otp:${gym_owner_id}`);
+      if (!otpDataRaw) {
+        return res.status(400).json({ error: 'No pending phone number change request found or OTP expired' });
+      }
+  
+      const otpData = JSON.parse(otpDataRaw);
+      
+      // Verify OTP
+      if (otpData.otp !== otp) {
+        return res.status(400).json({ error: 'Invalid OTP' });
+      }
+      
+      // Update phone number
+      const updatedGymOwner = await prisma.gym_owner.update({
+        where: { id: Number(gym_owner_id) },
+        data: { phone_number: otpData.new_phone_number },
+        select: gymOwnerSelect,
+      });
+      
+      // Clear OTP data from Redis
+      await redisClient.del(`otp:${gym_owner_id}`);
+
+      // The login phone number changed, so every existing session is invalidated
+      await revokeAllSessions(redisClient, gym_owner_id);
+      
+      // Send confirmation to new number via WhatsApp
+      const waClient = getWhatsAppClient();
+      const newWaNumber = `91${otpData.new_phone_number}@s.whatsapp.net`;
+      await waClient.sendMessage(newWaNumber, { 
+        text: `Your phone number has been successfully updated in your gym owner account.` 
+      });
+  
+      res.json(updatedGymOwner);
+    } catch (error) {
+      console.error('Error updating phone number', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /account
+ * Updates basic account details (name, gym_name) and the referral_reward credited to a customer
+ * for every new admission they refer.
+ */
+app.put(
+  '/account',
+  requirePermission('manage_account'),
+  body('name').optional().isString().trim().escape(),
+  body('gym_name').optional().isString().trim().escape(),
+  body('referral_reward').optional().isFloat({ min: 0 }).withMessage('Referral reward must be a non-negative number').toFloat(),
+  validate,
+  async (req, res, next) => {
+    const gym_owner_id = req.user.id;
+    const { name, gym_name, referral_reward } = req.body;
+  
+    try {
+      const updatedGymOwner = await prisma.gym_owner.update({
+        where: { id: Number(gym_owner_id) },
+        data: { name, gym_name, referral_reward },
+        select: gymOwnerSelect,
+      });
+      res.json(updatedGymOwner);
+    } catch (error) {
+      console.error('Error updating account details', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /change_password
+ * Changes the password for the gym owner.
+ */
+app.put('/change_password', requirePermission('manage_account'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+  const { old_password, new_password } = req.body;
+
+  if (!old_password || !new_password) {
+    return res.status(400).json({ error: 'Old and new passwords are required' });
+  }
+
+  try {
+    const gymOwner = await prisma.gym_owner.findUnique({
+      where: { id: Number(gym_owner_id) },
+    });
+
+    const { valid } = gymOwner
+      ? await verifyPassword(old_password, gymOwner.password)
+      : { valid: false };
+
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid old password' });
+    }
+
+    await prisma.gym_owner.update({
+      where: { id: Number(gym_owner_id) },
+      data: { password: await hashPassword(new_password) },
+    });
+
+    // A changed password logs out every device, including this one
+    await revokeAllSessions(redisClient, gym_owner_id);
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /revenue
+ * Returns the money collected in the current month.
+ */
+app.get('/revenue', requirePermission('view_revenue'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+ 
+  try {
+    // Get start and end of the current month in the gym's timezone
+    const { start: startOfMonth, end: endOfMonth } = gymMonthRange();
+
+    // Get money collected in the current month, dues still unpaid are not revenue yet
+    const currentMonthRevenue = await prisma.payment.aggregate({
+      where: {
+        membership: {
+          customer: {
+            gym_owner_id: Number(gym_owner_id),
+          },
+        },
+        paid_at: { gte: startOfMonth, lte: endOfMonth },
+      },
+      _sum: { amount: true },
+    });
+
+    res.json({
+      total_revenue: currentMonthRevenue._sum.amount || 0,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /total_active_count
+ * Returns total active customer count.
+ */
+app.get('/total_active_count', requirePermission('view_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+
+  try {
+    // Frozen members are not counted as active during their pause
+    const activeCount = await prisma.customer.count({
+      where: {
+        gym_owner_id: Number(gym_owner_id),
+        status: true,
+        freezes: { none: frozenAt(new Date()) },
+      },
+    });
+
+    res.json({ total_active_count: activeCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /expiring_memberships_count
+ * Returns the count of expiring memberships in the next 7 days.
+ */
+app.get('/expiring_memberships_count/', requirePermission('view_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+  const days = 7;
+
+  try {
+    const now = new Date();
+    const futureDate = new Date();
+    futureDate.setDate(now.getDate() + days);
+
+    const count = await prisma.customer.count({
+      where: {
+        gym_owner_id: Number(gym_owner_id),
+        status: true,
+        end_date: { gte: now, lte: futureDate },
+        freezes: { none: frozenAt(now) },
+      },
+    });
+
+    res.json({ count: count });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /revenue_details
+ * Returns detailed revenue information grouped by month.
+ */
+app.get('/revenue_details', requirePermission('view_revenue'), async (req, res) => {
+  try {
+    const transactions = await prisma.membership.findMany({
+      where: {
+        customer: {
+          gym_owner_id: Number(req.user.id),
+        },
+      },
+      include: {
+        customer: {
+          select: {
+            id: true,
+            gym_id: true,
+            name: true,
+            phone_number: true
+          }
+        },
+        plan: { select: { name: true } }
+      }
+    });
+
+    const revenueByMonth = {};
+
+    transactions.forEach((transaction) => {
+      const billDate = new Date(transaction.bill_date);
+      const monthName = billDate.toLocaleString('default', { month: 'long' });
+      const year = billDate.getFullYear();
+      const key = `${monthName} ${year}`;
+
+      if (!revenueByMonth[key]) {
+        revenueByMonth[key] = { transactions: [], revenue: 0, taxable_value: 0, tax: 0 };
+      }
+
+      const transactionWithGymId = {
+        ...transaction,
+        gym_id: transaction.customer.gym_id,
+        customer_name: transaction.customer.name,
+        customer_phone: transaction.customer.phone_number,
+        plan_name: transaction.plan ? transaction.plan.name : null,
+        tax: transaction.tax_amount
+      };
+      
+      revenueByMonth[key].transactions.push(transactionWithGymId);
+      revenueByMonth[key].revenue += transaction.amount;
+      revenueByMonth[key].taxable_value += transaction.taxable_value;
+      revenueByMonth[key].tax += transaction.tax_amount;
+    });
+
+    const result = Object.entries(revenueByMonth).map(([month, data]) => ({
+      month,
+      revenue: data.revenue,
+      taxable_value: roundMoney(data.taxable_value),
+      tax: roundMoney(data.tax),
+      transactions: data.transactions,
+    }));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching revenue:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * GET /revenue_analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month|year
+ * Revenue collected (payments by paid_at, as in GET /revenue) between from and to, per day, week
+ * (from Monday), month or year in the gym's timezone, with totals broken down by payment_mode,
+ * workout_type and personal_training. transactions counts payments. Everything is compared with
+ * the period of the same length just before from.
+ */
+app.get('/revenue_analytics', requirePermission('view_revenue'), async (req, res) => {
+  const gym_owner_id = Number(req.user.id);
+  const granularity = req.query.granularity || 'month';
+  if (!ANALYTICS_GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({ error: `granularity must be one of ${ANALYTICS_GRANULARITIES.join(', ')}` });
+  }
+  const fromRange = gymDayRange(req.query.from);
+  const toRange = gymDayRange(req.query.to);
+  if (!req.query.from || !req.query.to || !fromRange || !toRange || fromRange.start > toRange.end) {
+    return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates, from before to' });
+  }
+
+  const range = { start: fromRange.start, end: toRange.end };
+  const previous = previousPeriod(range);
+  // Payments are summed per payment_mode and membership workout_type and personal_training
+  const breakdown = ({ start, end }) => prisma.$queryRaw`
+    SELECT p."payment_mode", m."workout_type", m."personal_training",
+           SUM(p."amount")::float AS revenue,
+           COUNT(*)::int AS transactions
+    FROM "payment" p
+    JOIN "membership" m ON m."id" = p."membership_id"
+    JOIN "customer" c ON c."id" = m."customer_id"
+    WHERE c."gym_owner_id" = ${gym_owner_id}
+      AND p."paid_at" >= ${start}
+      AND p."paid_at" <= ${end}
+    GROUP BY p."payment_mode", m."workout_type", m."personal_training"`;
+
+  try {
+    // Every bucket of the range is listed, those without payments with zero revenue
+    const series = await prisma.$queryRaw`
+      WITH buckets AS (
+        SELECT generate_series(
+          date_trunc(${granularity}, ${req.query.from}::timestamp),
+          date_trunc(${granularity}, ${req.query.to}::timestamp),
+          ('1 ' || ${granularity})::interval
+        ) AS bucket
+      ), collected AS (
+        SELECT date_trunc(${granularity}, (p."paid_at" AT TIME ZONE 'UTC') AT TIME ZONE ${GYM_TIMEZONE}) AS bucket,
+               SUM(p."amount")::float AS revenue,
+               COUNT(*)::int AS transactions
+        FROM "payment" p
+        JOIN "membership" m ON m."id" = p."membership_id"
+        JOIN "customer" c ON c."id" = m."customer_id"
+        WHERE c."gym_owner_id" = ${gym_owner_id}
+          AND p."paid_at" >= ${range.start}
+          AND p."paid_at" <= ${range.end}
+        GROUP BY 1
+      )
+      SELECT to_char(b.bucket, 'YYYY-MM-DD') AS period,
+             COALESCE(s.revenue, 0)::float AS revenue,
+             COALESCE(s.transactions, 0)::int AS transactions
+      FROM buckets b
+      LEFT JOIN collected s ON s.bucket = b.bucket
+      ORDER BY b.bucket`;
+
+    const current = summarizeRevenue(await breakdown(range));
+    const before = summarizeRevenue(await breakdown(previous));
+
+    res.json({
+      from: range.start,
+      to: range.end,
+      granularity,
+      timezone: GYM_TIMEZONE,
+      ...withPreviousBreakdowns(current, before),
+      previous: { from: previous.start, to: previous.end, ...before.total },
+      change: compareTotals(current.total, before.total),
+      series: series.map((row) => ({
+        period: row.period,
+        revenue: roundMoney(Number(row.revenue)),
+        transactions: Number(row.transactions),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /retention_analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&renewal_days=N
+ * Renewal rate of the memberships ending between from and to, monthly churn over the range,
+ * average membership lifetime and retention of each admission month's cohort. A membership counts
+ * as renewed when the next one starts within renewal_days (30 by default) of its end.
+ */
+app.get('/retention_analytics', requirePermission('view_revenue'), async (req, res) => {
+  const gym_owner_id = Number(req.user.id);
+  const fromRange = gymDayRange(req.query.from);
+  const toRange = gymDayRange(req.query.to);
+  if (!req.query.from || !req.query.to || !fromRange || !toRange || fromRange.start > toRange.end) {
+    return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates, from before to' });
+  }
+  const renewalDays = req.query.renewal_days === undefined ? DEFAULT_RENEWAL_DAYS : Number(req.query.renewal_days);
+  if (!Number.isInteger(renewalDays) || renewalDays < 0 || renewalDays > MAX_RENEWAL_DAYS) {
+    return res.status(400).json({ error: `renewal_days must be a whole number between 0 and ${MAX_RENEWAL_DAYS}` });
+  }
+
+  const range = { start: fromRange.start, end: toRange.end };
+  const now = new Date();
+
+  try {
+    const [counts] = await prisma.$queryRaw`
+      WITH RECURSIVE ordered AS (
+        SELECT m."customer_id",
+               m."start_date",
+               CASE WHEN m."duration_unit" = 'days' THEN make_interval(days => m."duration")
+                    ELSE make_interval(months => m."duration") END
+                 + make_interval(days => COALESCE((
+                     SELECT SUM(CEIL(GREATEST(EXTRACT(EPOCH FROM f."end_date" - f."start_date"), 0) / 86400))::int
+                     FROM "membership_freeze" f
+                     WHERE f."membership_id" = m."id"
+                   ), 0)) AS length,
+               ROW_NUMBER() OVER (PARTITION BY m."customer_id" ORDER BY m."id") AS n
+        FROM "membership" m
+        JOIN "customer" c ON c."id" = m."customer_id"
+        WHERE c."gym_owner_id" = ${gym_owner_id}
+      ), periods AS (
+        -- Replayed as computeEndDate does: a membership bought early runs on from the previous end
+        SELECT "customer_id", n, "start_date"::timestamp AS period_start, ("start_date" + length)::timestamp AS period_end
+        FROM ordered
+        WHERE n = 1
+        UNION ALL
+        SELECT o."customer_id", o.n, GREATEST(p.period_end, o."start_date"), GREATEST(p.period_end, o."start_date") + o.length
+        FROM periods p
+        JOIN ordered o ON o."customer_id" = p."customer_id" AND o.n = p.n + 1
+      ), marked AS (
+        SELECT p.*,
+               CASE WHEN p.period_start <= LAG(p.period_end) OVER w + make_interval(days => ${renewalDays}::int)
+                    THEN 0 ELSE 1 END AS new_spell
+        FROM periods p
+        WINDOW w AS (PARTITION BY p."customer_id" ORDER BY p.n)
+      ), spells AS (
+        -- Continuous membership: periods joined when each starts within the renewal window
+        SELECT "customer_id", MIN(period_start) AS period_start, MAX(period_end) AS period_end
+        FROM (SELECT marked.*, SUM(new_spell) OVER (PARTITION BY "customer_id" ORDER BY n) AS spell FROM marked) numbered
+        GROUP BY "customer_id", spell
+      ), months AS (
+        SELECT to_char(local, 'YYYY-MM') AS month,
+               (local AT TIME ZONE ${GYM_TIMEZONE}) AT TIME ZONE 'UTC' AS month_start,
+               ((local + interval '1 month') AT TIME ZONE ${GYM_TIMEZONE}) AT TIME ZONE 'UTC' AS month_end
+        FROM generate_series(
+          date_trunc('month', ${req.query.from}::timestamp),
+          date_trunc('month', ${req.query.to}::timestamp),
+          interval '1 month'
+        ) AS local
+      ), cohorts AS (
+        SELECT "customer_id", date_trunc('month', (period_start AT TIME ZONE 'UTC') AT TIME ZONE ${GYM_TIMEZONE}) AS cohort
+        FROM periods
+        WHERE n = 1 AND period_start >= ${range.start} AND period_start <= ${range.end}
+      )
+      SELECT
+        (SELECT json_build_object(
+                  'due', COUNT(*),
+                  'renewed', COUNT(*) FILTER (WHERE nx.period_start <= p.period_end + make_interval(days => ${renewalDays}::int)),
+                  'not_renewed', COUNT(*) FILTER (
+                    WHERE nx.period_start > p.period_end + make_interval(days => ${renewalDays}::int)
+                       OR (nx.n IS NULL AND p.period_end + make_interval(days => ${renewalDays}::int) <= ${now})
+                  ),
+                  'pending', COUNT(*) FILTER (
+                    WHERE nx.n IS NULL AND p.period_end + make_interval(days => ${renewalDays}::int) > ${now}
+                  ))
+         FROM periods p
+         LEFT JOIN periods nx ON nx."customer_id" = p."customer_id" AND nx.n = p.n + 1
+         WHERE p.period_end >= ${range.start} AND p.period_end <= ${range.end}) AS renewals,
+        (SELECT COALESCE(json_agg(json_build_object(
+                  'month', churn.month, 'active_at_start', churn.active, 'churned', churn.churned
+                ) ORDER BY churn.month), '[]'::json)
+         FROM (
+           SELECT mo.month,
+                  COUNT(s."customer_id") AS active,
+                  COUNT(s."customer_id") FILTER (
+                    WHERE s.period_end < mo.month_end
+                      AND s.period_end + make_interval(days => ${renewalDays}::int) <= ${now}
+                  ) AS churned
+           FROM months mo
+           LEFT JOIN spells s ON s.period_start <= mo.month_start AND s.period_end > mo.month_start
+           WHERE mo.month_start <= ${now}
+           GROUP BY mo.month
+         ) churn) AS churn,
+        (SELECT json_build_object('customers', COUNT(*), 'days', AVG(days))
+         FROM (
+           SELECT SUM(GREATEST(EXTRACT(EPOCH FROM LEAST(period_end, ${now}) - period_start), 0)) / 86400 AS days
+           FROM periods
+           GROUP BY "customer_id"
+           HAVING MIN(period_start) <= ${now}
+         ) lifetimes) AS lifetime,
+        (SELECT COALESCE(json_agg(json_build_object(
+                  'cohort', retention.cohort, 'month', retention.month,
+                  'members', retention.members, 'retained', retention.retained
+                )), '[]'::json)
+         FROM (
+           SELECT to_char(co.cohort, 'YYYY-MM') AS cohort,
+                  g.month,
+                  COUNT(DISTINCT co."customer_id") AS members,
+                  COUNT(DISTINCT p."customer_id") AS retained
+           FROM cohorts co
+           CROSS JOIN generate_series(0, ${COHORT_MONTHS}::int) AS g(month)
+           LEFT JOIN periods p ON p."customer_id" = co."customer_id"
+             AND p.period_start < ((co.cohort + make_interval(months => g.month + 1)) AT TIME ZONE ${GYM_TIMEZONE}) AT TIME ZONE 'UTC'
+             AND p.period_end > ((co.cohort + make_interval(months => g.month)) AT TIME ZONE ${GYM_TIMEZONE}) AT TIME ZONE 'UTC'
+           WHERE ((co.cohort + make_interval(months => g.month)) AT TIME ZONE ${GYM_TIMEZONE}) AT TIME ZONE 'UTC' <= ${now}
+           GROUP BY co.cohort, g.month
+         ) retention) AS cohorts`;
+
+    res.json({
+      from: range.start,
+      to: range.end,
+      renewal_days: renewalDays,
+      timezone: GYM_TIMEZONE,
+      renewals: renewalSummary(counts.renewals),
+      churn: monthlyChurn(counts.churn),
+      average_lifetime: averageLifetime(counts.lifetime),
+      cohorts: cohortRetention(counts.cohorts),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /lapsed_members?days=N
+ * Members whose membership ended more than N days ago (30 by default) and who haven't renewed,
+ * most recently lapsed first, to call and win back.
+ */
+app.get('/lapsed_members', requirePermission('view_members'), async (req, res) => {
+  const days = req.query.days === undefined ? DEFAULT_RENEWAL_DAYS : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_RENEWAL_DAYS) {
+    return res.status(400).json({ error: `days must be a whole number between 0 and ${MAX_RENEWAL_DAYS}` });
+  }
+
+  try {
+    const now = new Date();
+    const customers = await prisma.customer.findMany({
+      where: {
+        gym_owner_id: Number(req.user.id),
+        end_date: { lt: addDays(now, -days) },
+      },
+      select: { id: true, gym_id: true, name: true, phone_number: true, end_date: true },
+      orderBy: { end_date: 'desc' },
+    });
+
+    res.json(customers.map((customer) => ({
+      ...customer,
+      days_lapsed: Math.floor((now - new Date(customer.end_date)) / (24 * 60 * 60 * 1000)),
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// profile edit of the customer. The extended profile fields (PROFILE_FIELDS) are optional,
+// those left out are kept and null or '' clears them.
+app.put(
+  '/edit_profile',
+  requirePermission('manage_members'),
+  body('date_of_birth')
+    .optional({ values: 'null' })
+    .if(body('date_of_birth').notEmpty())
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('date_of_birth must be a date in YYYY-MM-DD format')
+    .bail()
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage('date_of_birth cannot be in the future'),
+  body('gender')
+    .optional({ values: 'falsy' })
+    .isIn(GENDERS)
+    .withMessage(`gender must be one of ${GENDERS.join(', ')}`),
+  body('emergency_contact_phone')
+    .optional({ values: 'falsy' })
+    .isMobilePhone('any')
+    .withMessage('Invalid emergency contact phone number'),
+  body(['address', 'emergency_contact_name', 'emergency_contact_relation', 'health_notes', 'goals'])
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Profile notes must be text of at most 2000 characters'),
+  validate,
+  async (req, res) => {
+    const { gym_id, phone_number, name } = req.body;
+    const gym_owner_id = req.user.id;
+
+    if (!gym_id || !phone_number || !name) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const profileChanges = {};
+    for (const field of PROFILE_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined) {
+        continue;
+      }
+      if (value === null || value === '') {
+        profileChanges[field] = null;
+      } else {
+        profileChanges[field] = field === 'date_of_birth' ? new Date(value) : value.toString().trim();
+      }
+    }
+
+    try {
+      const customer = await prisma.$transaction(async (tx) => {
+        const existing = await findOwnedCustomer(tx, gym_owner_id, gym_id);
+        if (!existing) {
+          return null;
+        }
+
+        const changes = { name, phone_number, ...profileChanges };
+        const updated = await tx.customer.update({
+          where: { id: existing.id },
+          data: changes,
+        });
+
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'customer',
+          entity_id: existing.id,
+          customer_id: existing.id,
+          action: 'update',
+          ...changedFields(existing, changes),
+        });
+        return updated;
+      });
+
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      res.json({ success: true, customer });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /profile/photo?gym_id=G1
+ * Uploads a member's photo as the raw request body (a JPEG, PNG or WebP image of at most 5 MB),
+ * replacing any earlier photo.
+ */
+app.put(
+  '/profile/photo',
+  requirePermission('manage_members'),
+  express.raw({ type: Object.keys(PHOTO_CONTENT_TYPES), limit: MAX_PHOTO_BYTES }),
+  async (req, res) => {
+    const { gym_id } = req.query;
+    const gym_owner_id = req.user.id;
+
+    if (!gym_id) {
+      return res.status(400).json({ error: 'gym_id is required' });
+    }
+    const photo = Buffer.isBuffer(req.body) ? req.body : null;
+    const contentType = photo ? detectPhotoType(photo) : null;
+    if (!contentType) {
+      return res.status(400).json({ error: 'Upload a JPEG, PNG or WebP image' });
+    }
+
+    try {
+      const customer = await findOwnedCustomer(prisma, gym_owner_id, gym_id);
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      const storage = getPhotoStorage();
+      const key = photoKey(gym_owner_id, customer.id, contentType);
+      await storage.save(key, photo, contentType);
+
+      try {
+        await prisma.$transaction(async (tx) => {
+          await tx.customer.update({ where: { id: customer.id }, data: { photo_key: key } });
+          await recordAudit(tx, {
+            gym_owner_id,
+            user: req.user,
+            entity_type: 'customer',
+            entity_id: customer.id,
+            customer_id: customer.id,
+            action: 'update',
+            ...changedFields(customer, { photo_key: key }),
+          });
+        });
+      } catch (error) {
+        await storage.remove(key);
+        throw error;
+      }
+
+      if (customer.photo_key) {
+        await storage.remove(customer.photo_key).catch((error) => console.error('Error removing old photo:', error));
+      }
+
+      res.json({ success: true, photo_url: `/profile/photo?gym_id=${encodeURIComponent(customer.gym_id)}` });
+    } catch (error) {
+      console.error('Error saving photo:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /profile/photo?gym_id=G1
+ * Returns a member's photo.
+ */
+app.get('/profile/photo', requirePermission('view_members'), async (req, res) => {
+  try {
+    const customer = await findOwnedCustomer(prisma, req.user.id, req.query.gym_id, {
+      select: { photo_key: true },
+    });
+    const photo = customer && customer.photo_key ? await getPhotoStorage().read(customer.photo_key) : null;
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    res.setHeader('Content-Type', photoContentType(customer.photo_key));
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.send(photo);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /profile/photo?gym_id=G1
+ * Removes a member's photo.
+ */
+app.delete('/profile/photo', requirePermission('manage_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+
+  try {
+    const customer = await prisma.$transaction(async (tx) => {
+      const existing = await findOwnedCustomer(tx, gym_owner_id, req.query.gym_id);
+      if (!existing || !existing.photo_key) {
+        return existing;
+      }
+
+      await tx.customer.update({ where: { id: existing.id }, data: { photo_key: null } });
+      await recordAudit(tx, {
+        gym_owner_id,
+        user: req.user,
+        entity_type: 'customer',
+        entity_id: existing.id,
+        customer_id: existing.id,
+        action: 'update',
+        ...changedFields(existing, { photo_key: null }),
+      });
+      return existing;
+    });
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    if (customer.photo_key) {
+      await getPhotoStorage().remove(customer.photo_key);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /search?q=ram&limit=10
+ * Type-ahead customer search over gym_id prefixes, id_card_number, phone number suffixes and names
+ * (partial or misspelt), best matches first: exact gym_id or ID card, then gym_id prefix, phone
+ * number, name prefix, a word of the name, and anywhere in or close to the name.
+ */
+app.get('/search', requirePermission('view_members'), async (req, res) => {
+  const terms = searchTerms(req.query.q);
+  if (!terms) {
+    return res.status(400).json({ error: `Search for at least ${MIN_SEARCH_LENGTH} characters` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+
+  try {
+    const customers = await prisma.$queryRaw`
+      SELECT c."id", c."gym_id", c."name", c."phone_number", c."status", c."end_date", c."id_card_number",
+             (CASE
+                WHEN lower(c."gym_id") = lower(${terms.text}) OR c."id_card_number" = ${terms.text} THEN 6
+                WHEN c."gym_id" ILIKE ${terms.like} || '%' THEN 5
+                WHEN ${terms.digits}::text IS NOT NULL AND c."phone_number" LIKE '%' || ${terms.digits}::text THEN 4
+                WHEN c."name" ILIKE ${terms.like} || '%' THEN 3
+                WHEN c."name" ILIKE '% ' || ${terms.like} || '%' THEN 2
+                WHEN c."name" ILIKE '%' || ${terms.like} || '%' THEN 1
+                ELSE 0
+              END + similarity(c."name", ${terms.text}))::float AS score
+      FROM "customer" c
+      WHERE c."gym_owner_id" = ${Number(req.user.id)}
+        AND (
+          c."gym_id" ILIKE ${terms.like} || '%'
+          OR c."id_card_number" = ${terms.text}
+          OR (${terms.digits}::text IS NOT NULL AND c."phone_number" LIKE '%' || ${terms.digits}::text)
+          OR c."name" ILIKE '%' || ${terms.like} || '%'
+          OR c."name" % ${terms.text}
+        )
+      ORDER BY score DESC, c."name" ASC
+      LIMIT ${limit}`;
+
+    res.json(customers);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /search/:id
+ * Exact lookup of a customer by gym_id.
+ */
+app.get("/search/:id", requirePermission("view_members"), async (req, res) => {
+    const gym_owner_id = req.user.id;
+    const id = req.params.id;
+    
+    const customer = await findOwnedCustomer(prisma, gym_owner_id, id);
+    
+    if (!customer) {
+        return res.status(404).json({ error: "Customer not found" });
+    }
+    
+    res.json(customer);
+});
+
+// edit the transction of the customer, recomputing the customer's end_date when the period changes
+app.put('/edit_transaction', requirePermission('edit_transactions'), async (req, res) => {
+  const { transaction_id, duration, start_date, payment_mode, amount, workout_type, personal_training } = req.body;
+  const gym_owner_id = req.user.id;
+
+  if (!transaction_id || !duration || !start_date || !payment_mode || !amount || !workout_type || personal_training === undefined) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  try {
+    const transaction = await prisma.$transaction(async (tx) => {
+      const existing = await findOwnedMembership(tx, gym_owner_id, transaction_id);
+      if (!existing) {
+        return null;
+      }
+      if (parseFloat(amount) < existing.amount_paid) {
+        const error = new Error(`Amount cannot be less than what has already been paid (${existing.amount_paid})`);
+        error.status = 400;
+        throw error;
+      }
+
+      const changes = {
+        duration: Number(duration),
+        start_date: new Date(start_date),
+        payment_mode,
+        amount: parseFloat(amount),
+        workout_type,
+        personal_training,
+      };
+      // A corrected amount of a taxed transaction is taken as tax-inclusive at the rate it was billed at,
+      // an untaxed one is all taxable value
+      if (changes.amount !== existing.amount && !(existing.tax_rate > 0)) {
+        changes.taxable_value = changes.amount;
+      } else if (changes.amount !== existing.amount) {
+        const { tax_rate, ...taxFields } = splitTax(changes.amount, existing.tax_rate, true);
+        Object.assign(changes, taxFields);
+      }
+      if (existing.list_price !== null && existing.list_price !== undefined) {
+        changes.discount = roundMoney(Math.max(0, existing.list_price - changes.amount));
+      }
+      const updated = await tx.membership.update({
+        where: { id: existing.id },
+        data: changes,
+      });
+
+      await recordAudit(tx, {
+        gym_owner_id,
+        user: req.user,
+        entity_type: 'membership',
+        entity_id: existing.id,
+        customer_id: existing.customer_id,
+        action: 'update',
+        ...changedFields(existing, changes),
+      });
+
+      const periodChanged = existing.duration !== changes.duration
+        || new Date(existing.start_date).getTime() !== changes.start_date.getTime();
+
+      if (periodChanged) {
+        const memberships = await tx.membership.findMany({
+          where: { customer_id: existing.customer_id },
+          select: {
+            id: true,
+            start_date: true,
+            duration: true,
+            duration_unit: true,
+            freezes: { select: { start_date: true, end_date: true } },
+          },
+        });
+        const end_date = computeEndDate(memberships);
+        const customerChanges = { end_date, status: end_date > new Date() };
+
+        await tx.customer.update({
+          where: { id: existing.customer_id },
+          data: customerChanges,
+        });
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'customer',
+          entity_id: existing.customer_id,
+          customer_id: existing.customer_id,
+          action: 'update',
+          ...changedFields(existing.customer, customerChanges),
+        });
+      }
+
+      return updated;
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    res.json({ success: true, transaction });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /transactions/:id/receipt
+ * Downloads the PDF receipt of a membership transaction.
+ */
+app.get('/transactions/:id/receipt', requirePermission('view_members'), async (req, res) => {
+  try {
+    const receipt = await buildMembershipReceipt(req.user.id, req.params.id);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${receiptFileName(receipt)}"`);
+    res.send(renderReceiptPdf(receipt));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /transactions/:id/send_receipt
+ * Sends the PDF receipt of a membership transaction to the customer over WhatsApp again.
+ */
+app.post('/transactions/:id/send_receipt', requirePermission('manage_members'), async (req, res) => {
+  try {
+    const membership = await findOwnedMembership(prisma, req.user.id, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const sent = await sendReceiptDocument(req.user.id, membership.id, `91${membership.customer.phone_number}@s.whatsapp.net`);
+    if (!sent) {
+      return res.status(502).json({ error: 'Could not send the receipt over WhatsApp' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /dashboard
+ * Response: Dashboard data with active/inactive counts, expiring memberships, outstanding dues, today's payments, and gym/owner information
+ */
+app.get('/dashboard', requirePermission('view_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+
+  try {
+    // First, get gym owner details to include name and gym name
+    const gymOwner = await prisma.gym_owner.findUnique({
+      where: { id: Number(gym_owner_id) },
+      select: { name: true, gym_name: true },
+    });
+
+    if (!gymOwner) {
+      return res.status(404).json({ error: 'Gym owner not found' });
+    }
+
+    const now = new Date();
+
+    // Get count of active members, members on a freeze are counted separately
+    const activeCount = await prisma.customer.count({
+      where: {
+        gym_owner_id: Number(gym_owner_id),
+        status: true,
+        freezes: { none: frozenAt(now) },
+      },
+    });
+
+    const frozenCount = await prisma.customer.count({
+      where: {
+        gym_owner_id: Number(gym_owner_id),
+        status: true,
+        freezes: { some: frozenAt(now) },
+      },
+    });
+
+    // Get count of inactive members
+    const inactiveCount = await prisma.customer.count({
+      where: {
+        gym_owner_id: Number(gym_owner_id),
+        status: false,
+      },
+    });
+
+    // Get count of expiring memberships in the next 7 days
+    const futureDate = new Date();
+    futureDate.setDate(now.getDate() + 7);
+
+    const expiringCount = await prisma.customer.count({
+      where: {
+        gym_owner_id: Number(gym_owner_id),
+        status: true,
+        end_date: { gte: now, lte: futureDate },
+        freezes: { none: frozenAt(now) },
+      },
+    });
+
+    // Get payments collected today in the gym's timezone, including dues paid off today
+    const today = gymDayRange();
+    const todayPayments = await prisma.payment.findMany({
+      where: {
+        membership: {
+          customer: {
+            gym_owner_id: Number(gym_owner_id),
+          },
+        },
+        paid_at: {
+          gte: today.start,
+          lte: today.end,
+        },
+      },
+      include: {
+        membership: {
+          include: {
+            customer: {
+              select: {
+                name: true,
+                phone_number: true,
+                gym_id: true,
+              },
+            },
+          },
+        },
+      },
+    });
+
+    // Calculate total revenue from money collected today
+    const todayRevenue = todayPayments.reduce((sum, payment) => sum + payment.amount, 0);
+
+    const dues = await findCustomersWithDues(gym_owner_id);
+
+    // Return all dashboard data in one response, including gym name and owner name
+    res.json({
+      gym_owner: {
+        name: gymOwner.name,
+        gym_name: gymOwner.gym_name
+      },
+      active_members: activeCount,
+      inactive_members: inactiveCount,
+      frozen_members: frozenCount,
+      expiring_memberships: expiringCount,
+      outstanding_dues: {
+        count: dues.length,
+        total: roundMoney(dues.reduce((sum, customer) => sum + customer.balance_due, 0)),
+      },
+      today_transactions: {
+        count: todayPayments.length,
+        revenue: todayRevenue,
+        transactions: todayPayments.map(payment => ({
+          id: payment.membership_id,
+          payment_id: payment.id,
+          amount: payment.amount,
+          payment_mode: payment.payment_mode,
+          customer_name: payment.membership.customer.name,
+          customer_phone: payment.membership.customer.phone_number,
+          customer_gym_id: payment.membership.customer.gym_id,
+          bill_date: payment.paid_at,
+          payment_details: payment.payment_details || null,
+          workout_type: payment.membership.workout_type,
+          personal_training: payment.membership.personal_training,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching dashboard data:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+/**
+ * GET /membership_expiry/last_run
+ * Returns the result of the most recent membership expiry run for this gym owner.
+ */
+app.get('/membership_expiry/last_run', requirePermission('view_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+  const lastRun = getLastExpiryRun();
+
+  if (!lastRun) {
+    return res.json({ ran_at: null, success: null, expired_count: 0 });
+  }
+
+  res.json({
+    ran_at: lastRun.ran_at,
+    success: lastRun.success,
+    expired_count: lastRun.expired_by_owner[Number(gym_owner_id)] || 0,
+    error: lastRun.error,
+  });
+});
+
+/**
+ * GET /reminder_settings
+ * Returns the gym owner's WhatsApp renewal reminder settings and the last reminder run.
+ */
+app.get('/reminder_settings', requirePermission('manage_account'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+
+  try {
+    const setting = await prisma.reminder_setting.findUnique({
+      where: { gym_owner_id: Number(gym_owner_id) },
+    });
+
+    const lastRun = getLastReminderRun();
+    res.json({
+      ...resolveReminderSettings(setting),
+      last_run_at: lastRun ? lastRun.ran_at : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /reminder_settings
+ * Updates when renewal reminders are sent and the message templates used.
+ * Templates may use {name}, {gym_id}, {gym_name}, {owner_name}, {owner_phone}, {end_date} and {days}.
+ */
+app.put(
+  '/reminder_settings',
+  requirePermission('manage_account'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean').toBoolean(),
+  body('days_before').optional().isArray({ max: 5 }).withMessage('days_before must be a list of up to 5 values'),
+  body('days_before.*').isInt({ min: 1, max: 60 }).withMessage('days_before values must be between 1 and 60').toInt(),
+  body('send_on_day').optional().isBoolean().withMessage('send_on_day must be a boolean').toBoolean(),
+  body('days_after').optional().isArray({ max: 5 }).withMessage('days_after must be a list of up to 5 values'),
+  body('days_after.*').isInt({ min: 1, max: 60 }).withMessage('days_after values must be between 1 and 60').toInt(),
+  body(['before_template', 'on_day_template', 'after_template'])
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Templates must be text of at most 2000 characters'),
+  validate,
+  async (req, res, next) => {
+    const gym_owner_id = req.user.id;
+    const { enabled, days_before, send_on_day, days_after, before_template, on_day_template, after_template } = req.body;
+    const data = { enabled, days_before, send_on_day, days_after, before_template, on_day_template, after_template };
+
+    try {
+      const setting = await prisma.reminder_setting.upsert({
+        where: { gym_owner_id: Number(gym_owner_id) },
+        update: data,
+        create: { gym_owner_id: Number(gym_owner_id), ...data },
+      });
+      res.json(resolveReminderSettings(setting));
+    } catch (error) {
+      console.error('Error updating reminder settings', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /tax_settings
+ * Returns the gym owner's GST settings.
+ */
+app.get('/tax_settings', requirePermission('manage_account'), async (req, res) => {
+  try {
+    res.json(await loadTaxSettings(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /tax_settings
+ * Updates the GST settings applied to memberships sold from now on. Enabling GST requires a GSTIN.
+ */
+app.put(
+  '/tax_settings',
+  requirePermission('manage_account'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean').toBoolean(),
+  body('gstin')
+    .optional({ values: 'null' })
+    .customSanitizer((value) => value.toString().trim().toUpperCase())
+    .matches(GSTIN_PATTERN)
+    .withMessage('Invalid GSTIN'),
+  body('rate').optional().isFloat({ min: 0, max: 28 }).withMessage('Rate must be between 0 and 28 percent').toFloat(),
+  body('inclusive').optional().isBoolean().withMessage('inclusive must be a boolean').toBoolean(),
+  validate,
+  async (req, res, next) => {
+    const gym_owner_id = req.user.id;
+    const { enabled, gstin, rate, inclusive } = req.body;
+    const data = { enabled, gstin, rate, inclusive };
+
+    try {
+      const current = await loadTaxSettings(gym_owner_id);
+      const gstinAfter = gstin === undefined ? current.gstin : gstin;
+      if ((enabled ?? current.enabled) && !gstinAfter) {
+        return res.status(400).json({ error: 'A GSTIN is required to charge GST' });
+      }
+
+      const setting = await prisma.tax_setting.upsert({
+        where: { gym_owner_id: Number(gym_owner_id) },
+        update: data,
+        create: { gym_owner_id: Number(gym_owner_id), ...data },
+      });
+      res.json(resolveTaxSettings(setting));
+    } catch (error) {
+      console.error('Error updating tax settings', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /tax_summary
+ * GST collected between ?from=YYYY-MM-DD and ?to=YYYY-MM-DD (by invoice date), in total and per rate.
+ */
+app.get('/tax_summary', requirePermission('view_revenue'), async (req, res) => {
+  const fromRange = gymDayRange(req.query.from);
+  const toRange = gymDayRange(req.query.to);
+  if (!req.query.from || !req.query.to || !fromRange || !toRange || fromRange.start > toRange.end) {
+    return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates, from before to' });
+  }
+
+  try {
+    const groups = await prisma.membership.groupBy({
+      by: ['tax_rate'],
+      where: {
+        customer: { gym_owner_id: Number(req.user.id) },
+        bill_date: { gte: fromRange.start, lte: toRange.end },
+      },
+      _sum: { taxable_value: true, cgst: true, sgst: true, tax_amount: true, amount: true },
+      _count: { _all: true },
+      orderBy: { tax_rate: 'asc' },
+    });
+
+    const rates = groups.map((group) => ({
+      rate: group.tax_rate,
+      invoices: group._count._all,
+      taxable_value: roundMoney(group._sum.taxable_value || 0),
+      cgst: roundMoney(group._sum.cgst || 0),
+      sgst: roundMoney(group._sum.sgst || 0),
+      tax: roundMoney(group._sum.tax_amount || 0),
+      total: roundMoney(group._sum.amount || 0),
+    }));
+    const sum = (field) => roundMoney(rates.reduce((total, rate) => total + rate[field], 0));
+
+    res.json({
+      from: fromRange.start,
+      to: toRange.end,
+      invoices: rates.reduce((total, rate) => total + rate.invoices, 0),
+      taxable_value: sum('taxable_value'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      tax: sum('tax'),
+      total: sum('total'),
+      rates,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ----------------------
+// Member Import
+// ----------------------
+
+// Interactive transactions time out after 5 seconds by default, too soon for a large import
+const IMPORT_TRANSACTION_TIMEOUT = 120 * 1000;
+
+/**
+ * Reads a yes/no option of the import from the query string or the JSON body.
+ */
+function importOption(req, name) {
+  const value = req.query[name] ?? (typeof req.body === 'object' ? req.body[name] : undefined);
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * POST /import/members?dry_run=true&notify=true
+ * Imports customers with their current membership from a CSV (see memberImport.js for the columns),
+ * sent as a text/csv body, or as `csv` in a JSON body along with dry_run and notify.
+ * Every row is checked first, duplicate gym_ids the same way as /check_gym_id. With dry_run, or
+ * when any row has errors, nothing is imported and the per-row errors are returned; otherwise all
+ * rows are imported in one transaction. WhatsApp welcome messages are only sent with notify.
+ * Imported memberships are history from before the app, so they carry no GST or invoice number.
+ */
+app.post(
+  '/import/members',
+  requirePermission('manage_members'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    const gym_owner_id = req.user.id;
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+    const dryRun = importOption(req, 'dry_run');
+    const notify = importOption(req, 'notify');
+
+    if (!csv) {
+      return res.status(400).json({ error: 'A CSV of members is required' });
+    }
+
+    try {
+      const parsed = parseMemberImport(csv);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      const takenGymIds = await findTakenGymIds(prisma, gym_owner_id, parsed.rows.map((row) => row.gym_id));
+      const rows = flagTakenGymIds(parsed.rows, takenGymIds);
+      const invalid = rows.filter((row) => row.errors.length > 0);
+      const summary = {
+        total: rows.length,
+        valid: rows.length - invalid.length,
+        invalid: invalid.length,
+        errors: invalid.map(({ row, gym_id, errors }) => ({ row, gym_id, errors })),
+      };
+
+      if (dryRun) {
+        return res.json({ dry_run: true, ...summary });
+      }
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Some rows have errors, nothing was imported', ...summary });
+      }
+
+      const now = new Date();
+
+      const imported = await prisma.$transaction(async (tx) => {
+        const results = [];
+        for (const { member } of rows) {
+          const end_date = addDuration(member.start_date, member.duration, member.duration_unit);
+          const customer = await tx.customer.create({
+            data: {
+              gym_owner_id: Number(gym_owner_id),
+              gym_id: member.gym_id,
+              name: member.name,
+              phone_number: member.phone_number,
+              id_card_number: member.id_card_number,
+              status: end_date > now,
+              end_date,
+            },
+          });
+
+          const priced = priceMembership({
+            plan_id: null,
+            duration: member.duration,
+            duration_unit: member.duration_unit,
+            list_price: member.amount,
+            discount: 0,
+            amount: member.amount,
+            workout_type: member.workout_type,
+            personal_training: member.personal_training,
+            // Register amounts were never billed with GST here, so they are imported untaxed
+            tax_settings: null,
+          });
+          // Nor were they invoiced: imported memberships take no invoice number, so the GST invoice
+          // series only covers what was billed through the app, and the payment is dated start_date
+          const membership = await tx.membership.create({
+            data: buildMembershipData(customer.id, {
+              ...priced,
+              amount_paid: member.amount_paid,
+              start_date: member.start_date,
+              bill_date: member.start_date,
+              payment_mode: member.payment_mode,
+              payment_details: member.payment_details,
+            }, req.user),
+          });
+          await recordInitialPayment(tx, membership, req.user, { paid_at: member.start_date });
+
+          await recordAudit(tx, {
+            gym_owner_id,
+            user: req.user,
+            entity_type: 'customer',
+            entity_id: customer.id,
+            customer_id: customer.id,
+            action: 'import',
+            after: customer,
+          });
+          await recordAudit(tx, {
+            gym_owner_id,
+            user: req.user,
+            entity_type: 'membership',
+            entity_id: membership.id,
+            customer_id: customer.id,
+            action: 'import',
+            after: membership,
+          });
+
+          results.push({ customer, membership });
+        }
+        return results;
+      }, { timeout: IMPORT_TRANSACTION_TIMEOUT });
+
+      if (notify) {
+        for (const { customer, membership } of imported) {
+          await sendMembershipMessages(gym_owner_id, customer, membership);
+        }
+      }
+
+      res.json({ success: true, imported: imported.length, notified: notify });
+    } catch (error) {
+      console.error('Error importing members:', error);
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A Gym ID in the file was taken meanwhile, nothing was imported' });
+      }
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+// ----------------------
+// Exports
+// ----------------------
+
+/**
+ * Reads ?format (csv by default), or null when it isn't a supported export format.
+ */
+function exportFormat(query) {
+  const format = (query.format || 'csv').toString().toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Streams pages of rows (`batches`, arrays of rows) to the response as a CSV or XLSX download.
+ */
+async function sendExport(res, { format, fileName, sheetName, columns, batches }) {
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+  const writer = createExportWriter(format, res, { columns, sheetName });
+  await writer.start();
+  for await (const rows of batches) {
+    await writer.writeRows(rows);
+  }
+  await writer.end();
+}
+
+/**
+ * Ends a failed export: an error response if nothing was sent yet, otherwise the download is cut off.
+ */
+function failExport(res, error) {
+  console.error('Error exporting data:', error);
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+  res.status(500).json({ error: error.message });
+}
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+
+const CUSTOMER_EXPORT_COLUMNS = [
+  { header: 'Gym ID', value: (customer) => customer.gym_id },
+  { header: 'Name', value: (customer) => customer.name },
+  { header: 'Phone Number', value: (customer) => customer.phone_number },
+  { header: 'Status', value: (customer) => (customer.status ? 'Active' : 'Inactive') },
+  { header: 'End Date', value: (customer) => formatExportDate(customer.end_date) },
+  { header: 'ID Card Number', value: (customer) => customer.id_card_number },
+  { header: 'Referral Credit', value: (customer) => customer.referral_credit },
+];
+
+const TRANSACTION_EXPORT_COLUMNS = [
+  { header: 'Invoice No', value: (membership) => membership.invoice_number },
+  { header: 'Bill Date', value: (membership) => formatExportDate(membership.bill_date) },
+  { header: 'Start Date', value: (membership) => formatExportDate(membership.start_date) },
+  { header: 'Gym ID', value: (membership) => membership.customer.gym_id },
+  { header: 'Customer Name', value: (membership) => membership.customer.name },
+  { header: 'Phone Number', value: (membership) => membership.customer.phone_number },
+  { header: 'Plan', value: (membership) => (membership.plan ? membership.plan.name : 'Custom') },
+  { header: 'Duration', value: (membership) => `${membership.duration} ${membership.duration_unit}` },
+  { header: 'Workout Type', value: (membership) => membership.workout_type },
+  { header: 'Personal Training', value: (membership) => yesNo(membership.personal_training) },
+  { header: 'Payment Mode', value: (membership) => membership.payment_mode },
+  { header: 'List Price', value: (membership) => membership.list_price },
+  { header: 'Discount', value: (membership) => membership.discount },
+  { header: 'Taxable Value', value: (membership) => membership.taxable_value },
+  { header: 'CGST', value: (membership) => membership.cgst },
+  { header: 'SGST', value: (membership) => membership.sgst },
+  { header: 'Amount', value: (membership) => membership.amount },
+  { header: 'Amount Paid', value: (membership) => membership.amount_paid },
+  { header: 'Balance Due', value: (membership) => roundMoney(membership.amount - membership.amount_paid) },
+];
+
+const REVENUE_EXPORT_COLUMNS = [
+  { header: 'Month', value: (month) => month.month },
+  { header: 'Payments', value: (month) => month.payments },
+  { header: 'Revenue', value: (month) => roundMoney(month.revenue) },
+  { header: 'Taxable Value', value: (month) => roundMoney(month.taxable_value) },
+  { header: 'Tax', value: (month) => roundMoney(month.tax) },
+];
+
+/**
+ * GET /export/customers?format=csv|xlsx
+ * Downloads the gym owner's customer list, the same customers as /view_all.
+ */
+app.get('/export/customers', requirePermission('view_members'), async (req, res) => {
+  const format = exportFormat(req.query);
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    await sendExport(res, {
+      format,
+      fileName: 'customers',
+      sheetName: 'Customers',
+      columns: CUSTOMER_EXPORT_COLUMNS,
+      batches: findInBatches(prisma.customer, { where: { gym_owner_id: Number(req.user.id) } }),
+    });
+  } catch (error) {
+    failExport(res, error);
+  }
+});
+
+/**
+ * GET /export/transactions?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv|xlsx
+ * Downloads the membership transactions billed between from and to (inclusive).
+ */
+app.get('/export/transactions', requirePermission('view_revenue'), async (req, res) => {
+  const format = exportFormat(req.query);
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const fromRange = gymDayRange(req.query.from);
+  const toRange = gymDayRange(req.query.to);
+  if (!req.query.from || !req.query.to || !fromRange || !toRange || fromRange.start > toRange.end) {
+    return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates, from before to' });
+  }
+
+  try {
+    await sendExport(res, {
+      format,
+      fileName: `transactions-${req.query.from}-to-${req.query.to}`,
+      sheetName: 'Transactions',
+      columns: TRANSACTION_EXPORT_COLUMNS,
+      batches: findInBatches(prisma.membership, {
+        where: {
+          customer: { gym_owner_id: Number(req.user.id) },
+          bill_date: { gte: fromRange.start, lte: toRange.end },
+        },
+        include: {
+          customer: { select: { gym_id: true, name: true, phone_number: true } },
+          plan: { select: { name: true } },
+        },
+      }),
+    });
+  } catch (error) {
+    failExport(res, error);
+  }
+});
+
+/**
+ * GET /export/revenue?format=csv|xlsx
+ * Downloads the money collected each month (payments by paid_at in the gym's timezone), oldest
+ * month first. Each payment's tax is its share of its membership's GST.
+ */
+app.get('/export/revenue', requirePermission('view_revenue'), async (req, res) => {
+  const format = exportFormat(req.query);
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT to_char(date_trunc('month', (p."paid_at" AT TIME ZONE 'UTC') AT TIME ZONE 'Asia/Kolkata'), 'YYYY-MM') AS month,
+             COUNT(*)::int AS payments,
+             SUM(p."amount")::float AS revenue,
+             SUM(CASE WHEN m."amount" > 0 THEN p."amount" * m."tax_amount" / m."amount" ELSE 0 END)::float AS tax
+      FROM "payment" p
+      JOIN "membership" m ON m."id" = p."membership_id"
+      JOIN "customer" c ON c."id" = m."customer_id"
+      WHERE c."gym_owner_id" = ${Number(req.user.id)}
+      GROUP BY 1
+      ORDER BY 1`;
+
+    const months = rows.map((row) => {
+      const [year, month] = row.month.split('-').map(Number);
+      return {
+        month: new Date(Date.UTC(year, month - 1, 1)).toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+        payments: Number(row.payments),
+        revenue: Number(row.revenue),
+        taxable_value: Number(row.revenue) - Number(row.tax),
+        tax: Number(row.tax),
+      };
+    });
+
+    await sendExport(res, {
+      format,
+      fileName: 'revenue',
+      sheetName: 'Revenue',
+      columns: REVENUE_EXPORT_COLUMNS,
+      batches: [months],
+    });
+  } catch (error) {
+    failExport(res, error);
+  }
+});
+
+// ----------------------
+// Attendance
+// ----------------------
+
+/**
+ * Returns the start and end of a calendar day ("YYYY-MM-DD", today when omitted) in Asia/Kolkata time,
+ * or null if the date is malformed.
+ */
+function gymDayRange(date) {
+  const day = date || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    return null;
+  }
+  const start = new Date(`${day}T00:00:00.000+05:30`);
+  const end = new Date(`${day}T23:59:59.999+05:30`);
+  return Number.isNaN(start.getTime()) ? null : { start, end };
+}
+
+/**
+ * Returns the start and end of the current calendar month in Asia/Kolkata time.
+ */
+function gymMonthRange() {
+  const [year, month] = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }).split('-');
+  const lastDay = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+  return {
+    start: gymDayRange(`${year}-${month}-01`).start,
+    end: gymDayRange(`${year}-${month}-${lastDay}`).end,
+  };
+}
+
+/**
+ * Finds the gym owner's customer from a check-in/check-out request body, by gym_id or id_card_number.
+ */
+function findAttendanceCustomer(gym_owner_id, { gym_id, id_card_number }) {
+  return gym_id
+    ? findOwnedCustomer(prisma, gym_owner_id, gym_id)
+    : findOwnedCustomerByIdCard(prisma, gym_owner_id, id_card_number);
+}
+
+/**
+ * POST /attendance/check_in
+ * Checks a member in by gym_id or id_card_number. Expired memberships are rejected unless
+ * allow_expired is true, in which case the visit is recorded with a warning. A visit still open
+ * from an earlier day is closed at the end of that day first.
+ */
+app.post('/attendance/check_in', requirePermission('manage_members'), async (req, res) => {
+  const { gym_id, id_card_number, allow_expired } = req.body;
+  const gym_owner_id = req.user.id;
+
+  if (!gym_id && !id_card_number) {
+    return res.status(400).json({ error: 'gym_id or id_card_number is required' });
+  }
+
+  try {
+    const customer = await findAttendanceCustomer(gym_owner_id, { gym_id, id_card_number });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const now = new Date();
+    const expired = !customer.end_date || new Date(customer.end_date) < now;
+    if (expired && allow_expired !== true) {
+      return res.status(403).json({
+        error: 'Membership expired',
+        end_date: customer.end_date,
+        gym_id: customer.gym_id,
+        name: customer.name,
+      });
+    }
+
+    // A member can only be checked in once at a time. A visit left open on an earlier day,
+    // when the member never checked out, is closed at the end of that day instead.
+    const { start } = gymDayRange();
+    const openVisit = await prisma.attendance.findFirst({
+      where: { customer_id: customer.id, check_out: null },
+      orderBy: { check_in: 'desc' },
+    });
+    if (openVisit && new Date(openVisit.check_in) >= start) {
+      return res.status(409).json({ error: 'Member is already checked in', attendance: openVisit });
+    }
+    if (openVisit) {
+      const visitDay = new Date(openVisit.check_in).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+      await prisma.attendance.update({
+        where: { id: openVisit.id },
+        data: { check_out: gymDayRange(visitDay).end },
+      });
+    }
+
+    const attendance = await prisma.attendance.create({
+      data: {
+        gym_owner_id: Number(gym_owner_id),
+        customer_id: customer.id,
+        check_in: now,
+        membership_expired: expired,
+      },
+    });
+
+    res.json({
+      success: true,
+      attendance,
+      name: customer.name,
+      gym_id: customer.gym_id,
+      end_date: customer.end_date,
+      warning: expired ? 'Membership expired, please ask the member to renew' : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /attendance/check_out
+ * Checks out the member's open visit, by gym_id or id_card_number.
+ */
+app.post('/attendance/check_out', requirePermission('manage_members'), async (req, res) => {
+  const { gym_id, id_card_number } = req.body;
+  const gym_owner_id = req.user.id;
+
+  if (!gym_id && !id_card_number) {
+    return res.status(400).json({ error: 'gym_id or id_card_number is required' });
+  }
+
+  try {
+    const customer = await findAttendanceCustomer(gym_owner_id, { gym_id, id_card_number });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const openVisit = await prisma.attendance.findFirst({
+      where: { customer_id: customer.id, check_out: null },
+      orderBy: { check_in: 'desc' },
+    });
+    if (!openVisit) {
+      return res.status(404).json({ error: 'Member is not checked in' });
+    }
+
+    const attendance = await prisma.attendance.update({
+      where: { id: openVisit.id },
+      data: { check_out: new Date() },
+    });
+
+    res.json({ success: true, attendance });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /attendance
+ * Lists the visits of one day (query: date as YYYY-MM-DD, defaults to today).
+ */
+app.get('/attendance', requirePermission('view_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+  const range = gymDayRange(req.query.date);
+
+  if (!range) {
+    return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+  }
+
+  try {
+    const visits = await prisma.attendance.findMany({
+      where: {
+        gym_owner_id: Number(gym_owner_id),
+        check_in: { gte: range.start, lte: range.end },
+      },
+      include: {
+        customer: { select: { name: true, phone_number: true, gym_id: true } },
+      },
+      orderBy: { check_in: 'asc' },
+    });
+
+    res.json({
+      count: visits.length,
+      checked_in_now: visits.filter((visit) => !visit.check_out).length,
+      visits: visits.map((visit) => ({
+        id: visit.id,
+        check_in: visit.check_in,
+        check_out: visit.check_out,
+        membership_expired: visit.membership_expired,
+        customer_name: visit.customer.name,
+        customer_phone: visit.customer.phone_number,
+        customer_gym_id: visit.customer.gym_id,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /attendance/peak_hours
+ * Visits per hour of day (Asia/Kolkata) between from and to (YYYY-MM-DD, defaults to the last 30 days).
+ */
+app.get('/attendance/peak_hours', requirePermission('view_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+  const today = gymDayRange();
+  const fromRange = req.query.from
+    ? gymDayRange(req.query.from)
+    : { start: new Date(today.start.getTime() - 29 * 24 * 60 * 60 * 1000) };
+  const toRange = req.query.to ? gymDayRange(req.query.to) : today;
+
+  if (!fromRange || !toRange || fromRange.start > toRange.end) {
+    return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates, from before to' });
+  }
+
+  try {
+    // check_in is stored as UTC, convert it to the gym's local hour before grouping
+    const rows = await prisma.$queryRaw`
+      SELECT EXTRACT(HOUR FROM ("check_in" AT TIME ZONE 'UTC') AT TIME ZONE 'Asia/Kolkata')::int AS hour,
+             COUNT(*)::int AS visits
+      FROM "attendance"
+      WHERE "gym_owner_id" = ${Number(gym_owner_id)}
+        AND "check_in" >= ${fromRange.start}
+        AND "check_in" <= ${toRange.end}
+      GROUP BY hour
+      ORDER BY hour`;
+
+    const days = Math.round((toRange.end - fromRange.start) / (24 * 60 * 60 * 1000));
+    const visitsByHour = new Map(rows.map((row) => [Number(row.hour), Number(row.visits)]));
+    const hours = Array.from({ length: 24 }, (_, hour) => {
+      const visits = visitsByHour.get(hour) || 0;
+      return { hour, visits, average_per_day: Math.round((visits / days) * 10) / 10 };
+    });
+    const peak = hours.reduce((best, entry) => (entry.visits > best.visits ? entry : best), hours[0]);
+
+    res.json({
+      from: fromRange.start,
+      to: toRange.end,
+      days,
+      peak_hour: peak.visits > 0 ? peak.hour : null,
+      hours,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /attendance/absent_members/:days
+ * Active members who have not visited in the last `days` days (default 14), so staff can follow up
+ * before their renewal date.
+ */
+app.get('/attendance/absent_members/:days', requirePermission('view_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+  const days = parseInt(req.params.days, 10) || 14;
+
+  try {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const customers = await prisma.customer.findMany({
+      where: {
+        gym_owner_id: Number(gym_owner_id),
+        status: true,
+        attendance: { none: { check_in: { gte: since } } },
+      },
+      select: {
+        id: true,
+        name: true,
+        phone_number: true,
+        gym_id: true,
+        end_date: true,
+        attendance: { orderBy: { check_in: 'desc' }, take: 1, select: { check_in: true } },
+      },
+      orderBy: { end_date: 'asc' },
+    });
+
+    res.json({
+      count: customers.length,
+      members: customers.map(({ attendance, ...customer }) => ({
+        ...customer,
+        last_visit: attendance.length > 0 ? attendance[0].check_in : null,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /audit_log
+ * Browses the audit trail of customer and membership changes, newest first.
+ * Query: gym_id (customer) or transaction_id (membership), optional limit and before_id for paging.
+ */
+app.get(
+  '/audit_log',
+  requirePermission('view_audit_log'),
+  query('transaction_id').optional().isInt({ min: 1 }).withMessage('transaction_id must be a transaction id'),
+  query('before_id').optional().isInt({ min: 1 }).withMessage('before_id must be an audit entry id'),
+  query('limit').optional().isInt({ min: 1 }).withMessage('limit must be a positive integer'),
+  validate,
+  async (req, res) => {
+    const gym_owner_id = req.user.id;
+    const { gym_id, transaction_id, before_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    if (!gym_id && !transaction_id) {
+      return res.status(400).json({ error: 'gym_id or transaction_id is required' });
+    }
+
+    try {
+      const where = { gym_owner_id: Number(gym_owner_id) };
+
+      if (transaction_id) {
+        where.entity_type = 'membership';
+        where.entity_id = Number(transaction_id);
+      } else {
+        const customer = await findOwnedCustomer(prisma, gym_owner_id, gym_id, { select: { id: true } });
+        if (!customer) {
+          return res.status(404).json({ error: 'Customer not found' });
+        }
+        where.customer_id = customer.id;
+      }
+
+      if (before_id) {
+        where.id = { lt: Number(before_id) };
+      }
+
+      const entries = await prisma.audit_log.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        take: limit,
+        include: { actor_staff: { select: { name: true } } },
+      });
+
+      res.json({
+        entries: entries.map(({ actor_staff, ...entry }) => ({
+          ...entry,
+          actor_name: actor_staff ? actor_staff.name : null,
+        })),
+        next_before_id: entries.length === limit ? entries[entries.length - 1].id : null,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// ----------------------
+// Membership Freezes
+// ----------------------
+
+/**
+ * POST /freeze_membership
+ * Pauses a member's current membership for `days` days from start_date (today when omitted)
+ * and pushes their end_date out by the same number of days. Limited by the plan's freeze rules.
+ */
+app.post(
+  '/freeze_membership',
+  requirePermission('manage_members'),
+  body('gym_id').notEmpty().withMessage('gym_id is required'),
+  body('days').isInt({ min: 1 }).withMessage('Days must be a positive integer').toInt(),
+  body('start_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('start_date must be a date in YYYY-MM-DD format'),
+  body('reason').optional().isString().trim().escape(),
+  validate,
+  async (req, res, next) => {
+    const { gym_id, days, start_date, reason } = req.body;
+    const gym_owner_id = req.user.id;
+
+    const today = gymDayRange();
+    const startRange = gymDayRange(start_date);
+    if (!startRange || startRange.start < today.start) {
+      return res.status(400).json({ error: 'start_date must be today or later' });
+    }
+    // A freeze starting today starts now, so the member is paused straight away
+    const freezeStart = startRange.start.getTime() === today.start.getTime() ? new Date() : startRange.start;
+
+    try {
+      const customer = await findOwnedCustomer(prisma, gym_owner_id, gym_id, {
+        include: {
+          memberships: { orderBy: { id: 'desc' }, take: 1, include: { plan: true, freezes: true } },
+        },
+      });
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      const [membership] = customer.memberships;
+      if (!membership || !customer.status || !customer.end_date || new Date(customer.end_date) <= freezeStart) {
+        return res.status(400).json({ error: 'Only an active membership can be frozen' });
+      }
+
+      const openFreeze = await prisma.membership_freeze.findFirst({
+        where: { customer_id: customer.id, end_date: { gt: freezeStart } },
+      });
+      if (openFreeze) {
+        return res.status(409).json({ error: 'Membership is already frozen' });
+      }
+
+      const problem = freezeProblem(freezeRules(membership.plan), membership.freezes, days);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const result = await prisma.$transaction(async (tx) => {
+        const freeze = await tx.membership_freeze.create({
+          data: {
+            membership_id: membership.id,
+            customer_id: customer.id,
+            start_date: freezeStart,
+            end_date: addDays(freezeStart, days),
+            reason: reason || null,
+          },
+        });
+
+        const customerChanges = { end_date: addDays(customer.end_date, days) };
+        const updatedCustomer = await tx.customer.update({
+          where: { id: customer.id },
+          data: customerChanges,
+        });
+
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'customer',
+          entity_id: customer.id,
+          customer_id: customer.id,
+          action: 'freeze',
+          ...changedFields(customer, customerChanges),
+        });
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'membership_freeze',
+          entity_id: freeze.id,
+          customer_id: customer.id,
+          action: 'create',
+          after: freeze,
+        });
+
+        return { freeze, end_date: updatedCustomer.end_date };
+      });
+
+      res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error freezing membership', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /unfreeze_membership
+ * Ends a member's current (or cancels their upcoming) freeze early. The end_date extension is
+ * recalculated for the days actually frozen.
+ */
+app.post(
+  '/unfreeze_membership',
+  requirePermission('manage_members'),
+  body('gym_id').notEmpty().withMessage('gym_id is required'),
+  validate,
+  async (req, res, next) => {
+    const { gym_id } = req.body;
+    const gym_owner_id = req.user.id;
+    const now = new Date();
+
+    try {
+      const customer = await findOwnedCustomer(prisma, gym_owner_id, gym_id);
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      const freeze = await prisma.membership_freeze.findFirst({
+        where: { customer_id: customer.id, end_date: { gt: now } },
+        orderBy: { start_date: 'asc' },
+      });
+      if (!freeze) {
+        return res.status(404).json({ error: 'Membership is not frozen' });
+      }
+
+      const freezeEnd = new Date(freeze.start_date) > now ? new Date(freeze.start_date) : now;
+      const unusedDays = frozenDays(freeze) - frozenDays({ start_date: freeze.start_date, end_date: freezeEnd });
+
+      const result = await prisma.$transaction(async (tx) => {
+        const updatedFreeze = await tx.membership_freeze.update({
+          where: { id: freeze.id },
+          data: { end_date: freezeEnd, unfrozen_at: now },
+        });
+
+        const customerChanges = { end_date: addDays(customer.end_date, -unusedDays) };
+        const updatedCustomer = await tx.customer.update({
+          where: { id: customer.id },
+          data: customerChanges,
+        });
+
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'customer',
+          entity_id: customer.id,
+          customer_id: customer.id,
+          action: 'unfreeze',
+          ...changedFields(customer, customerChanges),
+        });
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'membership_freeze',
+          entity_id: freeze.id,
+          customer_id: customer.id,
+          action: 'update',
+          ...changedFields(freeze, { end_date: freezeEnd, unfrozen_at: now }),
+        });
+
+        return { freeze: updatedFreeze, end_date: updatedCustomer.end_date };
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error unfreezing membership', { error });
+      next(error);
+    }
+  }
+);
+
+// ----------------------
+// Payments and Dues
+// ----------------------
+
+/**
+ * Customers of the gym owner who still owe money, with their total outstanding balance
+ * across all memberships, largest first.
+ */
+async function findCustomersWithDues(gym_owner_id) {
+  const rows = await prisma.$queryRaw`
+    SELECT c."id", c."gym_id", c."name", c."phone_number",
+           SUM(m."amount" - m."amount_paid")::float AS balance_due,
+           COUNT(*)::int AS unpaid_memberships,
+           MIN(m."bill_date") AS oldest_bill_date
+    FROM "membership" m
+    JOIN "customer" c ON c."id" = m."customer_id"
+    WHERE c."gym_owner_id" = ${Number(gym_owner_id)}
+      AND m."amount_paid" < m."amount"
+    GROUP BY c."id"
+    ORDER BY balance_due DESC`;
+
+  return rows.map((row) => ({ ...row, balance_due: roundMoney(Number(row.balance_due)) }));
+}
+
+/**
+ * POST /payments
+ * Records a payment towards a membership that was not paid in full (transaction_id is the membership id).
+ */
+app.post(
+  '/payments',
+  requirePermission('manage_members'),
+  body('transaction_id').isInt().withMessage('transaction_id is required').toInt(),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number').toFloat(),
+  body('payment_mode').isString().trim().notEmpty().withMessage('Payment mode is required'),
+  validate,
+  async (req, res, next) => {
+    const { transaction_id, amount, payment_mode, payment_details } = req.body;
+    const gym_owner_id = req.user.id;
+
+    // Validate payment details if payment mode is not cash
+    if (payment_mode !== 'cash' && !payment_details) {
+      return res.status(400).json({ error: 'Payment details required for UPI/Card payments' });
+    }
+
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        // Lock the membership before reading amount_paid, so concurrent payments can't both pass
+        // the balance check and overpay it
+        await tx.$queryRaw`SELECT "id" FROM "membership" WHERE "id" = ${transaction_id} FOR UPDATE`;
+        const membership = await findOwnedMembership(tx, gym_owner_id, transaction_id);
+        if (!membership) {
+          return null;
+        }
+
+        const outstanding = roundMoney(membership.amount - membership.amount_paid);
+        if (amount > outstanding) {
+          const error = new Error(`Amount exceeds the outstanding balance (${outstanding})`);
+          error.status = 400;
+          throw error;
+        }
+
+        const payment = await tx.payment.create({
+          data: {
+            membership_id: membership.id,
+            staff_id: req.user.staff_id || null,
+            amount,
+            payment_mode,
+            payment_details: payment_details || null,
+          },
+        });
+        await tx.membership.update({
+          where: { id: membership.id },
+          data: { amount_paid: { increment: amount } },
+        });
+
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'payment',
+          entity_id: payment.id,
+          customer_id: membership.customer_id,
+          action: 'create',
+          after: payment,
+        });
+
+        return { payment, customer: membership.customer, balance_due: roundMoney(outstanding - amount) };
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+
+      const { payment, customer, balance_due } = result;
+      try {
+        const gymOwner = await prisma.gym_owner.findUnique({
+          where: { id: Number(gym_owner_id) },
+          select: { gym_name: true },
+        });
+        await getWhatsAppClient().sendMessage(`91${customer.phone_number}@s.whatsapp.net`, {
+          text: `${gymOwner.gym_name.toUpperCase()}
+
+ADMIS NO : ${customer.gym_id}
+PAYMENT RECEIVED : ${payment.amount} INR (${payment_mode.toUpperCase()})
+BALANCE DUE : ${balance_due} INR
+
+THANK YOU`,
+        });
+      } catch (whatsappError) {
+        console.error('Error sending WhatsApp message:', whatsappError);
+      }
+
+      res.status(201).json({ success: true, payment, balance_due });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error recording payment', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /dues
+ * Lists every customer who owes money, with the total outstanding.
+ */
+app.get('/dues', requirePermission('view_members'), async (req, res) => {
+  try {
+    const customers = await findCustomersWithDues(req.user.id);
+    res.json({
+      total_outstanding: roundMoney(customers.reduce((sum, customer) => sum + customer.balance_due, 0)),
+      customers,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /dues/send_reminders
+ * Sends a WhatsApp reminder to every customer who owes money, or only to body.gym_id.
+ */
+app.post('/dues/send_reminders', requirePermission('manage_members'), async (req, res) => {
+  const { gym_id } = req.body;
+  const gym_owner_id = req.user.id;
+
+  try {
+    const gymOwner = await prisma.gym_owner.findUnique({
+      where: { id: Number(gym_owner_id) },
+      select: { gym_name: true, phone_number: true },
+    });
+    const customers = (await findCustomersWithDues(gym_owner_id))
+      .filter((customer) => !gym_id || customer.gym_id === gym_id.toString());
+
+    if (gym_id && customers.length === 0) {
+      return res.status(404).json({ error: 'No dues found for this customer' });
+    }
+
+    const waClient = getWhatsAppClient();
+    let sent = 0;
+    const failed = [];
+    for (const customer of customers) {
+      try {
+        await waClient.sendMessage(`91${customer.phone_number}@s.whatsapp.net`, {
+          text: `Dear ${customer.name},
+This is a reminder from ${gymOwner.gym_name} that ${customer.balance_due} INR is pending on your membership (admission no ${customer.gym_id}).
+Please clear it at the front desk at the earliest.
+${gymOwner.phone_number}`,
+        });
+        sent += 1;
+      } catch (whatsappError) {
+        console.error(`Error sending dues reminder to ${customer.phone_number}:`, whatsappError);
+        failed.push(customer.gym_id);
+      }
+    }
+
+    res.json({ sent, failed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ----------------------
+// Membership Plans
+// ----------------------
+
+const PLAN_DURATION_UNITS = ['months', 'days'];
+
+/**
+ * GET /plans
+ * Lists the gym owner's membership plans. Deactivated plans are only included with ?include_inactive=true.
+ */
+app.get('/plans', requirePermission('view_members'), async (req, res) => {
+  try {
+    const plans = await prisma.plan.findMany({
+      where: {
+        gym_owner_id: Number(req.user.id),
+        ...(req.query.include_inactive === 'true' ? {} : { active: true }),
+      },
+      orderBy: [{ price: 'asc' }, { name: 'asc' }],
+    });
+    res.json(plans);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /plans
+ * Adds a plan to the catalogue. Memberships can then be sold with just a plan_id.
+ */
+app.post(
+  '/plans',
+  requirePermission('manage_plans'),
+  body('name').isString().trim().notEmpty().withMessage('Name is required').escape(),
+  body('duration').isInt({ min: 1 }).withMessage('Duration must be a positive integer').toInt(),
+  body('duration_unit').optional().isIn(PLAN_DURATION_UNITS).withMessage(`Duration unit must be one of: ${PLAN_DURATION_UNITS.join(', ')}`),
+  body('workout_type').isString().trim().notEmpty().withMessage('Workout type is required'),
+  body('personal_training').optional().isBoolean().withMessage('personal_training must be a boolean').toBoolean(),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a non-negative number').toFloat(),
+  body('max_freezes').optional().isInt({ min: 0 }).withMessage('max_freezes must be a non-negative integer').toInt(),
+  body('max_freeze_days').optional().isInt({ min: 0 }).withMessage('max_freeze_days must be a non-negative integer').toInt(),
+  validate,
+  async (req, res, next) => {
+    const { name, duration, duration_unit, workout_type, personal_training, price, max_freezes, max_freeze_days } = req.body;
+
+    try {
+      const plan = await prisma.plan.create({
+        data: {
+          gym_owner_id: Number(req.user.id),
+          name,
+          duration,
+          duration_unit,
+          workout_type,
+          personal_training,
+          price,
+          max_freezes,
+          max_freeze_days,
+        },
+      });
+      res.status(201).json(plan);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A plan with this name already exists' });
+      }
+      console.error('Error creating plan', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /plans/:id
+ * Updates a plan. Past transactions keep the price and duration they were sold at.
+ */
+app.put(
+  '/plans/:id',
+  requirePermission('manage_plans'),
+  body('name').optional().isString().trim().notEmpty().escape(),
+  body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be a positive integer').toInt(),
+  body('duration_unit').optional().isIn(PLAN_DURATION_UNITS).withMessage(`Duration unit must be one of: ${PLAN_DURATION_UNITS.join(', ')}`),
+  body('workout_type').optional().isString().trim().notEmpty(),
+  body('personal_training').optional().isBoolean().withMessage('personal_training must be a boolean').toBoolean(),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a non-negative number').toFloat(),
+  body('max_freezes').optional().isInt({ min: 0 }).withMessage('max_freezes must be a non-negative integer').toInt(),
+  body('max_freeze_days').optional().isInt({ min: 0 }).withMessage('max_freeze_days must be a non-negative integer').toInt(),
+  body('active').optional().isBoolean().withMessage('active must be a boolean').toBoolean(),
+  validate,
+  async (req, res, next) => {
+    const {
+      name,
+      duration,
+      duration_unit,
+      workout_type,
+      personal_training,
+      price,
+      max_freezes,
+      max_freeze_days,
+      active,
+    } = req.body;
+
+    try {
+      const existing = await findOwnedPlan(prisma, req.user.id, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Plan not found' });
+      }
+
+      const plan = await prisma.plan.update({
+        where: { id: existing.id },
+        data: { name, duration, duration_unit, workout_type, personal_training, price, max_freezes, max_freeze_days, active },
+      });
+      res.json(plan);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A plan with this name already exists' });
+      }
+      console.error('Error updating plan', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /plans/:id
+ * Deactivates a plan so it can no longer be sold. The row is kept because memberships reference it.
+ */
+app.delete(
+  '/plans/:id',
+  requirePermission('manage_plans'),
+  param('id').isInt().withMessage('id must be a plan id').toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const { count } = await prisma.plan.updateMany({
+        where: { id: req.params.id, gym_owner_id: Number(req.user.id) },
+        data: { active: false },
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Plan not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /revenue_by_plan
+ * Money collected, sales count and discounts given per plan. Optional ?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * filter payments on paid_at and sales on bill_date. Memberships sold without a plan are reported
+ * under plan_id null.
+ */
+app.get('/revenue_by_plan', requirePermission('view_revenue'), async (req, res) => {
+  const { from, to } = req.query;
+  const fromRange = from ? gymDayRange(from) : null;
+  const toRange = to ? gymDayRange(to) : null;
+  if ((from && !fromRange) || (to && !toRange)) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+  }
+  const start = fromRange ? fromRange.start : null;
+  const end = toRange ? toRange.end : null;
+  const gym_owner_id = Number(req.user.id);
+
+  try {
+    const sales = await prisma.membership.groupBy({
+      by: ['plan_id'],
+      where: {
+        customer: { gym_owner_id },
+        ...(start || end ? { bill_date: { ...(start && { gte: start }), ...(end && { lte: end }) } } : {}),
+      },
+      _sum: { discount: true },
+      _count: { _all: true },
+    });
+    const collected = await prisma.$queryRaw`
+      SELECT m."plan_id", SUM(p."amount")::float AS revenue
+      FROM "payment" p
+      JOIN "membership" m ON m."id" = p."membership_id"
+      JOIN "customer" c ON c."id" = m."customer_id"
+      WHERE c."gym_owner_id" = ${gym_owner_id}
+        AND (${start}::timestamptz IS NULL OR p."paid_at" >= ${start})
+        AND (${end}::timestamptz IS NULL OR p."paid_at" <= ${end})
+      GROUP BY m."plan_id"`;
+
+    const groups = new Map(sales.map((group) => [group.plan_id, {
+      plan_id: group.plan_id, sales: group._count._all, revenue: 0, discount: group._sum.discount || 0,
+    }]));
+    for (const row of collected) {
+      const group = groups.get(row.plan_id) || { plan_id: row.plan_id, sales: 0, revenue: 0, discount: 0 };
+      groups.set(row.plan_id, { ...group, revenue: roundMoney(Number(row.revenue)) });
+    }
+
+    const plans = await prisma.plan.findMany({
+      where: { id: { in: [...groups.keys()].filter((id) => id !== null) } },
+      select: { id: true, name: true },
+    });
+    const planNames = new Map(plans.map((plan) => [plan.id, plan.name]));
+
+    const result = [...groups.values()]
+      .map((group) => ({
+        plan_id: group.plan_id,
+        plan_name: group.plan_id === null ? 'Custom' : planNames.get(group.plan_id),
+        sales: group.sales,
+        revenue: group.revenue,
+        discount: group.discount,
+      }))
+      .sort((a, b) => b.revenue - a.revenue);
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ----------------------
+// Coupons
+// ----------------------
+
+/**
+ * GET /coupons
+ * Lists the gym owner's coupons with how often each has been used.
+ */
+app.get('/coupons', requirePermission('manage_coupons'), async (req, res) => {
+  try {
+    const coupons = await prisma.coupon.findMany({
+      where: { gym_owner_id: Number(req.user.id) },
+      orderBy: { created_at: 'desc' },
+    });
+    res.json(coupons);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /coupons
+ * Creates a coupon. valid_from, valid_until and max_uses are optional, a coupon without them
+ * can be used any number of times until it is deactivated.
+ */
+app.post(
+  '/coupons',
+  requirePermission('manage_coupons'),
+  body('code').isString().trim().isLength({ min: 3, max: 32 }).withMessage('Code must be 3 to 32 characters').isAlphanumeric().withMessage('Code must be letters and digits only'),
+  body('discount_type').isIn(COUPON_DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${COUPON_DISCOUNT_TYPES.join(', ')}`),
+  body('discount_value').isFloat({ min: 0 }).withMessage('Discount value must be a non-negative number').toFloat(),
+  body('discount_value').if(body('discount_type').equals('percent')).isFloat({ max: 100 }).withMessage('A percentage discount cannot exceed 100'),
+  body('valid_from').optional().isISO8601().withMessage('valid_from must be a date').toDate(),
+  body('valid_until').optional().isISO8601().withMessage('valid_until must be a date').toDate(),
+  body('max_uses').optional().isInt({ min: 1 }).withMessage('max_uses must be a positive integer').toInt(),
+  validate,
+  async (req, res, next) => {
+    const { code, discount_type, discount_value, valid_from, valid_until, max_uses } = req.body;
+
+    if (valid_from && valid_until && valid_until < valid_from) {
+      return res.status(400).json({ error: 'valid_until must be after valid_from' });
+    }
+
+    try {
+      const coupon = await prisma.coupon.create({
+        data: {
+          gym_owner_id: Number(req.user.id),
+          code: normalizeCouponCode(code),
+          discount_type,
+          discount_value,
+          valid_from,
+          valid_until,
+          max_uses,
         },
-        start_date: { gte: startOfMonth, lte: endOfMonth },
+      });
+      res.status(201).json(coupon);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A coupon with this code already exists' });
+      }
+      console.error('Error creating coupon', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /coupons/:id
+ * Changes a coupon's validity window, usage limit or active flag. The code and discount are fixed
+ * once created so past receipts stay accurate.
+ */
+app.put(
+  '/coupons/:id',
+  requirePermission('manage_coupons'),
+  body('valid_from').optional({ values: 'null' }).isISO8601().withMessage('valid_from must be a date').toDate(),
+  body('valid_until').optional({ values: 'null' }).isISO8601().withMessage('valid_until must be a date').toDate(),
+  body('max_uses').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('max_uses must be a positive integer').toInt(),
+  body('active').optional().isBoolean().withMessage('active must be a boolean').toBoolean(),
+  validate,
+  async (req, res, next) => {
+    const { valid_from, valid_until, max_uses, active } = req.body;
+
+    try {
+      const existing = await prisma.coupon.findFirst({
+        where: { id: Number(req.params.id), gym_owner_id: Number(req.user.id) },
+        select: { id: true },
+      });
+      if (!existing) {
+        return res.status(404).json({ error: 'Coupon not found' });
+      }
+
+      const coupon = await prisma.coupon.update({
+        where: { id: existing.id },
+        data: { valid_from, valid_until, max_uses, active },
+      });
+      res.json(coupon);
+    } catch (error) {
+      console.error('Error updating coupon', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /coupons/:id
+ * Deactivates a coupon. The row is kept because memberships reference it.
+ */
+app.delete(
+  '/coupons/:id',
+  requirePermission('manage_coupons'),
+  param('id').isInt().withMessage('id must be a coupon id').toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const { count } = await prisma.coupon.updateMany({
+        where: { id: req.params.id, gym_owner_id: Number(req.user.id) },
+        data: { active: false },
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Coupon not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /referrals/:gym_id
+ * The customers referred by a member and the referral credit they have left.
+ */
+app.get('/referrals/:gym_id', requirePermission('view_members'), async (req, res) => {
+  try {
+    const customer = await findOwnedCustomer(prisma, req.user.id, req.params.gym_id, {
+      select: {
+        id: true,
+        gym_id: true,
+        name: true,
+        referral_credit: true,
+        referrals: { select: { gym_id: true, name: true, phone_number: true } },
       },
-      _sum: { amount: true },
     });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(customer);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      total_revenue: currentMonthRevenue._sum.amount || 0,
+// ----------------------
+// Body Measurements
+// ----------------------
+
+/**
+ * Reads optional ?from=YYYY-MM-DD&to=YYYY-MM-DD into a recorded_at filter. Returns { recorded_at } or { error }.
+ */
+function measurementDateFilter(query) {
+  const fromRange = query.from ? gymDayRange(query.from) : null;
+  const toRange = query.to ? gymDayRange(query.to) : null;
+  if ((query.from && !fromRange) || (query.to && !toRange)) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  const recorded_at = {};
+  if (fromRange) recorded_at.gte = fromRange.start;
+  if (toRange) recorded_at.lte = toRange.end;
+  return { recorded_at: fromRange || toRange ? recorded_at : undefined };
+}
+
+/**
+ * Loads the gym owner's customer and their measurements in the date range of `query`, oldest first.
+ * Resolves to { customer, entries }, { status, error } when the range is invalid or the customer missing.
+ */
+async function loadMeasurements(gym_owner_id, gym_id, query) {
+  const { recorded_at, error } = measurementDateFilter(query);
+  if (error) {
+    return { status: 400, error };
+  }
+  const customer = await findOwnedCustomer(prisma, gym_owner_id, gym_id);
+  if (!customer) {
+    return { status: 404, error: 'Customer not found' };
+  }
+  const entries = await prisma.measurement.findMany({
+    where: { customer_id: customer.id, recorded_at },
+    orderBy: { recorded_at: 'asc' },
+  });
+  return { customer, entries };
+}
+
+/**
+ * GET /measurements/:gym_id
+ * A member's measurements, oldest first. Optional ?from=YYYY-MM-DD&to=YYYY-MM-DD filter on recorded_at.
+ */
+app.get('/measurements/:gym_id', requirePermission('view_members'), async (req, res) => {
+  try {
+    const { entries, status, error } = await loadMeasurements(req.user.id, req.params.gym_id, req.query);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /measurements/:gym_id
+ * Records a member's measurements (weight in kg, body_fat in %, chest, waist, hips, arms and thighs
+ * in cm, notes), taken now or at recorded_at. Any field may be left out but not all of them.
+ */
+app.post(
+  '/measurements/:gym_id',
+  requirePermission('manage_members'),
+  ...Object.entries(MEASUREMENT_FIELDS).map(([field, { label, unit, min, max }]) => body(field)
+    .optional({ values: 'null' })
+    .isFloat({ min, max })
+    .withMessage(`${label} must be between ${min} and ${max} ${unit}`)
+    .toFloat()),
+  body('notes').optional({ values: 'null' }).isString().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters'),
+  body('recorded_at')
+    .optional()
+    .isISO8601()
+    .withMessage('recorded_at must be a date')
+    .bail()
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage('recorded_at cannot be in the future'),
+  validate,
+  async (req, res) => {
+    const gym_owner_id = req.user.id;
+    const data = Object.fromEntries(Object.keys(MEASUREMENT_FIELDS).map((field) => [field, req.body[field] ?? null]));
+    const notes = req.body.notes ? req.body.notes.trim() : null;
+
+    if (Object.values(data).every((value) => value === null) && !notes) {
+      return res.status(400).json({ error: 'Record at least one measurement' });
+    }
+
+    try {
+      const measurement = await prisma.$transaction(async (tx) => {
+        const customer = await findOwnedCustomer(tx, gym_owner_id, req.params.gym_id);
+        if (!customer) {
+          return null;
+        }
+
+        const created = await tx.measurement.create({
+          data: {
+            ...data,
+            notes,
+            customer_id: customer.id,
+            staff_id: req.user.staff_id || null,
+            ...(req.body.recorded_at ? { recorded_at: new Date(req.body.recorded_at) } : {}),
+          },
+        });
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'measurement',
+          entity_id: created.id,
+          customer_id: customer.id,
+          action: 'create',
+          after: created,
+        });
+        return created;
+      });
+
+      if (!measurement) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      res.status(201).json(measurement);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /measurements/:gym_id/:id
+ * Deletes a measurement entry recorded by mistake.
+ */
+app.delete('/measurements/:gym_id/:id', requirePermission('manage_members'), async (req, res) => {
+  const gym_owner_id = req.user.id;
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(404).json({ error: 'Measurement not found' });
+  }
+
+  try {
+    const deleted = await prisma.$transaction(async (tx) => {
+      const measurement = await tx.measurement.findFirst({
+        where: {
+          id,
+          customer: { gym_owner_id: Number(gym_owner_id), gym_id: req.params.gym_id.toString() },
+        },
+      });
+      if (!measurement) {
+        return null;
+      }
+
+      await tx.measurement.delete({ where: { id } });
+      await recordAudit(tx, {
+        gym_owner_id,
+        user: req.user,
+        entity_type: 'measurement',
+        entity_id: id,
+        customer_id: measurement.customer_id,
+        action: 'delete',
+        before: measurement,
+      });
+      return measurement;
     });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Measurement not found' });
+    }
+    res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /total_active_count
- * Returns total active customer count.
+ * GET /measurements/:gym_id/trend
+ * How each measurement changed from its first to its last entry, in the optional
+ * ?from=YYYY-MM-DD&to=YYYY-MM-DD range.
+ */
+app.get('/measurements/:gym_id/trend', requirePermission('view_members'), async (req, res) => {
+  try {
+    const { entries, status, error } = await loadMeasurements(req.user.id, req.params.gym_id, req.query);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(measurementTrend(entries));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /measurements/:gym_id/send_progress
+ * Sends the member a WhatsApp summary of their progress, over body.from and body.to (YYYY-MM-DD,
+ * optional) or all their measurements.
  */
-app.get('/total_active_count', async (req, res) => {
+app.post('/measurements/:gym_id/send_progress', requirePermission('manage_members'), async (req, res) => {
   const gym_owner_id = req.user.id;
 
   try {
-    const activeCount = await prisma.customer.count({
+    const { customer, entries, status, error } = await loadMeasurements(gym_owner_id, req.params.gym_id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const gymOwner = await prisma.gym_owner.findUnique({
+      where: { id: Number(gym_owner_id) },
+      select: { gym_name: true, phone_number: true },
+    });
+    const trend = measurementTrend(entries);
+    const text = progressMessage({ customer, gymOwner, trend });
+    if (!text) {
+      return res.status(400).json({ error: 'At least two measurements are needed to show progress' });
+    }
+
+    await getWhatsAppClient().sendMessage(`91${customer.phone_number}@s.whatsapp.net`, { text });
+    res.json({ success: true, trend });
+  } catch (error) {
+    console.error('Error sending progress summary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ----------------------
+// Trainers and Personal Training
+// ----------------------
+
+/**
+ * Finds one of the gym owner's trainers by id, or null.
+ */
+function findOwnedTrainer(db, gym_owner_id, trainer_id, { activeOnly = false } = {}) {
+  const id = Number(trainer_id);
+  if (!Number.isInteger(id)) {
+    return Promise.resolve(null);
+  }
+  return db.trainer.findFirst({
+    where: {
+      id,
+      gym_owner_id: Number(gym_owner_id),
+      ...(activeOnly ? { active: true } : {}),
+    },
+  });
+}
+
+/**
+ * GET /trainers
+ * Lists the gym owner's trainers. Deactivated trainers are only included with ?include_inactive=true.
+ */
+app.get('/trainers', requirePermission('view_members'), async (req, res) => {
+  try {
+    const trainers = await prisma.trainer.findMany({
       where: {
-        gym_owner_id: Number(gym_owner_id),
-        status: true,
+        gym_owner_id: Number(req.user.id),
+        ...(req.query.include_inactive === 'true' ? {} : { active: true }),
       },
+      orderBy: { name: 'asc' },
     });
+    res.json(trainers);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({ total_active_count: activeCount });
+/**
+ * POST /trainers
+ * Adds a trainer. commission_rate is the percent of their PT membership amounts (before GST) they earn.
+ */
+app.post(
+  '/trainers',
+  requirePermission('manage_trainers'),
+  body('name').isString().trim().notEmpty().withMessage('Name is required').escape(),
+  body('phone_number').isString().trim().matches(/^\d{10}$/).withMessage('Phone number must be 10 digits'),
+  body('commission_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('commission_rate must be between 0 and 100').toFloat(),
+  validate,
+  async (req, res, next) => {
+    const { name, phone_number, commission_rate } = req.body;
+
+    try {
+      const trainer = await prisma.trainer.create({
+        data: { gym_owner_id: Number(req.user.id), name, phone_number, commission_rate },
+      });
+      res.status(201).json(trainer);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A trainer with this phone number already exists' });
+      }
+      console.error('Error creating trainer', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /trainers/:id
+ * Updates a trainer. A new commission_rate also applies to the PT memberships sold earlier.
+ */
+app.put(
+  '/trainers/:id',
+  requirePermission('manage_trainers'),
+  body('name').optional().isString().trim().notEmpty().escape(),
+  body('phone_number').optional().isString().trim().matches(/^\d{10}$/).withMessage('Phone number must be 10 digits'),
+  body('commission_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('commission_rate must be between 0 and 100').toFloat(),
+  body('active').optional().isBoolean().withMessage('active must be a boolean').toBoolean(),
+  validate,
+  async (req, res, next) => {
+    const { name, phone_number, commission_rate, active } = req.body;
+
+    try {
+      const existing = await findOwnedTrainer(prisma, req.user.id, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Trainer not found' });
+      }
+
+      const trainer = await prisma.trainer.update({
+        where: { id: existing.id },
+        data: { name, phone_number, commission_rate, active },
+      });
+      res.json(trainer);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A trainer with this phone number already exists' });
+      }
+      console.error('Error updating trainer', { error });
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /trainers/:id
+ * Deactivates a trainer so members can no longer be assigned to them. The row is kept because
+ * memberships and sessions reference it.
+ */
+app.delete(
+  '/trainers/:id',
+  requirePermission('manage_trainers'),
+  param('id').isInt().withMessage('id must be a trainer id').toInt(),
+  validate,
+  async (req, res) => {
+    try {
+      const { count } = await prisma.trainer.updateMany({
+        where: { id: req.params.id, gym_owner_id: Number(req.user.id) },
+        data: { active: false },
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Trainer not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /trainers/:id/members
+ * Active members whose current membership (the latest one already started) is assigned to the
+ * trainer, with their PT sessions used and left.
+ */
+app.get('/trainers/:id/members', requirePermission('view_members'), async (req, res) => {
+  const gym_owner_id = Number(req.user.id);
+
+  try {
+    const trainer = await findOwnedTrainer(prisma, gym_owner_id, req.params.id);
+    if (!trainer) {
+      return res.status(404).json({ error: 'Trainer not found' });
+    }
+
+    const customers = await prisma.customer.findMany({
+      where: { gym_owner_id, status: true, memberships: { some: { trainer_id: trainer.id } } },
+      include: {
+        memberships: {
+          where: { start_date: { lte: new Date() } },
+          orderBy: { start_date: 'desc' },
+          take: 1,
+          include: { _count: { select: { pt_sessions: true } } },
+        },
+      },
+      orderBy: { name: 'asc' },
+    });
+
+    const members = customers
+      .filter((customer) => customer.memberships[0]?.trainer_id === trainer.id)
+      .map(({ memberships: [membership], ...customer }) => ({
+        gym_id: customer.gym_id,
+        name: customer.name,
+        phone_number: customer.phone_number,
+        end_date: customer.end_date,
+        transaction_id: membership.id,
+        ...sessionBalance(membership, membership._count.pt_sessions),
+      }));
+
+    res.json({ trainer, members });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
-});
+});
+
+/**
+ * PUT /transactions/:id/trainer
+ * Assigns a personal training membership to one of the gym's active trainers (trainer_id null
+ * unassigns it) and optionally sets its pt_session_allowance (null for unlimited sessions).
+ */
+app.put(
+  '/transactions/:id/trainer',
+  requirePermission('manage_members'),
+  body('trainer_id').optional({ values: 'null' }).isInt().withMessage('trainer_id must be a trainer id or null').toInt(),
+  body('pt_session_allowance').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('pt_session_allowance must be a positive integer').toInt(),
+  validate,
+  async (req, res) => {
+    const gym_owner_id = req.user.id;
+    const { trainer_id } = req.body;
+    if (trainer_id === undefined) {
+      return res.status(400).json({ error: 'trainer_id is required, null to unassign the trainer' });
+    }
+
+    try {
+      const membership = await findOwnedMembership(prisma, gym_owner_id, req.params.id, {
+        include: { _count: { select: { pt_sessions: true } } },
+      });
+      if (!membership) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+      if (!membership.personal_training) {
+        return res.status(400).json({ error: 'Only personal training memberships can be assigned to a trainer' });
+      }
+
+      if (trainer_id !== null) {
+        const trainer = await findOwnedTrainer(prisma, gym_owner_id, trainer_id, { activeOnly: true });
+        if (!trainer) {
+          return res.status(404).json({ error: 'Trainer not found' });
+        }
+      }
+
+      const changes = { trainer_id };
+      if (req.body.pt_session_allowance !== undefined) {
+        changes.pt_session_allowance = req.body.pt_session_allowance;
+        if (changes.pt_session_allowance !== null && changes.pt_session_allowance < membership._count.pt_sessions) {
+          return res.status(400).json({
+            error: `pt_session_allowance cannot be less than the ${membership._count.pt_sessions} sessions already used`,
+          });
+        }
+      }
+
+      const updated = await prisma.$transaction(async (tx) => {
+        const result = await tx.membership.update({ where: { id: membership.id }, data: changes });
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'membership',
+          entity_id: membership.id,
+          customer_id: membership.customer_id,
+          action: 'assign_trainer',
+          ...changedFields(membership, changes),
+        });
+        return result;
+      });
+
+      res.json({ ...updated, ...sessionBalance(updated, membership._count.pt_sessions) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
 /**
- * GET /expiring_memberships_count
- * Returns the count of expiring memberships in the next 7 days.
+ * GET /transactions/:id/pt_sessions
+ * The PT sessions logged against a membership, latest first, with its sessions used and left.
  */
-app.get('/expiring_memberships_count/', async (req, res) => {
-  const gym_owner_id = req.user.id;
-  const days = 7;
-
+app.get('/transactions/:id/pt_sessions', requirePermission('view_members'), async (req, res) => {
   try {
-    const now = new Date();
-    const futureDate = new Date();
-    futureDate.setDate(now.getDate() + days);
-
-    const count = await prisma.customer.count({
-      where: {
-        gym_owner_id: Number(gym_owner_id),
-        status: true,
-        end_date: { gte: now, lte: futureDate },
+    const membership = await findOwnedMembership(prisma, req.user.id, req.params.id, {
+      include: {
+        trainer: true,
+        pt_sessions: { orderBy: { session_at: 'desc' }, include: { trainer: { select: { id: true, name: true } } } },
       },
     });
+    if (!membership) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
 
-    res.json({ count: count });
+    res.json({
+      transaction_id: membership.id,
+      trainer: membership.trainer,
+      ...sessionBalance(membership, membership.pt_sessions.length),
+      sessions: membership.pt_sessions,
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /revenue_details
- * Returns detailed revenue information grouped by month.
+ * POST /pt_sessions
+ * Logs a PT session against a membership (transaction_id), held now or at session_at. The trainer
+ * is the membership's unless trainer_id says otherwise. Rejected once the allowance is used up.
  */
-app.get('/revenue_details', async (req, res) => {
-  try {
-    const transactions = await prisma.membership.findMany({
-      where: {
-        customer: {
-          gym_owner_id: Number(req.user.id),
-        },
-      },
-      include: {
-        customer: {
-          select: {
-            id: true,
-            gym_id: true,
-            name: true,
-            phone_number: true
-          }
-        }
-      }
-    });
+app.post(
+  '/pt_sessions',
+  requirePermission('manage_members'),
+  body('transaction_id').isInt().withMessage('transaction_id is required').toInt(),
+  body('trainer_id').optional({ values: 'null' }).isInt().toInt(),
+  body('session_at')
+    .optional()
+    .isISO8601()
+    .withMessage('session_at must be a date')
+    .bail()
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage('session_at cannot be in the future'),
+  body('notes').optional({ values: 'null' }).isString().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters'),
+  validate,
+  async (req, res) => {
+    const gym_owner_id = req.user.id;
+    const { transaction_id, session_at, notes } = req.body;
 
-    const revenueByMonth = {};
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        const membership = await findOwnedMembership(tx, gym_owner_id, transaction_id);
+        if (!membership) {
+          return { status: 404, error: 'Transaction not found' };
+        }
+        if (!membership.personal_training) {
+          return { status: 400, error: 'Sessions can only be logged against personal training memberships' };
+        }
+        // Lock the membership until the session is in, so concurrent requests can't both take the last one
+        await tx.$queryRaw`SELECT "id" FROM "membership" WHERE "id" = ${membership.id} FOR UPDATE`;
 
-    transactions.forEach((transaction) => {
-      const billDate = new Date(transaction.bill_date);
-      const monthName = billDate.toLocaleString('default', { month: 'long' });
-      const year = billDate.getFullYear();
-      const key = `${monthName} ${year}`;
+        const trainer_id = req.body.trainer_id ?? membership.trainer_id;
+        if (trainer_id === null) {
+          return { status: 400, error: 'Assign a trainer to the membership or give trainer_id' };
+        }
+        const trainer = await findOwnedTrainer(tx, gym_owner_id, trainer_id);
+        if (!trainer) {
+          return { status: 404, error: 'Trainer not found' };
+        }
 
-      if (!revenueByMonth[key]) {
-        revenueByMonth[key] = { transactions: [], revenue: 0 };
-      }
-      
-      const transactionWithGymId = {
-        ...transaction,
-        gym_id: transaction.customer.gym_id,
-        customer_name: transaction.customer.name,
-        customer_phone: transaction.customer.phone_number
-      };
-      
-      revenueByMonth[key].transactions.push(transactionWithGymId);
-      revenueByMonth[key].revenue += transaction.amount;
-    });
+        const used = await tx.pt_session.count({ where: { membership_id: membership.id } });
+        const allowed = membership.pt_session_allowance;
+        if (allowed !== null && used >= allowed) {
+          return { status: 409, error: `All ${allowed} sessions of this membership have been used` };
+        }
 
-    const result = Object.entries(revenueByMonth).map(([month, data]) => ({
-      month,
-      revenue: data.revenue,
-      transactions: data.transactions,
-    }));
+        const session = await tx.pt_session.create({
+          data: {
+            membership_id: membership.id,
+            customer_id: membership.customer_id,
+            trainer_id: trainer.id,
+            notes: notes ? notes.trim() : null,
+            staff_id: req.user.staff_id || null,
+            ...(session_at ? { session_at: new Date(session_at) } : {}),
+          },
+        });
+        await recordAudit(tx, {
+          gym_owner_id,
+          user: req.user,
+          entity_type: 'pt_session',
+          entity_id: session.id,
+          customer_id: membership.customer_id,
+          action: 'create',
+          after: session,
+        });
+        return { session, ...sessionBalance(membership, used + 1) };
+      });
 
-    res.json(result);
-  } catch (error) {
-    console.error('Error fetching revenue:', error);
-    res.status(500).json({ error: 'Internal Server Error' });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
 
-// profile edit of the customer
-app.put('/edit_profile', async (req, res) => {
-  const { gym_id, phone_number, name } = req.body;
+/**
+ * DELETE /pt_sessions/:id
+ * Deletes a PT session logged by mistake, giving the session back to the membership's allowance.
+ */
+app.delete('/pt_sessions/:id', requirePermission('manage_members'), async (req, res) => {
   const gym_owner_id = req.user.id;
-
-  if (!gym_id || !phone_number || !name) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(404).json({ error: 'Session not found' });
   }
 
   try {
-    const customer = await prisma.customer.update({
-      where: {
-        gym_owner_id: Number(gym_owner_id),
-        gym_id: gym_id.toString(),
-      },
-      data: {
-        name,
-        phone_number,
-      },
+    const deleted = await prisma.$transaction(async (tx) => {
+      const session = await tx.pt_session.findFirst({
+        where: { id, customer: { gym_owner_id: Number(gym_owner_id) } },
+      });
+      if (!session) {
+        return null;
+      }
+
+      await tx.pt_session.delete({ where: { id } });
+      await recordAudit(tx, {
+        gym_owner_id,
+        user: req.user,
+        entity_type: 'pt_session',
+        entity_id: id,
+        customer_id: session.customer_id,
+        action: 'delete',
+        before: session,
+      });
+      return session;
     });
 
-    res.json({ success: true, customer });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get("/search/:id", async (req, res) => {
-    const gym_owner_id = req.user.id;
-    const id = req.params.id;
-    
-    const customer = await prisma.customer.findFirst({
+/**
+ * GET /trainer_commissions?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Each trainer's PT memberships billed in the range, their amount before GST, the sessions they
+ * held and the commission earned at their commission_rate.
+ */
+app.get('/trainer_commissions', requirePermission('view_revenue'), async (req, res) => {
+  const gym_owner_id = Number(req.user.id);
+  const fromRange = gymDayRange(req.query.from);
+  const toRange = gymDayRange(req.query.to);
+  if (!req.query.from || !req.query.to || !fromRange || !toRange || fromRange.start > toRange.end) {
+    return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates, from before to' });
+  }
+  const range = { gte: fromRange.start, lte: toRange.end };
+
+  try {
+    const [trainers, membershipGroups, sessionGroups] = await Promise.all([
+      prisma.trainer.findMany({ where: { gym_owner_id } }),
+      prisma.membership.groupBy({
+        by: ['trainer_id'],
         where: {
-            gym_owner_id: Number(gym_owner_id),
-            gym_id: id.toString()
-        }
+          customer: { gym_owner_id },
+          personal_training: true,
+          trainer_id: { not: null },
+          bill_date: range,
+        },
+        _sum: { amount: true, tax_amount: true },
+        _count: { _all: true },
+      }),
+      prisma.pt_session.groupBy({
+        by: ['trainer_id'],
+        where: { trainer: { gym_owner_id }, session_at: range },
+        _count: { _all: true },
+      }),
+    ]);
+
+    res.json({
+      from: req.query.from,
+      to: req.query.to,
+      ...trainerCommissions(trainers, membershipGroups, sessionGroups),
     });
-    
-    if (!customer) {
-        return res.status(404).json({ error: "Customer not found" });
-    }
-    
-    res.json(customer);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// edit the transction of the customer
-app.put('/edit_transaction', async (req, res) => {
-  const { transaction_id, duration, start_date, payment_mode, amount, workout_type, personal_training } = req.body;
-  const gym_owner_id = req.user.id;
+// ----------------------
+// Staff Accounts
+// ----------------------
 
-  if (!transaction_id || !duration || !start_date || !payment_mode || !amount || !workout_type || personal_training === undefined) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+const staffSelect = { id: true, name: true, phone_number: true, role: true, active: true, created_at: true };
 
+/**
+ * GET /staff
+ * Lists the gym owner's staff accounts.
+ */
+app.get('/staff', requirePermission('manage_staff'), async (req, res) => {
   try {
-    const transaction = await prisma.membership.update({
-      where: { id: transaction_id },
-      data: {
-        duration,
-        start_date,
-        payment_mode,
-        amount,
-        workout_type,
-        personal_training,
-      },
+    const staff = await prisma.staff.findMany({
+      where: { gym_owner_id: Number(req.user.id) },
+      select: staffSelect,
+      orderBy: { created_at: 'asc' },
     });
-
-    res.json({ success: true, transaction });
+    res.json(staff);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /dashboard
- * Response: Dashboard data with active/inactive counts, expiring memberships, today's transactions, and gym/owner information
+ * POST /staff
+ * Creates a staff account that logs in via POST /staff/login.
  */
-app.get('/dashboard', async (req, res) => {
-  const gym_owner_id = req.user.id;
-
-  try {
-    // First, get gym owner details to include name and gym name
-    const gymOwner = await prisma.gym_owner.findUnique({
-      where: { id: Number(gym_owner_id) },
-      select: { name: true, gym_name: true },
-    });
+app.post(
+  '/staff',
+  requirePermission('manage_staff'),
+  body('name').isString().trim().notEmpty().withMessage('Name is required').escape(),
+  body('phone_number').isMobilePhone('any').withMessage('Invalid phone number'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('role').isIn(STAFF_ROLES).withMessage(`Role must be one of: ${STAFF_ROLES.join(', ')}`),
+  validate,
+  async (req, res, next) => {
+    const { name, phone_number, password, role } = req.body;
 
-    if (!gymOwner) {
-      return res.status(404).json({ error: 'Gym owner not found' });
+    try {
+      const staff = await prisma.staff.create({
+        data: {
+          gym_owner_id: Number(req.user.id),
+          name,
+          phone_number,
+          password: await hashPassword(password),
+          role,
+        },
+        select: staffSelect,
+      });
+      res.status(201).json(staff);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A staff account with this phone number already exists' });
+      }
+      console.error('Error creating staff account', { error });
+      next(error);
     }
+  }
+);
 
-    // Get count of active members
-    const activeCount = await prisma.customer.count({
-      where: {
-        gym_owner_id: Number(gym_owner_id),
-        status: true,
-      },
-    });
+/**
+ * PUT /staff/:id
+ * Updates a staff account. Changing the role, password or active flag logs the staff member out everywhere.
+ */
+app.put(
+  '/staff/:id',
+  requirePermission('manage_staff'),
+  body('name').optional().isString().trim().notEmpty().escape(),
+  body('password').optional().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('role').optional().isIn(STAFF_ROLES).withMessage(`Role must be one of: ${STAFF_ROLES.join(', ')}`),
+  body('active').optional().isBoolean().withMessage('active must be a boolean').toBoolean(),
+  validate,
+  async (req, res, next) => {
+    const gym_owner_id = req.user.id;
+    const { name, password, role, active } = req.body;
 
-    // Get count of inactive members
-    const inactiveCount = await prisma.customer.count({
-      where: {
-        gym_owner_id: Number(gym_owner_id),
-        status: false,
-      },
-    });
+    try {
+      const existing = await prisma.staff.findFirst({
+        where: { id: Number(req.params.id), gym_owner_id: Number(gym_owner_id) },
+        select: { id: true },
+      });
+      if (!existing) {
+        return res.status(404).json({ error: 'Staff member not found' });
+      }
 
-    // Get count of expiring memberships in the next 7 days
-    const now = new Date();
-    const futureDate = new Date();
-    futureDate.setDate(now.getDate() + 7);
+      const staff = await prisma.staff.update({
+        where: { id: existing.id },
+        data: {
+          name,
+          role,
+          active,
+          password: password ? await hashPassword(password) : undefined,
+        },
+        select: staffSelect,
+      });
 
-    const expiringCount = await prisma.customer.count({
-      where: {
-        gym_owner_id: Number(gym_owner_id),
-        status: true,
-        end_date: { gte: now, lte: futureDate },
-      },
-    });
+      if (password || role !== undefined || active !== undefined) {
+        await revokeAllSessions(redisClient, gym_owner_id, staff.id);
+      }
 
-    // Get today's transactions based on Indian timezone
-    const indianTimeZone = 'Asia/Kolkata';
-    
-    // Calculate start and end of today in Indian timezone
-    const todayStart = new Date(new Date().toLocaleString("en-US", { timeZone: indianTimeZone }));
-    todayStart.setHours(0, 0, 0, 0);
-    
-    const todayEnd = new Date(new Date().toLocaleString("en-US", { timeZone: indianTimeZone }));
-    todayEnd.setHours(23, 59, 59, 999);
+      res.json(staff);
+    } catch (error) {
+      console.error('Error updating staff account', { error });
+      next(error);
+    }
+  }
+);
 
-    // Get transactions for today
-    const todayTransactions = await prisma.membership.findMany({
-      where: {
-        customer: {
-          gym_owner_id: Number(gym_owner_id),
-        },
-        bill_date: {
-          gte: todayStart,
-          lte: todayEnd,
-        },
-      },
-      include: {
-        customer: {
-          select: {
-            name: true,
-            phone_number: true,
-            gym_id: true,
-          },
-        },
-      },
-    });
+/**
+ * DELETE /staff/:id
+ * Deactivates a staff account and logs it out everywhere. The row is kept because
+ * memberships record which staff member took the payment.
+ */
+app.delete(
+  '/staff/:id',
+  requirePermission('manage_staff'),
+  param('id').isInt().withMessage('id must be a staff member id').toInt(),
+  validate,
+  async (req, res) => {
+    const gym_owner_id = req.user.id;
 
-    // Calculate total revenue from today's transactions
-    const todayRevenue = todayTransactions.reduce((sum, transaction) => sum + transaction.amount, 0);
+    try {
+      const { count } = await prisma.staff.updateMany({
+        where: { id: req.params.id, gym_owner_id: Number(gym_owner_id) },
+        data: { active: false },
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Staff member not found' });
+      }
 
-    // Return all dashboard data in one response, including gym name and owner name
-    res.json({
-      gym_owner: {
-        name: gymOwner.name,
-        gym_name: gymOwner.gym_name
-      },
-      active_members: activeCount,
-      inactive_members: inactiveCount,
-      expiring_memberships: expiringCount,
-      today_transactions: {
-        count: todayTransactions.length,
-        revenue: todayRevenue,
-        transactions: todayTransactions.map(tx => ({
-          id: tx.id,
-          amount: tx.amount,
-          payment_mode: tx.payment_mode,
-          customer_name: tx.customer.name,
-          customer_phone: tx.customer.phone_number,
-          customer_gym_id: tx.customer.gym_id,
-          bill_date: tx.bill_date,
-          payment_details: tx.payment_details || null,
-          workout_type: tx.workout_type,
-          personal_training: tx.personal_training,
-        })),
-      },
-    });
-  } catch (error) {
-    console.error('Error fetching dashboard data:', error);
-    res.status(500).json({ error: error.message });
+      await revokeAllSessions(redisClient, gym_owner_id, req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
+
 // ----------------------
 // Start the Server
 // ----------------------
 async function startServer() {
   try {
     await redisClient.connect();
+
+    // Periodically mark customers whose end_date has passed as inactive
+    const expiryIntervalMinutes = Number(process.env.MEMBERSHIP_EXPIRY_INTERVAL_MINUTES) || 60;
+    startMembershipExpiryJob(prisma, { intervalMs: expiryIntervalMinutes * 60 * 1000 });
+
+    // Periodically send WhatsApp renewal reminders before and after end_date
+    const reminderIntervalMinutes = Number(process.env.MEMBERSHIP_REMINDER_INTERVAL_MINUTES) || 60;
+    startMembershipReminderJob(prisma, { intervalMs: reminderIntervalMinutes * 60 * 1000 });
     
     // Just use HTTP for your local server - ngrok will handle HTTPS
     const PORT = process.env.PORT || 3000;
@@ -914,4 +5012,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// The test suite imports the app directly, so only bind the port when running for real
+if (process.env.NODE_ENV !== 'test') {
+  startServer();
+}
+
+export default app;
@@ -0,0 +1,33 @@
+// invoices.js
+// Invoice numbers run in sequence per gym owner and financial year (April to March), as GST requires.
+// The counter is bumped inside the transaction that creates the membership, so a rolled back payment
+// never uses up a number and the sequence stays gap-free.
+
+/**
+ * The Indian financial year `date` falls in, e.g. "2025-26", by the calendar in Asia/Kolkata.
+ */
+export function financialYear(date) {
+  const [year, month] = date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }).split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Formats an invoice number for display, e.g. 2025-26/00042 (at most 16 characters, as GST allows).
+ */
+export function formatInvoiceNumber(series, number) {
+  return `${series}/${String(number).padStart(5, '0')}`;
+}
+
+/**
+ * Takes the next invoice number of the gym owner for the financial year of `date`, inside the transaction `tx`.
+ */
+export async function nextInvoiceNumber(tx, gym_owner_id, date = new Date()) {
+  const series = financialYear(date);
+  const sequence = await tx.invoice_sequence.upsert({
+    where: { gym_owner_id_series: { gym_owner_id: Number(gym_owner_id), series } },
+    create: { gym_owner_id: Number(gym_owner_id), series, last_number: 1 },
+    update: { last_number: { increment: 1 } },
+  });
+  return formatInvoiceNumber(series, sequence.last_number);
+}
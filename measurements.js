@@ -0,0 +1,79 @@
+// measurements.js
+// Body measurements recorded for a member over time (weight, body fat and girths), the trend
+// between two dates and the progress summary sent to the member on WhatsApp.
+
+// Recorded fields with their unit, label and the range an entry must fall in
+export const MEASUREMENT_FIELDS = {
+  weight: { label: 'Weight', unit: 'kg', min: 10, max: 400 },
+  body_fat: { label: 'Body fat', unit: '%', min: 1, max: 75 },
+  chest: { label: 'Chest', unit: 'cm', min: 20, max: 250 },
+  waist: { label: 'Waist', unit: 'cm', min: 20, max: 250 },
+  hips: { label: 'Hips', unit: 'cm', min: 20, max: 250 },
+  arms: { label: 'Arms', unit: 'cm', min: 5, max: 100 },
+  thighs: { label: 'Thighs', unit: 'cm', min: 10, max: 150 },
+};
+
+function roundTo(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Change of each field from its first to its last recorded value in `entries` (sorted by
+ * recorded_at). Fields recorded fewer than twice have no change. Returns { from, to, entries, fields }.
+ */
+export function measurementTrend(entries) {
+  const fields = {};
+  for (const [field, { unit }] of Object.entries(MEASUREMENT_FIELDS)) {
+    const recorded = entries.filter((entry) => entry[field] !== null && entry[field] !== undefined);
+    if (recorded.length === 0) {
+      continue;
+    }
+    const first = recorded[0];
+    const last = recorded[recorded.length - 1];
+    const change = recorded.length > 1 ? roundTo(last[field] - first[field], 1) : null;
+    fields[field] = {
+      unit,
+      first: first[field],
+      first_recorded_at: first.recorded_at,
+      last: last[field],
+      last_recorded_at: last.recorded_at,
+      change,
+      change_percent: change !== null && first[field] !== 0 ? roundTo((change / first[field]) * 100, 1) : null,
+    };
+  }
+
+  return {
+    from: entries.length > 0 ? entries[0].recorded_at : null,
+    to: entries.length > 0 ? entries[entries.length - 1].recorded_at : null,
+    entries: entries.length,
+    fields,
+  };
+}
+
+/**
+ * WhatsApp message summarising a member's progress from measurementTrend(), or null when no field
+ * has been recorded twice yet.
+ */
+export function progressMessage({ customer, gymOwner, trend }) {
+  const lines = Object.entries(trend.fields)
+    .filter(([, field]) => field.change !== null)
+    .map(([name, field]) => {
+      const { label, unit } = MEASUREMENT_FIELDS[name];
+      const sign = field.change > 0 ? '+' : '';
+      return `${label.toUpperCase()} : ${field.first} to ${field.last} ${unit} (${sign}${field.change} ${unit})`;
+    });
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const from = new Date(trend.from).toLocaleDateString('en-GB');
+  const to = new Date(trend.to).toLocaleDateString('en-GB');
+  return `Dear ${customer.name},
+Here is your progress at ${gymOwner.gym_name} from ${from} to ${to}:
+
+${lines.join('\n')}
+
+Keep it up! Be fit for a good healthy tomorrow.
+${gymOwner.phone_number}`;
+}
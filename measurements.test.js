@@ -0,0 +1,43 @@
+import { measurementTrend, progressMessage } from './measurements.js';
+
+describe('measurementTrend', () => {
+  const entries = [
+    { recorded_at: new Date('2025-04-01T06:00:00.000Z'), weight: 80, body_fat: null, arms: 35 },
+    { recorded_at: new Date('2025-05-01T06:00:00.000Z'), weight: 76, body_fat: 20, arms: 36.2 },
+  ];
+
+  test('compares the first and last value of each field', () => {
+    const trend = measurementTrend(entries);
+
+    expect(trend.entries).toBe(2);
+    expect(trend.fields.weight).toEqual({
+      unit: 'kg',
+      first: 80,
+      first_recorded_at: entries[0].recorded_at,
+      last: 76,
+      last_recorded_at: entries[1].recorded_at,
+      change: -4,
+      change_percent: -5,
+    });
+    expect(trend.fields.arms.change).toBe(1.2);
+  });
+
+  test('has no change for fields recorded once and leaves out those never recorded', () => {
+    const trend = measurementTrend(entries);
+
+    expect(trend.fields.body_fat.change).toBeNull();
+    expect(trend.fields).not.toHaveProperty('chest');
+  });
+
+  test('is empty without entries', () => {
+    expect(measurementTrend([])).toEqual({ from: null, to: null, entries: 0, fields: {} });
+  });
+});
+
+describe('progressMessage', () => {
+  test('needs a field recorded twice', () => {
+    const trend = measurementTrend([{ recorded_at: new Date('2025-04-01T06:00:00.000Z'), weight: 80 }]);
+
+    expect(progressMessage({ customer: { name: 'John' }, gymOwner: { gym_name: 'Gym' }, trend })).toBeNull();
+  });
+});
@@ -0,0 +1,223 @@
+// memberImport.js
+// Parsing and validation of member imports: a CSV with one row per customer and their current
+// membership, for gyms moving over from paper registers or spreadsheets.
+
+// Columns: gym_id, name, phone_number, id_card_number, start_date, duration, duration_unit (months
+// or days, months by default), amount, amount_paid (all of amount by default), payment_mode (cash by
+// default), payment_details, workout_type, personal_training (yes/no, no by default).
+const REQUIRED_COLUMNS = ['gym_id', 'name', 'phone_number', 'start_date', 'duration', 'amount', 'workout_type'];
+
+// Imports are capped so one request can be imported inside a single database transaction
+export const MAX_IMPORT_ROWS = 2000;
+
+const DURATION_UNITS = ['months', 'days'];
+const TRUE_VALUES = ['yes', 'y', 'true', '1'];
+const FALSE_VALUES = ['no', 'n', 'false', '0', ''];
+
+/**
+ * Splits CSV text into rows of fields. Handles quoted fields (with "" for a quote and embedded
+ * line breaks), CRLF or LF line endings and a leading byte order mark. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\ufeff/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parses a date as written in registers: dd/mm/yyyy (as in the WhatsApp messages) or YYYY-MM-DD.
+ * Returns midnight of that day in Asia/Kolkata, or null if it isn't a real date.
+ */
+export function parseImportDate(value) {
+  let match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(value);
+  let day;
+  let month;
+  let year;
+  if (match) {
+    [, day, month, year] = match.map(Number);
+  } else {
+    match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+      return null;
+    }
+    [, year, month, day] = match.map(Number);
+  }
+
+  const probe = new Date(Date.UTC(year, month - 1, day));
+  if (probe.getUTCFullYear() !== year || probe.getUTCMonth() !== month - 1 || probe.getUTCDate() !== day) {
+    return null;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return new Date(`${year}-${pad(month)}-${pad(day)}T00:00:00.000+05:30`);
+}
+
+/**
+ * Validates one CSV record (an object keyed by column) and converts it to the member to import.
+ * Returns { member, errors }, member being null when there are errors.
+ */
+export function validateImportRecord(record) {
+  const errors = [];
+  const value = (column) => (record[column] || '').trim();
+
+  for (const column of REQUIRED_COLUMNS) {
+    if (!value(column)) {
+      errors.push(`${column} is required`);
+    }
+  }
+
+  // Customers are messaged on WhatsApp as 91<phone_number>, so only 10 digit Indian mobiles work
+  const phone_number = value('phone_number').replace(/[\s-]/g, '').replace(/^(\+91|91)(?=\d{10}$)/, '');
+  if (value('phone_number') && !/^[6-9]\d{9}$/.test(phone_number)) {
+    errors.push('phone_number must be a 10 digit mobile number');
+  }
+
+  const start_date = value('start_date') ? parseImportDate(value('start_date')) : null;
+  if (value('start_date') && !start_date) {
+    errors.push('start_date must be a date as dd/mm/yyyy or YYYY-MM-DD');
+  }
+
+  const duration = Number(value('duration'));
+  if (value('duration') && (!Number.isInteger(duration) || duration < 1)) {
+    errors.push('duration must be a whole number of at least 1');
+  }
+
+  const duration_unit = (value('duration_unit') || 'months').toLowerCase();
+  if (!DURATION_UNITS.includes(duration_unit)) {
+    errors.push(`duration_unit must be one of ${DURATION_UNITS.join(', ')}`);
+  }
+
+  const amount = Number(value('amount'));
+  if (value('amount') && (Number.isNaN(amount) || amount < 0)) {
+    errors.push('amount must be a number of at least 0');
+  }
+
+  const amount_paid = value('amount_paid') === '' ? amount : Number(value('amount_paid'));
+  if (value('amount_paid') && (Number.isNaN(amount_paid) || amount_paid < 0 || amount_paid > amount)) {
+    errors.push('amount_paid must be between 0 and amount');
+  }
+
+  const payment_mode = (value('payment_mode') || 'cash').toLowerCase();
+  const payment_details = value('payment_details') || null;
+  if (payment_mode !== 'cash' && !payment_details) {
+    errors.push('payment_details are required for UPI/Card payments');
+  }
+
+  const personal_training = value('personal_training').toLowerCase();
+  if (!TRUE_VALUES.includes(personal_training) && !FALSE_VALUES.includes(personal_training)) {
+    errors.push('personal_training must be yes or no');
+  }
+
+  if (errors.length > 0) {
+    return { member: null, errors };
+  }
+
+  return {
+    member: {
+      gym_id: value('gym_id'),
+      name: value('name'),
+      phone_number,
+      id_card_number: value('id_card_number') || null,
+      start_date,
+      duration,
+      duration_unit,
+      amount,
+      amount_paid,
+      payment_mode,
+      payment_details,
+      workout_type: value('workout_type'),
+      personal_training: TRUE_VALUES.includes(personal_training),
+    },
+    errors,
+  };
+}
+
+/**
+ * Parses and validates an import CSV. Headers are matched case-insensitively, with spaces read as
+ * underscores. Returns { error } when the file itself is unusable, otherwise { rows }, each row
+ * being { row (its number in the file, the header being row 1), gym_id, member, errors } with
+ * member null when the row has errors. Gym IDs repeated within the file are errors.
+ */
+export function parseMemberImport(text) {
+  const [header, ...lines] = parseCsv(text || '');
+  if (!header) {
+    return { error: 'The CSV file is empty' };
+  }
+
+  const columns = header.map((name) => name.trim().toLowerCase().replace(/\s+/g, '_'));
+  const missing = REQUIRED_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    return { error: `Missing columns: ${missing.join(', ')}` };
+  }
+  if (lines.length === 0) {
+    return { error: 'The CSV file has no members' };
+  }
+  if (lines.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} members can be imported at once` };
+  }
+
+  const seen = new Map();
+  const rows = lines.map((fields, index) => {
+    const record = Object.fromEntries(columns.map((column, i) => [column, fields[i]]));
+    const { member, errors } = validateImportRecord(record);
+    const gym_id = (record.gym_id || '').trim();
+    const row = index + 2;
+
+    if (gym_id && seen.has(gym_id)) {
+      errors.push(`Gym ID repeats row ${seen.get(gym_id)}`);
+    } else if (gym_id) {
+      seen.set(gym_id, row);
+    }
+
+    return { row, gym_id, member: errors.length > 0 ? null : member, errors };
+  });
+
+  return { rows };
+}
+
+/**
+ * Flags rows whose gym_id is in `takenGymIds` (a Set of those already used by a customer).
+ */
+export function flagTakenGymIds(rows, takenGymIds) {
+  for (const row of rows) {
+    if (takenGymIds.has(row.gym_id)) {
+      row.errors.push('This Gym ID already exists');
+      row.member = null;
+    }
+  }
+  return rows;
+}
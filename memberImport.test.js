@@ -0,0 +1,81 @@
+import { parseCsv, parseImportDate, validateImportRecord, parseMemberImport, flagTakenGymIds } from './memberImport.js';
+
+describe('parseCsv', () => {
+  test('reads quoted fields, CRLF line endings and a byte order mark', () => {
+    expect(parseCsv('\ufeffa,b\r\n"Doe, ""J""",2\r\n\r\n')).toEqual([
+      ['a', 'b'],
+      ['Doe, "J"', '2'],
+    ]);
+  });
+});
+
+describe('parseImportDate', () => {
+  test('reads dd/mm/yyyy and YYYY-MM-DD as midnight in India', () => {
+    expect(parseImportDate('05/04/2025')).toEqual(new Date('2025-04-05T00:00:00.000+05:30'));
+    expect(parseImportDate('2025-04-05')).toEqual(new Date('2025-04-05T00:00:00.000+05:30'));
+  });
+
+  test('rejects dates that do not exist', () => {
+    expect(parseImportDate('31/02/2025')).toBeNull();
+    expect(parseImportDate('04/05/25')).toBeNull();
+  });
+});
+
+describe('validateImportRecord', () => {
+  const record = {
+    gym_id: 'G1', name: 'John Doe', phone_number: '+91 98765-43210', start_date: '01/04/2025',
+    duration: '3', amount: '3000', workout_type: 'cardio', personal_training: 'Yes',
+  };
+
+  test('fills in defaults and normalises the phone number', () => {
+    expect(validateImportRecord(record)).toEqual({
+      member: {
+        gym_id: 'G1', name: 'John Doe', phone_number: '9876543210', id_card_number: null,
+        start_date: new Date('2025-04-01T00:00:00.000+05:30'), duration: 3, duration_unit: 'months',
+        amount: 3000, amount_paid: 3000, payment_mode: 'cash', payment_details: null,
+        workout_type: 'cardio', personal_training: true,
+      },
+      errors: [],
+    });
+  });
+
+  test('reports every problem with a row', () => {
+    const { member, errors } = validateImportRecord({
+      ...record, name: '', phone_number: '12345', amount_paid: '5000', payment_mode: 'upi',
+    });
+
+    expect(member).toBeNull();
+    expect(errors).toEqual([
+      'name is required',
+      'phone_number must be a 10 digit mobile number',
+      'amount_paid must be between 0 and amount',
+      'payment_details are required for UPI/Card payments',
+    ]);
+  });
+});
+
+describe('parseMemberImport', () => {
+  const header = 'Gym ID,Name,Phone Number,Start Date,Duration,Amount,Workout Type';
+
+  test('reports missing columns', () => {
+    expect(parseMemberImport('gym_id,name\nG1,John')).toEqual({
+      error: 'Missing columns: phone_number, start_date, duration, amount, workout_type',
+    });
+  });
+
+  test('flags gym_ids repeated in the file or already taken', () => {
+    const { rows } = parseMemberImport([
+      header,
+      'G1,John,9876543210,01/04/2025,3,3000,cardio',
+      'G2,Jane,9876543211,01/04/2025,3,3000,cardio',
+      'G1,Jim,9876543212,01/04/2025,3,3000,cardio',
+    ].join('\n'));
+    flagTakenGymIds(rows, new Set(['G2']));
+
+    expect(rows.map(({ row, member, errors }) => ({ row, valid: !!member, errors }))).toEqual([
+      { row: 2, valid: true, errors: [] },
+      { row: 3, valid: false, errors: ['This Gym ID already exists'] },
+      { row: 4, valid: false, errors: ['Gym ID repeats row 2'] },
+    ]);
+  });
+});
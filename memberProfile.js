@@ -0,0 +1,68 @@
+// memberProfile.js
+// Extended member profile: personal details, emergency contact and health notes kept by trainers,
+// and birthdays so owners can greet members.
+
+export const GENDERS = ['male', 'female', 'other'];
+
+// Optional profile fields editable through PUT /edit_profile, all nullable
+export const PROFILE_FIELDS = [
+  'date_of_birth',
+  'gender',
+  'address',
+  'emergency_contact_name',
+  'emergency_contact_phone',
+  'emergency_contact_relation',
+  'health_notes',
+  'goals',
+];
+
+export const MAX_BIRTHDAY_DAYS = 31;
+
+/**
+ * Today's date in Asia/Kolkata as { year, month, day }.
+ */
+function gymToday(now) {
+  const [year, month, day] = now.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }).split('-').map(Number);
+  return { year, month, day };
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * The "MM-DD" birthdays falling on today and the following `days` days in the gym's timezone.
+ * Members born on 29 February are greeted on the 28th in other years.
+ */
+export function upcomingBirthdayKeys(days, now = new Date()) {
+  const { year, month, day } = gymToday(now);
+  const keys = [];
+  for (let offset = 0; offset <= days; offset++) {
+    const date = new Date(Date.UTC(year, month - 1, day + offset));
+    const key = `${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    keys.push(key);
+    if (key === '02-28' && !isLeapYear(date.getUTCFullYear())) {
+      keys.push('02-29');
+    }
+  }
+  return keys;
+}
+
+/**
+ * The next birthday (today included) of someone born on `date_of_birth`, as "YYYY-MM-DD",
+ * and the age they turn then.
+ */
+export function nextBirthday(date_of_birth, now = new Date()) {
+  const birth = new Date(date_of_birth);
+  const today = gymToday(now);
+  const birthMonth = birth.getUTCMonth() + 1;
+  const birthDay = birth.getUTCDate();
+
+  const onOrAfterToday = birthMonth > today.month || (birthMonth === today.month && birthDay >= today.day);
+  const year = onOrAfterToday ? today.year : today.year + 1;
+  const day = birthMonth === 2 && birthDay === 29 && !isLeapYear(year) ? 28 : birthDay;
+
+  return { date: `${year}-${pad(birthMonth)}-${pad(day)}`, age: year - birth.getUTCFullYear() };
+}
@@ -0,0 +1,30 @@
+import { upcomingBirthdayKeys, nextBirthday } from './memberProfile.js';
+
+describe('upcomingBirthdayKeys', () => {
+  test('lists today and the following days in India, across the new year', () => {
+    // 30 December 20:00 UTC is already 31 December in India
+    expect(upcomingBirthdayKeys(2, new Date('2025-12-30T20:00:00.000Z'))).toEqual(['12-31', '01-01', '01-02']);
+  });
+
+  test('greets members born on 29 February on the 28th in other years', () => {
+    expect(upcomingBirthdayKeys(0, new Date('2025-02-28T06:00:00.000Z'))).toEqual(['02-28', '02-29']);
+    expect(upcomingBirthdayKeys(0, new Date('2028-02-28T06:00:00.000Z'))).toEqual(['02-28']);
+  });
+});
+
+describe('nextBirthday', () => {
+  const now = new Date('2025-06-15T06:00:00.000Z');
+
+  test('is today or later this year', () => {
+    expect(nextBirthday(new Date('1990-06-15'), now)).toEqual({ date: '2025-06-15', age: 35 });
+    expect(nextBirthday(new Date('1990-07-01'), now)).toEqual({ date: '2025-07-01', age: 35 });
+  });
+
+  test('moves to next year once passed', () => {
+    expect(nextBirthday(new Date('1990-01-10'), now)).toEqual({ date: '2026-01-10', age: 36 });
+  });
+
+  test('falls on 28 February outside leap years', () => {
+    expect(nextBirthday(new Date('2000-02-29'), now)).toEqual({ date: '2026-02-28', age: 26 });
+  });
+});
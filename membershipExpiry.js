@@ -0,0 +1,120 @@
+// membershipExpiry.js
+import { auditActor } from './auditLog.js';
+
+let timer;
+let lastRun = null;
+
+/**
+ * Marks every active customer whose end_date has passed as inactive.
+ * `now` is injectable so the job can be exercised without waiting for real time to pass.
+ */
+export async function runMembershipExpiry(prisma, now = new Date()) {
+  const candidates = await prisma.customer.findMany({
+    where: {
+      status: true,
+      end_date: { lt: now },
+    },
+    select: { id: true, gym_owner_id: true },
+  });
+
+  let expired = [];
+  if (candidates.length > 0) {
+    expired = await prisma.$transaction(async (tx) => {
+      // Lock the candidates still expired, so a renewal made since the lookup is neither overwritten
+      // nor audited and counted as an expiry
+      const locked = await tx.$queryRaw`
+        SELECT "id", "gym_owner_id" FROM "customer"
+        WHERE "id" = ANY(${candidates.map((customer) => customer.id)})
+          AND "status" = true
+          AND "end_date" < ${now}
+        FOR UPDATE`;
+      if (locked.length === 0) {
+        return [];
+      }
+
+      await tx.customer.updateMany({
+        where: {
+          id: { in: locked.map((customer) => customer.id) },
+          status: true,
+          end_date: { lt: now },
+        },
+        data: { status: false, expired_at: now },
+      });
+
+      await tx.audit_log.createMany({
+        data: locked.map((customer) => ({
+          gym_owner_id: customer.gym_owner_id,
+          entity_type: 'customer',
+          entity_id: customer.id,
+          customer_id: customer.id,
+          action: 'expire',
+          before: { status: true },
+          after: { status: false, expired_at: now.toISOString() },
+          ...auditActor(null),
+        })),
+      });
+      return locked;
+    });
+  }
+
+  const expiredByOwner = {};
+  expired.forEach(({ gym_owner_id }) => {
+    expiredByOwner[gym_owner_id] = (expiredByOwner[gym_owner_id] || 0) + 1;
+  });
+
+  lastRun = {
+    ran_at: now,
+    success: true,
+    expired_count: expired.length,
+    expired_by_owner: expiredByOwner,
+    error: null,
+  };
+  return lastRun;
+}
+
+/**
+ * Starts running the expiry job immediately and then every `intervalMs` milliseconds.
+ * `clock` returns the current time and can be replaced in tests.
+ */
+export function startMembershipExpiryJob(prisma, { intervalMs = 60 * 60 * 1000, clock = () => new Date() } = {}) {
+  stopMembershipExpiryJob();
+
+  const tick = async () => {
+    const now = clock();
+    try {
+      const result = await runMembershipExpiry(prisma, now);
+      if (result.expired_count > 0) {
+        console.log(`Membership expiry: marked ${result.expired_count} customer(s) inactive`);
+      }
+    } catch (error) {
+      console.error('Membership expiry job failed:', error);
+      lastRun = {
+        ran_at: now,
+        success: false,
+        expired_count: 0,
+        expired_by_owner: {},
+        error: error.message,
+      };
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  return tick();
+}
+
+/**
+ * Stops the scheduled expiry job, if it is running.
+ */
+export function stopMembershipExpiryJob() {
+  if (timer) {
+    clearInterval(timer);
+    timer = undefined;
+  }
+}
+
+/**
+ * Returns the result of the most recent expiry run, or null if it has not run yet.
+ */
+export function getLastExpiryRun() {
+  return lastRun;
+}
@@ -0,0 +1,121 @@
+import {
+  runMembershipExpiry,
+  startMembershipExpiryJob,
+  stopMembershipExpiryJob,
+  getLastExpiryRun,
+} from './membershipExpiry.js';
+
+const buildPrisma = (customers) => {
+  const prisma = {
+    customer: {
+      findMany: jest.fn(({ where }) => Promise.resolve(
+        customers.filter((c) => c.status === where.status && c.end_date < where.end_date.lt)
+      )),
+      updateMany: jest.fn(() => Promise.resolve({ count: 0 })),
+    },
+    audit_log: {
+      createMany: jest.fn(() => Promise.resolve({ count: 0 })),
+    },
+  };
+  // The locking re-read inside the transaction: customers still active with an end_date before now
+  prisma.$queryRaw = jest.fn((strings, ids, now) => Promise.resolve(
+    customers.filter((c) => ids.includes(c.id) && c.status && c.end_date < now)
+  ));
+  prisma.$transaction = jest.fn((fn) => fn(prisma));
+  return prisma;
+};
+
+describe('runMembershipExpiry', () => {
+  const customers = [
+    { id: 1, gym_owner_id: 1, status: true, end_date: new Date('2025-04-01T00:00:00.000Z') },
+    { id: 2, gym_owner_id: 2, status: true, end_date: new Date('2025-04-10T00:00:00.000Z') },
+    { id: 3, gym_owner_id: 1, status: true, end_date: new Date('2025-05-01T00:00:00.000Z') },
+  ];
+
+  test('should deactivate only customers whose end_date is before the injected clock', async () => {
+    const prisma = buildPrisma(customers);
+    const now = new Date('2025-04-15T00:00:00.000Z');
+
+    const result = await runMembershipExpiry(prisma, now);
+
+    expect(result.expired_count).toBe(2);
+    expect(result.expired_by_owner).toEqual({ 1: 1, 2: 1 });
+    expect(prisma.customer.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: [1, 2] }, status: true, end_date: { lt: now } },
+      data: { status: false, expired_at: now },
+    });
+    expect(prisma.audit_log.createMany).toHaveBeenCalledWith({
+      data: [
+        expect.objectContaining({ entity_id: 1, gym_owner_id: 1, action: 'expire', actor_role: 'system' }),
+        expect.objectContaining({ entity_id: 2, gym_owner_id: 2, action: 'expire', actor_role: 'system' }),
+      ],
+    });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(getLastExpiryRun()).toEqual(result);
+  });
+
+  test('should neither audit nor count a customer renewed since the lookup', async () => {
+    const renewing = customers.map((customer) => ({ ...customer }));
+    const prisma = buildPrisma(renewing);
+    const now = new Date('2025-04-15T00:00:00.000Z');
+    // Customer 2 renews between the lookup and the transaction
+    prisma.customer.findMany.mockImplementationOnce(({ where }) => {
+      const found = renewing.filter((c) => c.status === where.status && c.end_date < where.end_date.lt);
+      renewing[1].end_date = new Date('2025-05-10T00:00:00.000Z');
+      return Promise.resolve(found);
+    });
+
+    const result = await runMembershipExpiry(prisma, now);
+
+    expect(result.expired_count).toBe(1);
+    expect(result.expired_by_owner).toEqual({ 1: 1 });
+    expect(prisma.customer.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: [1] }, status: true, end_date: { lt: now } },
+      data: { status: false, expired_at: now },
+    });
+    expect(prisma.audit_log.createMany).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ entity_id: 1 })],
+    });
+  });
+
+  test('should not update anything when no membership has expired', async () => {
+    const prisma = buildPrisma(customers);
+
+    const result = await runMembershipExpiry(prisma, new Date('2025-03-01T00:00:00.000Z'));
+
+    expect(result.expired_count).toBe(0);
+    expect(prisma.customer.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('startMembershipExpiryJob', () => {
+  afterEach(() => {
+    stopMembershipExpiryJob();
+    jest.useRealTimers();
+  });
+
+  test('should run immediately and again on every interval using the injected clock', async () => {
+    jest.useFakeTimers();
+    const prisma = buildPrisma([]);
+    const clock = jest.fn()
+      .mockReturnValueOnce(new Date('2025-04-15T00:00:00.000Z'))
+      .mockReturnValueOnce(new Date('2025-04-15T01:00:00.000Z'));
+
+    await startMembershipExpiryJob(prisma, { intervalMs: 60 * 60 * 1000, clock });
+    expect(getLastExpiryRun().ran_at).toEqual(new Date('2025-04-15T00:00:00.000Z'));
+
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(clock).toHaveBeenCalledTimes(2);
+    expect(getLastExpiryRun().ran_at).toEqual(new Date('2025-04-15T01:00:00.000Z'));
+  });
+
+  test('should record a failed run without throwing', async () => {
+    const prisma = { customer: { findMany: jest.fn().mockRejectedValue(new Error('db down')) } };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await startMembershipExpiryJob(prisma, { clock: () => new Date('2025-04-15T00:00:00.000Z') });
+
+    expect(getLastExpiryRun()).toEqual(expect.objectContaining({ success: false, error: 'db down' }));
+    console.error.mockRestore();
+  });
+});
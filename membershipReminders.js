@@ -0,0 +1,239 @@
+// membershipReminders.js
+import { getWhatsAppClient } from './whatsappClient.js';
+import { frozenAt } from './freezes.js';
+
+let timer;
+let lastRun = null;
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: true,
+  days_before: [3],
+  send_on_day: true,
+  days_after: [3],
+  before_template: `{gym_name}
+
+DEAR {name},
+
+UR ADMIS NO : {gym_id}
+
+YOUR "GYM FEE SUBSCRIPTION" ENDS IN {days} DAY(S) ON {end_date}.
+PLEASE RENEW TO CONTINUE YOUR WORKOUTS WITHOUT A BREAK.
+
+THANK YOU
+{gym_name}
+{owner_phone}`,
+  on_day_template: `{gym_name}
+
+DEAR {name},
+
+UR ADMIS NO : {gym_id}
+
+YOUR "GYM FEE SUBSCRIPTION" ENDS TODAY ({end_date}).
+PLEASE RENEW TO CONTINUE YOUR WORKOUTS WITHOUT A BREAK.
+
+THANK YOU
+{gym_name}
+{owner_phone}`,
+  after_template: `{gym_name}
+
+DEAR {name},
+
+UR ADMIS NO : {gym_id}
+
+THIS IS TO REMIND YOU
+ABOUT THE COMPLETION OF UR "GYM FEE SUBSCRIPTION" HAS BEEN ENDED ON {end_date}.
+HENCE, WE REMIND U TO RENEW YOUR "FEE SUBSCRIPTION"
+BE FIT FOR A GOOD HEALTHY TOMORROW.
+
+THANK YOU
+{gym_name}
+{owner_phone}`,
+};
+
+/**
+ * Finds the gym owner's customers whose end_date falls between `from` and `to` (inclusive).
+ * This is the query behind GET /expiring_memberships/:days, which passes `excludeFrozenAt`
+ * to leave out members on a freeze at that time.
+ */
+export function findCustomersEndingBetween(prisma, gym_owner_id, from, to, { excludeFrozenAt = null } = {}) {
+  return prisma.customer.findMany({
+    where: {
+      gym_owner_id: Number(gym_owner_id),
+      end_date: { gte: from, lte: to },
+      ...(excludeFrozenAt
+        ? { freezes: { none: frozenAt(excludeFrozenAt) } }
+        : {}),
+    },
+    select: { id: true, name: true, phone_number: true, end_date: true, gym_id: true },
+  });
+}
+
+/**
+ * Replaces `{placeholder}` tokens in a reminder template with the given values.
+ * Unknown placeholders are left untouched.
+ */
+export function renderReminderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Merges the gym owner's stored reminder_setting row over the defaults.
+ */
+export function resolveReminderSettings(setting) {
+  if (!setting) {
+    return { ...DEFAULT_REMINDER_SETTINGS };
+  }
+  return {
+    enabled: setting.enabled,
+    days_before: setting.days_before,
+    send_on_day: setting.send_on_day,
+    days_after: setting.days_after,
+    before_template: setting.before_template || DEFAULT_REMINDER_SETTINGS.before_template,
+    on_day_template: setting.on_day_template || DEFAULT_REMINDER_SETTINGS.on_day_template,
+    after_template: setting.after_template || DEFAULT_REMINDER_SETTINGS.after_template,
+  };
+}
+
+/**
+ * Lists the reminder offsets for a settings object, relative to end_date:
+ * negative before it, 0 on the day and positive after the membership lapsed.
+ */
+function reminderOffsets(settings) {
+  const offsets = [
+    ...settings.days_before.map((days) => ({ offset_days: -Math.abs(days), template: settings.before_template })),
+    ...settings.days_after.map((days) => ({ offset_days: Math.abs(days), template: settings.after_template })),
+  ];
+  if (settings.send_on_day) {
+    offsets.push({ offset_days: 0, template: settings.on_day_template });
+  }
+  return offsets;
+}
+
+/**
+ * Start and end of the calendar day `offsetDays` before the one holding `now`, in Asia/Kolkata time,
+ * so members are reminded on the gym's dates whatever the server's timezone.
+ */
+function dayWindow(now, offsetDays) {
+  const today = new Date(now).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  const day = new Date(`${today}T00:00:00.000Z`);
+  day.setUTCDate(day.getUTCDate() - offsetDays);
+  const date = day.toISOString().slice(0, 10);
+  return {
+    start: new Date(`${date}T00:00:00.000+05:30`),
+    end: new Date(`${date}T23:59:59.999+05:30`),
+  };
+}
+
+/**
+ * Sends every reminder that is due at `now` for all gym owners.
+ * Each send is recorded in reminder_log, keyed by customer, end_date and offset,
+ * so a member is never messaged twice for the same membership period.
+ */
+export async function runMembershipReminders(prisma, waClient, now = new Date()) {
+  const gymOwners = await prisma.gym_owner.findMany({
+    select: { id: true, name: true, gym_name: true, phone_number: true, reminder_setting: true },
+  });
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const gymOwner of gymOwners) {
+    const settings = resolveReminderSettings(gymOwner.reminder_setting);
+    if (!settings.enabled) {
+      continue;
+    }
+
+    for (const { offset_days, template } of reminderOffsets(settings)) {
+      const { start, end } = dayWindow(now, offset_days);
+      const customers = await findCustomersEndingBetween(prisma, gymOwner.id, start, end);
+
+      for (const customer of customers) {
+        const logKey = {
+          customer_id: customer.id,
+          end_date: customer.end_date,
+          offset_days,
+        };
+
+        // Claim the reminder first so a concurrent run cannot send it again
+        try {
+          await prisma.reminder_log.create({ data: logKey });
+        } catch (error) {
+          if (error.code === 'P2002') {
+            continue;
+          }
+          throw error;
+        }
+
+        const text = renderReminderTemplate(template, {
+          name: customer.name,
+          gym_id: customer.gym_id,
+          gym_name: gymOwner.gym_name.toUpperCase(),
+          owner_name: gymOwner.name,
+          owner_phone: gymOwner.phone_number,
+          end_date: new Date(customer.end_date).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' }),
+          days: Math.abs(offset_days),
+        });
+        const waNumber = customer.phone_number.includes('@s.whatsapp.net')
+          ? customer.phone_number
+          : `91${customer.phone_number}@s.whatsapp.net`;
+
+        try {
+          await waClient.sendMessage(waNumber, { text });
+          sent += 1;
+        } catch (error) {
+          // Release the claim so the reminder is retried on the next run
+          console.error(`Error sending reminder to ${customer.phone_number}:`, error);
+          await prisma.reminder_log.delete({ where: { customer_id_end_date_offset_days: logKey } });
+          failed += 1;
+        }
+      }
+    }
+  }
+
+  lastRun = { ran_at: now, success: true, sent, failed, error: null };
+  return lastRun;
+}
+
+/**
+ * Starts sending reminders immediately and then every `intervalMs` milliseconds.
+ * `clock` and `getClient` can be replaced in tests.
+ */
+export function startMembershipReminderJob(
+  prisma,
+  { intervalMs = 60 * 60 * 1000, clock = () => new Date(), getClient = getWhatsAppClient } = {}
+) {
+  stopMembershipReminderJob();
+
+  const tick = async () => {
+    const now = clock();
+    try {
+      const result = await runMembershipReminders(prisma, getClient(), now);
+      if (result.sent > 0) {
+        console.log(`Membership reminders: sent ${result.sent} message(s)`);
+      }
+    } catch (error) {
+      console.error('Membership reminder job failed:', error);
+      lastRun = { ran_at: now, success: false, sent: 0, failed: 0, error: error.message };
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  return tick();
+}
+
+/**
+ * Stops the scheduled reminder job, if it is running.
+ */
+export function stopMembershipReminderJob() {
+  if (timer) {
+    clearInterval(timer);
+    timer = undefined;
+  }
+}
+
+/**
+ * Returns the result of the most recent reminder run, or null if it has not run yet.
+ */
+export function getLastReminderRun() {
+  return lastRun;
+}
@@ -0,0 +1,161 @@
+jest.mock('./whatsappClient.js', () => ({
+  getWhatsAppClient: jest.fn(),
+}));
+
+import {
+  runMembershipReminders,
+  renderReminderTemplate,
+  resolveReminderSettings,
+  DEFAULT_REMINDER_SETTINGS,
+} from './membershipReminders.js';
+
+const gymOwner = {
+  id: 1,
+  name: 'Owner',
+  gym_name: 'Iron Gym',
+  phone_number: '9999999999',
+  reminder_setting: null,
+};
+
+// In-memory prisma stub: customers are matched on end_date and reminder_log enforces its unique key
+const buildPrisma = (customers, owners = [gymOwner]) => {
+  const logs = new Set();
+  const key = ({ customer_id, end_date, offset_days }) => `${customer_id}:${new Date(end_date).getTime()}:${offset_days}`;
+  return {
+    gym_owner: { findMany: jest.fn().mockResolvedValue(owners) },
+    customer: {
+      findMany: jest.fn(({ where }) => Promise.resolve(customers.filter((c) => (
+        c.gym_owner_id === where.gym_owner_id
+        && c.end_date >= where.end_date.gte
+        && c.end_date <= where.end_date.lte
+      )))),
+    },
+    reminder_log: {
+      create: jest.fn(({ data }) => {
+        if (logs.has(key(data))) {
+          return Promise.reject(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+        }
+        logs.add(key(data));
+        return Promise.resolve(data);
+      }),
+      delete: jest.fn(({ where }) => {
+        logs.delete(key(where.customer_id_end_date_offset_days));
+        return Promise.resolve();
+      }),
+    },
+  };
+};
+
+describe('runMembershipReminders', () => {
+  const now = new Date('2025-04-10T09:00:00.000+05:30');
+  const customers = [
+    { id: 1, gym_owner_id: 1, name: 'Before', phone_number: '1111111111', gym_id: 'A1', end_date: new Date('2025-04-13T00:00:00.000+05:30') },
+    { id: 2, gym_owner_id: 1, name: 'Today', phone_number: '2222222222', gym_id: 'A2', end_date: new Date('2025-04-10T18:00:00.000+05:30') },
+    { id: 3, gym_owner_id: 1, name: 'Lapsed', phone_number: '3333333333', gym_id: 'A3', end_date: new Date('2025-04-07T12:00:00.000+05:30') },
+    { id: 4, gym_owner_id: 1, name: 'Later', phone_number: '4444444444', gym_id: 'A4', end_date: new Date('2025-05-01T00:00:00.000+05:30') },
+  ];
+
+  test('should message members before, on and after end_date using the default offsets', async () => {
+    const prisma = buildPrisma(customers);
+    const waClient = { sendMessage: jest.fn().mockResolvedValue({}) };
+
+    const result = await runMembershipReminders(prisma, waClient, now);
+
+    expect(result.sent).toBe(3);
+    const recipients = waClient.sendMessage.mock.calls.map(([jid]) => jid).sort();
+    expect(recipients).toEqual([
+      '911111111111@s.whatsapp.net',
+      '912222222222@s.whatsapp.net',
+      '913333333333@s.whatsapp.net',
+    ]);
+  });
+
+  test('should not message anyone twice for the same membership period', async () => {
+    const prisma = buildPrisma(customers);
+    const waClient = { sendMessage: jest.fn().mockResolvedValue({}) };
+
+    await runMembershipReminders(prisma, waClient, now);
+    const second = await runMembershipReminders(prisma, waClient, new Date('2025-04-10T10:00:00.000+05:30'));
+
+    expect(second.sent).toBe(0);
+    expect(waClient.sendMessage).toHaveBeenCalledTimes(3);
+  });
+
+  test('should retry a reminder on the next run when sending fails', async () => {
+    const prisma = buildPrisma([customers[1]]);
+    const waClient = { sendMessage: jest.fn().mockRejectedValueOnce(new Error('offline')).mockResolvedValue({}) };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const first = await runMembershipReminders(prisma, waClient, now);
+    const second = await runMembershipReminders(prisma, waClient, now);
+
+    expect(first).toEqual(expect.objectContaining({ sent: 0, failed: 1 }));
+    expect(second).toEqual(expect.objectContaining({ sent: 1, failed: 0 }));
+    console.error.mockRestore();
+  });
+
+  test('should use the gym owner offsets and templates and skip disabled owners', async () => {
+    const owners = [
+      {
+        ...gymOwner,
+        reminder_setting: {
+          enabled: true,
+          days_before: [],
+          send_on_day: false,
+          days_after: [3],
+          before_template: null,
+          on_day_template: null,
+          after_template: 'Hi {name}, your {gym_name} plan ended on {end_date}',
+        },
+      },
+      { ...gymOwner, id: 2, reminder_setting: { ...DEFAULT_REMINDER_SETTINGS, enabled: false } },
+    ];
+    const prisma = buildPrisma([...customers, { ...customers[0], id: 5, gym_owner_id: 2 }], owners);
+    const waClient = { sendMessage: jest.fn().mockResolvedValue({}) };
+
+    await runMembershipReminders(prisma, waClient, now);
+
+    expect(waClient.sendMessage).toHaveBeenCalledTimes(1);
+    expect(waClient.sendMessage).toHaveBeenCalledWith('913333333333@s.whatsapp.net', {
+      text: `Hi Lapsed, your IRON GYM plan ended on 07/04/2025`,
+    });
+  });
+});
+
+describe('reminder days', () => {
+  test('should pick members by the gym\'s calendar day whatever the server timezone', async () => {
+    // Stored as midnight in the gym, which is still the previous day in UTC
+    const customer = {
+      id: 6, gym_owner_id: 1, name: 'Midnight', phone_number: '6666666666', gym_id: 'A6',
+      end_date: new Date('2025-04-13T00:00:00.000+05:30'),
+    };
+    const owners = [{
+      ...gymOwner,
+      reminder_setting: { ...DEFAULT_REMINDER_SETTINGS, days_before: [3], send_on_day: false, days_after: [] },
+    }];
+    const waClient = { sendMessage: jest.fn().mockResolvedValue({}) };
+
+    const early = await runMembershipReminders(buildPrisma([customer], owners), waClient, new Date('2025-04-09T20:00:00.000Z'));
+    const due = await runMembershipReminders(buildPrisma([customer], owners), waClient, new Date('2025-04-10T04:00:00.000Z'));
+
+    // 20:00 UTC on 9 April is already 10 April in the gym, three days before the end
+    expect(early.sent).toBe(1);
+    expect(due.sent).toBe(1);
+    expect(waClient.sendMessage.mock.calls[0][1].text).toContain('ON 13/04/2025');
+  });
+});
+
+describe('reminder templates', () => {
+  test('should fill known placeholders and leave unknown ones untouched', () => {
+    expect(renderReminderTemplate('{name} ends {end_date} {unknown}', { name: 'Ravi', end_date: '01/05/2025' }))
+      .toBe('Ravi ends 01/05/2025 {unknown}');
+  });
+
+  test('should fall back to the default templates when none are stored', () => {
+    const settings = resolveReminderSettings({
+      enabled: true, days_before: [7], send_on_day: true, days_after: [], before_template: null,
+    });
+    expect(settings.days_before).toEqual([7]);
+    expect(settings.before_template).toBe(DEFAULT_REMINDER_SETTINGS.before_template);
+  });
+});
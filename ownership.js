@@ -0,0 +1,91 @@
+// ownership.js
+// Every customer or membership lookup made on behalf of a gym owner goes through here,
+// so records of another gym are indistinguishable from missing ones (callers respond 404).
+
+/**
+ * Finds the gym owner's customer by gym_id (admission number), or null.
+ * `db` is the Prisma client or an interactive transaction client.
+ */
+export function findOwnedCustomer(db, gym_owner_id, gym_id, options = {}) {
+  if (gym_id === undefined || gym_id === null || gym_id === '') {
+    return Promise.resolve(null);
+  }
+  return db.customer.findFirst({
+    ...options,
+    where: {
+      gym_owner_id: Number(gym_owner_id),
+      gym_id: gym_id.toString(),
+    },
+  });
+}
+
+/**
+ * Returns the Set of `gym_ids` already used by the gym owner's customers.
+ */
+export async function findTakenGymIds(db, gym_owner_id, gym_ids) {
+  const ids = gym_ids.filter((gym_id) => gym_id !== undefined && gym_id !== null && gym_id !== '');
+  if (ids.length === 0) {
+    return new Set();
+  }
+  const customers = await db.customer.findMany({
+    where: {
+      gym_owner_id: Number(gym_owner_id),
+      gym_id: { in: ids.map((gym_id) => gym_id.toString()) },
+    },
+    select: { gym_id: true },
+  });
+  return new Set(customers.map((customer) => customer.gym_id));
+}
+
+/**
+ * Finds the gym owner's customer by the ID card number printed on their membership card, or null.
+ */
+export function findOwnedCustomerByIdCard(db, gym_owner_id, id_card_number, options = {}) {
+  if (!id_card_number) {
+    return Promise.resolve(null);
+  }
+  return db.customer.findFirst({
+    ...options,
+    where: {
+      gym_owner_id: Number(gym_owner_id),
+      id_card_number: id_card_number.toString(),
+    },
+  });
+}
+
+/**
+ * Finds a membership transaction by id, only if it belongs to one of the gym owner's customers, or null.
+ * The customer is included unless `options` says otherwise.
+ */
+export function findOwnedMembership(db, gym_owner_id, membership_id, options = {}) {
+  const id = Number(membership_id);
+  if (!Number.isInteger(id)) {
+    return Promise.resolve(null);
+  }
+  return db.membership.findFirst({
+    include: { customer: true },
+    ...options,
+    where: {
+      id,
+      customer: { gym_owner_id: Number(gym_owner_id) },
+    },
+  });
+}
+
+/**
+ * Finds one of the gym owner's membership plans by id, or null.
+ * With `activeOnly`, deactivated plans are treated as missing.
+ */
+export function findOwnedPlan(db, gym_owner_id, plan_id, { activeOnly = false } = {}) {
+  const id = Number(plan_id);
+  if (!Number.isInteger(id)) {
+    return Promise.resolve(null);
+  }
+  return db.plan.findFirst({
+    where: {
+      id,
+      gym_owner_id: Number(gym_owner_id),
+      ...(activeOnly ? { active: true } : {}),
+    },
+  });
+}
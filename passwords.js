@@ -0,0 +1,56 @@
+// passwords.js
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Returns true if the stored value is a hash produced by hashPassword,
+ * false for legacy plaintext passwords.
+ */
+export function isPasswordHash(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+}
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * The result is self-describing: "scrypt$N$r$p$<salt>$<hash>".
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const derivedKey = await scryptAsync(password, salt, KEY_LENGTH, { N, r, p });
+  return [HASH_PREFIX, N, r, p, salt.toString('base64'), derivedKey.toString('base64')].join('$');
+}
+
+/**
+ * Checks a password against a stored value, which may be a hash or a legacy plaintext password.
+ * Resolves to { valid, needsRehash } so callers can upgrade legacy passwords after a successful check.
+ */
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isPasswordHash(stored)) {
+    const valid = safeEqual(Buffer.from(password), Buffer.from(stored));
+    return { valid, needsRehash: valid };
+  }
+
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const derivedKey = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return { valid: safeEqual(derivedKey, expected), needsRehash: false };
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && timingSafeEqual(a, b);
+}
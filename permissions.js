@@ -0,0 +1,55 @@
+// permissions.js
+
+export const ROLES = ['owner', 'manager', 'receptionist'];
+
+// Roles that can be given to staff accounts, the owner role belongs to the gym owner's own login
+export const STAFF_ROLES = ['manager', 'receptionist'];
+
+/**
+ * What each role may do. Gym owners logging in with their own account always have the owner role.
+ */
+const ROLE_PERMISSIONS = {
+  owner: [
+    'view_members',
+    'manage_members',
+    'edit_transactions',
+    'view_revenue',
+    'view_audit_log',
+    'manage_staff',
+    'manage_account',
+    'manage_plans',
+    'manage_coupons',
+    'manage_trainers',
+  ],
+  manager: [
+    'view_members',
+    'manage_members',
+    'edit_transactions',
+    'view_revenue',
+    'view_audit_log',
+    'manage_plans',
+    'manage_coupons',
+    'manage_trainers',
+  ],
+  receptionist: ['view_members', 'manage_members'],
+};
+
+/**
+ * Returns true if the role grants the permission.
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Middleware rejecting the request with 403 unless the authenticated user's role grants `permission`.
+ * Must run after authenticateJWT.
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user?.role, permission)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+  };
+}
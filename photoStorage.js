@@ -0,0 +1,99 @@
+// photoStorage.js
+// Where member photos are kept. The default adapter writes them under PHOTO_DIR on local disk;
+// another store (S3, GCS, ...) plugs in with setPhotoStorage() as long as it has the same
+// save/read/remove methods, keyed by the photo_key stored on the customer.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const PHOTO_CONTENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+export const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+// Keys are generated by photoKey(), anything else could point outside the photo directory
+const KEY_PATTERN = /^\d+\/\d+-\d+\.(jpg|png|webp)$/;
+
+/**
+ * Content type of an image from its first bytes, or null when it isn't a JPEG, PNG or WebP image.
+ * The request's Content-Type header is not trusted for this.
+ */
+export function detectPhotoType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Storage key of a new photo of a customer. A fresh key per upload keeps cached old photos from being served.
+ */
+export function photoKey(gym_owner_id, customer_id, contentType, now = Date.now()) {
+  return `${Number(gym_owner_id)}/${Number(customer_id)}-${now}.${PHOTO_CONTENT_TYPES[contentType]}`;
+}
+
+/**
+ * Content type of the photo stored under `key`.
+ */
+export function photoContentType(key) {
+  const extension = path.extname(key).slice(1);
+  return Object.keys(PHOTO_CONTENT_TYPES).find((type) => PHOTO_CONTENT_TYPES[type] === extension);
+}
+
+/**
+ * Stores photos as files under `directory`, one sub-directory per gym owner.
+ */
+export function createLocalPhotoStorage(directory) {
+  const filePath = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid photo key: ${key}`);
+    }
+    return path.join(directory, key);
+  };
+
+  return {
+    async save(key, buffer) {
+      const file = filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    async read(key) {
+      try {
+        return await fs.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async remove(key) {
+      await fs.rm(filePath(key), { force: true });
+    },
+  };
+}
+
+let storage = createLocalPhotoStorage(process.env.PHOTO_DIR || path.resolve('uploads', 'photos'));
+
+/**
+ * The photo storage in use.
+ */
+export function getPhotoStorage() {
+  return storage;
+}
+
+/**
+ * Replaces the photo storage, e.g. with a cloud storage adapter at startup.
+ */
+export function setPhotoStorage(adapter) {
+  storage = adapter;
+}
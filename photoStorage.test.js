@@ -0,0 +1,49 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { detectPhotoType, photoKey, photoContentType, createLocalPhotoStorage } from './photoStorage.js';
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+
+describe('detectPhotoType', () => {
+  test('recognises images by their first bytes', () => {
+    expect(detectPhotoType(JPEG)).toBe('image/jpeg');
+    expect(detectPhotoType(PNG)).toBe('image/png');
+    expect(detectPhotoType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1'))).toBe('image/webp');
+  });
+
+  test('rejects anything else', () => {
+    expect(detectPhotoType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+  });
+});
+
+describe('local photo storage', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'photos-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('saves, reads and removes photos by key', async () => {
+    const storage = createLocalPhotoStorage(directory);
+    const key = photoKey(1, 3, 'image/png', 1700000000000);
+
+    await storage.save(key, PNG);
+    expect(key).toBe('1/3-1700000000000.png');
+    expect(photoContentType(key)).toBe('image/png');
+    expect(await storage.read(key)).toEqual(PNG);
+
+    await storage.remove(key);
+    expect(await storage.read(key)).toBeNull();
+  });
+
+  test('refuses keys that could leave the photo directory', async () => {
+    const storage = createLocalPhotoStorage(directory);
+    await expect(storage.read('../../etc/passwd')).rejects.toThrow('Invalid photo key');
+  });
+});
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "customer" ADD COLUMN     "expired_at" TIMESTAMP(3);
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "reminder_setting" (
+    "id" SERIAL NOT NULL,
+    "gym_owner_id" INTEGER NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "days_before" INTEGER[] DEFAULT ARRAY[3]::INTEGER[],
+    "send_on_day" BOOLEAN NOT NULL DEFAULT true,
+    "days_after" INTEGER[] DEFAULT ARRAY[3]::INTEGER[],
+    "before_template" TEXT,
+    "on_day_template" TEXT,
+    "after_template" TEXT,
+
+    CONSTRAINT "reminder_setting_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "reminder_log" (
+    "id" SERIAL NOT NULL,
+    "customer_id" INTEGER NOT NULL,
+    "end_date" TIMESTAMP(3) NOT NULL,
+    "offset_days" INTEGER NOT NULL,
+    "sent_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reminder_log_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "reminder_setting_gym_owner_id_key" ON "reminder_setting"("gym_owner_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "reminder_log_customer_id_end_date_offset_days_key" ON "reminder_log"("customer_id", "end_date", "offset_days");
+
+-- AddForeignKey
+ALTER TABLE "reminder_setting" ADD CONSTRAINT "reminder_setting_gym_owner_id_fkey" FOREIGN KEY ("gym_owner_id") REFERENCES "gym_owner"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reminder_log" ADD CONSTRAINT "reminder_log_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "membership" ADD COLUMN     "staff_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "staff" (
+    "id" SERIAL NOT NULL,
+    "gym_owner_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "phone_number" TEXT NOT NULL,
+    "password" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "staff_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "staff_phone_number_key" ON "staff"("phone_number");
+
+-- AddForeignKey
+ALTER TABLE "membership" ADD CONSTRAINT "membership_staff_id_fkey" FOREIGN KEY ("staff_id") REFERENCES "staff"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "staff" ADD CONSTRAINT "staff_gym_owner_id_fkey" FOREIGN KEY ("gym_owner_id") REFERENCES "gym_owner"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "audit_log" (
+    "id" SERIAL NOT NULL,
+    "gym_owner_id" INTEGER NOT NULL,
+    "entity_type" TEXT NOT NULL,
+    "entity_id" INTEGER NOT NULL,
+    "customer_id" INTEGER NOT NULL,
+    "action" TEXT NOT NULL,
+    "before" JSONB,
+    "after" JSONB,
+    "actor_staff_id" INTEGER,
+    "actor_role" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_log_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_log_gym_owner_id_customer_id_idx" ON "audit_log"("gym_owner_id", "customer_id");
+
+-- CreateIndex
+CREATE INDEX "audit_log_gym_owner_id_entity_type_entity_id_idx" ON "audit_log"("gym_owner_id", "entity_type", "entity_id");
+
+-- AddForeignKey
+ALTER TABLE "audit_log" ADD CONSTRAINT "audit_log_actor_staff_id_fkey" FOREIGN KEY ("actor_staff_id") REFERENCES "staff"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Keep the audit log append-only
+CREATE FUNCTION "audit_log_prevent_change"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "audit_log_append_only"
+    BEFORE UPDATE OR DELETE ON "audit_log"
+    FOR EACH ROW EXECUTE FUNCTION "audit_log_prevent_change"();
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "attendance" (
+    "id" SERIAL NOT NULL,
+    "gym_owner_id" INTEGER NOT NULL,
+    "customer_id" INTEGER NOT NULL,
+    "check_in" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "check_out" TIMESTAMP(3),
+    "membership_expired" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "attendance_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "customer_gym_owner_id_id_card_number_idx" ON "customer"("gym_owner_id", "id_card_number");
+
+-- CreateIndex
+CREATE INDEX "attendance_gym_owner_id_check_in_idx" ON "attendance"("gym_owner_id", "check_in");
+
+-- CreateIndex
+CREATE INDEX "attendance_customer_id_check_in_idx" ON "attendance"("customer_id", "check_in");
+
+-- AddForeignKey
+ALTER TABLE "attendance" ADD CONSTRAINT "attendance_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "membership" ADD COLUMN     "discount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "duration_unit" TEXT NOT NULL DEFAULT 'months',
+ADD COLUMN     "list_price" DOUBLE PRECISION,
+ADD COLUMN     "plan_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "plan" (
+    "id" SERIAL NOT NULL,
+    "gym_owner_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "duration" INTEGER NOT NULL,
+    "duration_unit" TEXT NOT NULL DEFAULT 'months',
+    "workout_type" TEXT NOT NULL,
+    "personal_training" BOOLEAN NOT NULL DEFAULT false,
+    "price" DOUBLE PRECISION NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "plan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "plan_gym_owner_id_name_key" ON "plan"("gym_owner_id", "name");
+
+-- AddForeignKey
+ALTER TABLE "membership" ADD CONSTRAINT "membership_plan_id_fkey" FOREIGN KEY ("plan_id") REFERENCES "plan"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "plan" ADD CONSTRAINT "plan_gym_owner_id_fkey" FOREIGN KEY ("gym_owner_id") REFERENCES "gym_owner"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "gym_owner" ADD COLUMN     "referral_reward" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "customer" ADD COLUMN     "referral_credit" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "referred_by_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "membership" ADD COLUMN     "coupon_discount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "coupon_id" INTEGER,
+ADD COLUMN     "credit_applied" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "coupon" (
+    "id" SERIAL NOT NULL,
+    "gym_owner_id" INTEGER NOT NULL,
+    "code" TEXT NOT NULL,
+    "discount_type" TEXT NOT NULL,
+    "discount_value" DOUBLE PRECISION NOT NULL,
+    "valid_from" TIMESTAMP(3),
+    "valid_until" TIMESTAMP(3),
+    "max_uses" INTEGER,
+    "used_count" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "coupon_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "coupon_gym_owner_id_code_key" ON "coupon"("gym_owner_id", "code");
+
+-- AddForeignKey
+ALTER TABLE "customer" ADD CONSTRAINT "customer_referred_by_id_fkey" FOREIGN KEY ("referred_by_id") REFERENCES "customer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "membership" ADD CONSTRAINT "membership_coupon_id_fkey" FOREIGN KEY ("coupon_id") REFERENCES "coupon"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "coupon" ADD CONSTRAINT "coupon_gym_owner_id_fkey" FOREIGN KEY ("gym_owner_id") REFERENCES "gym_owner"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
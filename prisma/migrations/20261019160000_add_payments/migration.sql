@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "membership" ADD COLUMN     "amount_paid" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "payment" (
+    "id" SERIAL NOT NULL,
+    "membership_id" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "payment_mode" TEXT NOT NULL,
+    "payment_details" TEXT,
+    "paid_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "staff_id" INTEGER,
+
+    CONSTRAINT "payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payment_membership_id_idx" ON "payment"("membership_id");
+
+-- CreateIndex
+CREATE INDEX "payment_paid_at_idx" ON "payment"("paid_at");
+
+-- AddForeignKey
+ALTER TABLE "payment" ADD CONSTRAINT "payment_membership_id_fkey" FOREIGN KEY ("membership_id") REFERENCES "membership"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment" ADD CONSTRAINT "payment_staff_id_fkey" FOREIGN KEY ("staff_id") REFERENCES "staff"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing memberships were paid in full when they were recorded
+INSERT INTO "payment" ("membership_id", "amount", "payment_mode", "payment_details", "paid_at", "staff_id")
+SELECT "id", "amount", "payment_mode", "payment_details", "transaction_date", "staff_id" FROM "membership";
+
+UPDATE "membership" SET "amount_paid" = "amount";
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "plan" ADD COLUMN     "max_freeze_days" INTEGER NOT NULL DEFAULT 30,
+ADD COLUMN     "max_freezes" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "membership_freeze" (
+    "id" SERIAL NOT NULL,
+    "membership_id" INTEGER NOT NULL,
+    "customer_id" INTEGER NOT NULL,
+    "start_date" TIMESTAMP(3) NOT NULL,
+    "end_date" TIMESTAMP(3) NOT NULL,
+    "unfrozen_at" TIMESTAMP(3),
+    "reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "membership_freeze_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "membership_freeze_customer_id_end_date_idx" ON "membership_freeze"("customer_id", "end_date");
+
+-- AddForeignKey
+ALTER TABLE "membership_freeze" ADD CONSTRAINT "membership_freeze_membership_id_fkey" FOREIGN KEY ("membership_id") REFERENCES "membership"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "membership_freeze" ADD CONSTRAINT "membership_freeze_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "membership" ADD COLUMN     "invoice_number" TEXT;
+
+-- CreateTable
+CREATE TABLE "invoice_sequence" (
+    "id" SERIAL NOT NULL,
+    "gym_owner_id" INTEGER NOT NULL,
+    "series" TEXT NOT NULL,
+    "last_number" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "invoice_sequence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoice_sequence_gym_owner_id_series_key" ON "invoice_sequence"("gym_owner_id", "series");
+
+-- AddForeignKey
+ALTER TABLE "invoice_sequence" ADD CONSTRAINT "invoice_sequence_gym_owner_id_fkey" FOREIGN KEY ("gym_owner_id") REFERENCES "gym_owner"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Number existing transactions in the order they were taken
+UPDATE "membership" m
+SET "invoice_number" = 'INV-' || LPAD(numbered."number"::text, 5, '0')
+FROM (
+    SELECT m2."id", ROW_NUMBER() OVER (PARTITION BY c."gym_owner_id" ORDER BY m2."id") AS "number"
+    FROM "membership" m2
+    JOIN "customer" c ON c."id" = m2."customer_id"
+) numbered
+WHERE m."id" = numbered."id";
+
+INSERT INTO "invoice_sequence" ("gym_owner_id", "series", "last_number")
+SELECT c."gym_owner_id", 'default', COUNT(*)
+FROM "membership" m
+JOIN "customer" c ON c."id" = m."customer_id"
+GROUP BY c."gym_owner_id";
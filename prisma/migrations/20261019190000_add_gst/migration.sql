@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "membership" ADD COLUMN     "cgst" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "gstin" TEXT,
+ADD COLUMN     "sgst" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_amount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_rate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxable_value" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "tax_setting" (
+    "id" SERIAL NOT NULL,
+    "gym_owner_id" INTEGER NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "gstin" TEXT,
+    "rate" DOUBLE PRECISION NOT NULL DEFAULT 18,
+    "inclusive" BOOLEAN NOT NULL DEFAULT true,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tax_setting_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tax_setting_gym_owner_id_key" ON "tax_setting"("gym_owner_id");
+
+-- AddForeignKey
+ALTER TABLE "tax_setting" ADD CONSTRAINT "tax_setting_gym_owner_id_fkey" FOREIGN KEY ("gym_owner_id") REFERENCES "gym_owner"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Existing transactions were billed without GST
+UPDATE "membership" SET "taxable_value" = "amount";
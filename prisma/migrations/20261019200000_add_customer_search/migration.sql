@@ -0,0 +1,11 @@
+-- Trigram matching for customer search: partial names, phone number suffixes and gym_id prefixes
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- CreateIndex
+CREATE INDEX "customer_name_idx" ON "customer" USING GIN ("name" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "customer_phone_number_idx" ON "customer" USING GIN ("phone_number" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "customer_gym_id_idx" ON "customer" USING GIN ("gym_id" gin_trgm_ops);
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "customer" ADD COLUMN     "address" TEXT,
+ADD COLUMN     "date_of_birth" DATE,
+ADD COLUMN     "emergency_contact_name" TEXT,
+ADD COLUMN     "emergency_contact_phone" TEXT,
+ADD COLUMN     "emergency_contact_relation" TEXT,
+ADD COLUMN     "gender" TEXT,
+ADD COLUMN     "goals" TEXT,
+ADD COLUMN     "health_notes" TEXT,
+ADD COLUMN     "photo_key" TEXT;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "measurement" (
+    "id" SERIAL NOT NULL,
+    "customer_id" INTEGER NOT NULL,
+    "recorded_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "weight" DOUBLE PRECISION,
+    "body_fat" DOUBLE PRECISION,
+    "chest" DOUBLE PRECISION,
+    "waist" DOUBLE PRECISION,
+    "hips" DOUBLE PRECISION,
+    "arms" DOUBLE PRECISION,
+    "thighs" DOUBLE PRECISION,
+    "notes" TEXT,
+    "staff_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "measurement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "measurement_customer_id_recorded_at_idx" ON "measurement"("customer_id", "recorded_at");
+
+-- AddForeignKey
+ALTER TABLE "measurement" ADD CONSTRAINT "measurement_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "measurement" ADD CONSTRAINT "measurement_staff_id_fkey" FOREIGN KEY ("staff_id") REFERENCES "staff"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,57 @@
+-- AlterTable
+ALTER TABLE "membership" ADD COLUMN     "pt_session_allowance" INTEGER,
+ADD COLUMN     "trainer_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "trainer" (
+    "id" SERIAL NOT NULL,
+    "gym_owner_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "phone_number" TEXT NOT NULL,
+    "commission_rate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "trainer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "pt_session" (
+    "id" SERIAL NOT NULL,
+    "membership_id" INTEGER NOT NULL,
+    "customer_id" INTEGER NOT NULL,
+    "trainer_id" INTEGER NOT NULL,
+    "session_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "notes" TEXT,
+    "staff_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pt_session_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "trainer_gym_owner_id_phone_number_key" ON "trainer"("gym_owner_id", "phone_number");
+
+-- CreateIndex
+CREATE INDEX "pt_session_membership_id_idx" ON "pt_session"("membership_id");
+
+-- CreateIndex
+CREATE INDEX "pt_session_trainer_id_session_at_idx" ON "pt_session"("trainer_id", "session_at");
+
+-- AddForeignKey
+ALTER TABLE "membership" ADD CONSTRAINT "membership_trainer_id_fkey" FOREIGN KEY ("trainer_id") REFERENCES "trainer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "trainer" ADD CONSTRAINT "trainer_gym_owner_id_fkey" FOREIGN KEY ("gym_owner_id") REFERENCES "gym_owner"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pt_session" ADD CONSTRAINT "pt_session_membership_id_fkey" FOREIGN KEY ("membership_id") REFERENCES "membership"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pt_session" ADD CONSTRAINT "pt_session_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pt_session" ADD CONSTRAINT "pt_session_trainer_id_fkey" FOREIGN KEY ("trainer_id") REFERENCES "trainer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pt_session" ADD CONSTRAINT "pt_session_staff_id_fkey" FOREIGN KEY ("staff_id") REFERENCES "staff"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,207 @@
+// receiptPdf.js
+// Renders membership receipts as single-page PDF invoices. The PDF is written by hand (standard
+// Helvetica fonts, text and rules only) so receipts are generated locally without any extra service.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+/**
+ * Formats a date the way the WhatsApp messages do (dd/mm/yyyy).
+ */
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString('en-GB') : '';
+}
+
+/**
+ * Formats an amount of money with two decimals.
+ */
+function formatMoney(amount) {
+  return `${Number(amount || 0).toFixed(2)} INR`;
+}
+
+/**
+ * Escapes a string for a PDF literal string. The standard fonts only cover Latin-1, other characters become '?'.
+ */
+function pdfString(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Approximate width of text in Helvetica, good enough to right-align amounts.
+ */
+function textWidth(text, size) {
+  return String(text).length * size * 0.5;
+}
+
+/**
+ * Builds the receipt content (what goes on the invoice) from a membership transaction.
+ * `membership.plan` and `membership.coupon` are used when included. `tax` ({ gstin, rate,
+ * taxable_value, cgst, sgst, igst }) adds a GST breakdown and turns the receipt into a tax invoice.
+ */
+export function receiptFromMembership({ membership, customer, gymOwner, tax = null }) {
+  const unit = membership.duration_unit || 'months';
+  const description = membership.plan
+    ? `${membership.plan.name} (${membership.duration} ${unit})`
+    : `Membership - ${membership.workout_type} (${membership.duration} ${unit})`;
+
+  const gross = membership.list_price ?? membership.amount;
+  const items = [{
+    description: `${description}${membership.personal_training ? ' with personal training' : ''}`,
+    amount: gross,
+  }];
+
+  const counterDiscount = (membership.discount || 0) - (membership.coupon_discount || 0) - (membership.credit_applied || 0);
+  if (counterDiscount > 0.005) {
+    items.push({ description: 'Discount', amount: -counterDiscount });
+  }
+  if (membership.coupon_discount > 0) {
+    const code = membership.coupon ? ` ${membership.coupon.code}` : '';
+    items.push({ description: `Coupon${code}`, amount: -membership.coupon_discount });
+  }
+  if (membership.credit_applied > 0) {
+    items.push({ description: 'Referral credit', amount: -membership.credit_applied });
+  }
+
+  const amountPaid = membership.amount_paid ?? membership.amount;
+
+  return {
+    gym_name: gymOwner.gym_name,
+    gym_phone: gymOwner.phone_number,
+    gstin: tax ? tax.gstin : null,
+    invoice_number: membership.invoice_number || `#${membership.id}`,
+    bill_date: membership.bill_date,
+    customer_name: customer.name,
+    customer_phone: customer.phone_number,
+    gym_id: customer.gym_id,
+    period: `${formatDate(membership.start_date)} onwards`,
+    items,
+    net: membership.amount,
+    tax,
+    payment_mode: membership.payment_mode,
+    payment_details: membership.payment_details,
+    amount_paid: amountPaid,
+    balance_due: Math.round((membership.amount - amountPaid) * 100) / 100,
+  };
+}
+
+/**
+ * Lays the receipt out as PDF drawing operations.
+ */
+function receiptOperations(receipt) {
+  const ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const text = (value, x, size = 10, bold = false) => {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${pdfString(value)}) Tj ET`);
+  };
+  const rightText = (value, size = 10, bold = false) => {
+    text(value, PAGE_WIDTH - MARGIN - textWidth(value, size), size, bold);
+  };
+  const rule = () => {
+    ops.push(`${MARGIN} ${y} m ${PAGE_WIDTH - MARGIN} ${y} l S`);
+  };
+  const row = (label, value, bold = false) => {
+    text(label, MARGIN, 10, bold);
+    rightText(value, 10, bold);
+    y -= 16;
+  };
+
+  text(receipt.gym_name.toUpperCase(), MARGIN, 18, true);
+  y -= 18;
+  if (receipt.gym_phone) {
+    text(`Phone: ${receipt.gym_phone}`, MARGIN);
+    y -= 14;
+  }
+  if (receipt.gstin) {
+    text(`GSTIN: ${receipt.gstin}`, MARGIN);
+    y -= 14;
+  }
+
+  y -= 10;
+  text(receipt.tax ? 'TAX INVOICE' : 'RECEIPT', MARGIN, 14, true);
+  y -= 20;
+  row('Invoice No', receipt.invoice_number);
+  row('Date', formatDate(receipt.bill_date));
+  row('Member', receipt.customer_name);
+  row('Admission No', receipt.gym_id);
+  row('Phone', receipt.customer_phone);
+  row('Period', receipt.period);
+
+  y -= 6;
+  rule();
+  y -= 16;
+  row('Description', 'Amount', true);
+  for (const item of receipt.items) {
+    row(item.description, formatMoney(item.amount));
+  }
+  rule();
+  y -= 16;
+
+  if (receipt.tax) {
+    row('Taxable value', formatMoney(receipt.tax.taxable_value));
+    if (receipt.tax.igst > 0) {
+      row(`IGST @ ${receipt.tax.rate}%`, formatMoney(receipt.tax.igst));
+    } else {
+      row(`CGST @ ${receipt.tax.rate / 2}%`, formatMoney(receipt.tax.cgst));
+      row(`SGST @ ${receipt.tax.rate / 2}%`, formatMoney(receipt.tax.sgst));
+    }
+  }
+  row('Total', formatMoney(receipt.net), true);
+  row('Paid', formatMoney(receipt.amount_paid));
+  if (receipt.balance_due > 0) {
+    row('Balance due', formatMoney(receipt.balance_due), true);
+  }
+
+  y -= 10;
+  text(`Payment mode: ${String(receipt.payment_mode || '').toUpperCase()}`, MARGIN);
+  y -= 14;
+  if (receipt.payment_details) {
+    text(`Payment details: ${receipt.payment_details}`, MARGIN);
+    y -= 14;
+  }
+
+  y -= 20;
+  text('Thank you. Be fit for a good healthy tomorrow.', MARGIN, 10);
+
+  return ops.join('\n');
+}
+
+/**
+ * Renders the receipt as a PDF document and returns it as a Buffer.
+ */
+export function renderReceiptPdf(receipt) {
+  const content = receiptOperations(receipt);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * File name the receipt is downloaded and sent as.
+ */
+export function receiptFileName(receipt) {
+  return `receipt-${receipt.invoice_number.replace(/[^\w-]+/g, '-')}.pdf`;
+}
@@ -0,0 +1,80 @@
+import { receiptFromMembership, renderReceiptPdf, receiptFileName } from './receiptPdf.js';
+
+const customer = { name: 'John Doe', phone_number: '1234567890', gym_id: 'gym1' };
+const gymOwner = { gym_name: 'Iron (Paradise) Gym', phone_number: '9999999999' };
+const membership = {
+  id: 8,
+  invoice_number: 'INV-00042',
+  duration: 3,
+  duration_unit: 'months',
+  start_date: new Date('2025-04-01T00:00:00.000Z'),
+  bill_date: new Date('2025-04-01T00:00:00.000Z'),
+  payment_mode: 'upi',
+  payment_details: 'john@upi',
+  plan: { name: 'Quarterly Cardio' },
+  coupon: { code: 'DIWALI10' },
+  list_price: 2400,
+  discount: 740,
+  coupon_discount: 200,
+  credit_applied: 140,
+  amount: 1660,
+  amount_paid: 1000,
+  workout_type: 'cardio',
+  personal_training: true,
+};
+
+describe('receiptFromMembership', () => {
+  test('lists the plan and every discount as line items', () => {
+    const receipt = receiptFromMembership({ membership, customer, gymOwner });
+
+    expect(receipt.items).toEqual([
+      { description: 'Quarterly Cardio (3 months) with personal training', amount: 2400 },
+      { description: 'Discount', amount: -400 },
+      { description: 'Coupon DIWALI10', amount: -200 },
+      { description: 'Referral credit', amount: -140 },
+    ]);
+    expect(receipt.net).toBe(1660);
+    expect(receipt.balance_due).toBe(660);
+    expect(receipt.tax).toBeNull();
+  });
+});
+
+describe('renderReceiptPdf', () => {
+  const receipt = receiptFromMembership({ membership, customer, gymOwner });
+  const pdf = renderReceiptPdf(receipt).toString('latin1');
+
+  test('writes a complete PDF with a valid cross-reference table', () => {
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf.endsWith('%%EOF\n')).toBe(true);
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+    const offsets = [...pdf.matchAll(/^(\d{10}) 00000 n $/gm)].map((match) => Number(match[1]));
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+
+  test('escapes parentheses in text', () => {
+    expect(pdf).toContain('(IRON \\(PARADISE\\) GYM) Tj');
+    expect(pdf).toContain('(INV-00042) Tj');
+  });
+
+  test('adds the GST breakdown when tax is given', () => {
+    const taxed = renderReceiptPdf(receiptFromMembership({
+      membership,
+      customer,
+      gymOwner,
+      tax: { gstin: '29ABCDE1234F1Z5', rate: 18, taxable_value: 1406.78, cgst: 126.61, sgst: 126.61, igst: 0 },
+    })).toString('latin1');
+
+    expect(taxed).toContain('(TAX INVOICE) Tj');
+    expect(taxed).toContain('(GSTIN: 29ABCDE1234F1Z5) Tj');
+    expect(taxed).toContain('(CGST @ 9%) Tj');
+  });
+});
+
+test('receiptFileName uses the invoice number', () => {
+  expect(receiptFileName({ invoice_number: 'INV-00042' })).toBe('receipt-INV-00042.pdf');
+});
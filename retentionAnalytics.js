@@ -0,0 +1,77 @@
+// retentionAnalytics.js
+// Helpers for GET /retention_analytics: how many members renew, how many are lost each month, how
+// long members stay and how each admission month's members are retained. The counts themselves are
+// computed by the database from the periods the memberships covered; these only shape them. A
+// member who starts again within the renewal window of an end has renewed; one who doesn't has
+// churned at that end.
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// Days after a membership ends that a new one still counts as a renewal
+export const DEFAULT_RENEWAL_DAYS = 30;
+export const MAX_RENEWAL_DAYS = 365;
+
+// Months after admission that cohorts are followed for
+export const COHORT_MONTHS = 12;
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+function roundTenth(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Adds renewal_rate to the counts of memberships ending in the range ({ due, renewed,
+ * not_renewed, pending }). Pending ones, whose window is still open, are left out of the rate.
+ */
+export function renewalSummary(counts) {
+  const summary = {
+    due: Number(counts.due),
+    renewed: Number(counts.renewed),
+    not_renewed: Number(counts.not_renewed),
+    pending: Number(counts.pending),
+  };
+  return { ...summary, renewal_rate: percent(summary.renewed, summary.renewed + summary.not_renewed) };
+}
+
+/**
+ * Adds churn_rate to each month's row ({ month, active_at_start, churned }).
+ */
+export function monthlyChurn(rows) {
+  return rows.map((row) => ({
+    month: row.month,
+    active_at_start: Number(row.active_at_start),
+    churned: Number(row.churned),
+    churn_rate: percent(Number(row.churned), Number(row.active_at_start)),
+  }));
+}
+
+/**
+ * Average lifetime from the number of customers admitted so far and their average covered days.
+ */
+export function averageLifetime({ customers, days }) {
+  if (!Number(customers)) {
+    return { customers: 0, days: null, months: null };
+  }
+  return { customers: Number(customers), days: roundTenth(days), months: roundTenth(days / DAYS_PER_MONTH) };
+}
+
+/**
+ * Groups rows of { cohort (admission month), month (months after admission), members, retained }
+ * into one entry per cohort with its retention by month, oldest cohort first.
+ */
+export function cohortRetention(rows) {
+  const cohorts = new Map();
+  for (const row of rows) {
+    const members = Number(row.members);
+    const cohort = cohorts.get(row.cohort) || { cohort: row.cohort, members, retention: [] };
+    cohort.retention.push({ month: Number(row.month), retained: Number(row.retained), rate: percent(Number(row.retained), members) });
+    cohorts.set(row.cohort, cohort);
+  }
+
+  return [...cohorts.values()]
+    .sort((a, b) => a.cohort.localeCompare(b.cohort))
+    .map((cohort) => ({ ...cohort, retention: cohort.retention.sort((a, b) => a.month - b.month) }));
+}
@@ -0,0 +1,59 @@
+import { renewalSummary, monthlyChurn, averageLifetime, cohortRetention } from './retentionAnalytics.js';
+
+describe('renewalSummary', () => {
+  test('rates the renewals of the memberships whose window has passed', () => {
+    expect(renewalSummary({ due: '4', renewed: '1', not_renewed: '2', pending: '1' })).toEqual({
+      due: 4,
+      renewed: 1,
+      not_renewed: 2,
+      pending: 1,
+      renewal_rate: 33.3,
+    });
+  });
+
+  test('has no rate when every membership is still pending', () => {
+    expect(renewalSummary({ due: 1, renewed: 0, not_renewed: 0, pending: 1 }).renewal_rate).toBeNull();
+  });
+});
+
+describe('monthlyChurn', () => {
+  test('adds the share of the members active at the start lost each month', () => {
+    expect(monthlyChurn([
+      { month: '2025-04', active_at_start: 2, churned: 1 },
+      { month: '2025-05', active_at_start: 0, churned: 0 },
+    ])).toEqual([
+      { month: '2025-04', active_at_start: 2, churned: 1, churn_rate: 50 },
+      { month: '2025-05', active_at_start: 0, churned: 0, churn_rate: null },
+    ]);
+  });
+});
+
+describe('averageLifetime', () => {
+  test('gives the average in days and months', () => {
+    expect(averageLifetime({ customers: 4, days: 101.5 })).toEqual({ customers: 4, days: 101.5, months: 3.3 });
+  });
+
+  test('is empty without members', () => {
+    expect(averageLifetime({ customers: 0, days: null })).toEqual({ customers: 0, days: null, months: null });
+  });
+});
+
+describe('cohortRetention', () => {
+  test('groups the monthly counts by admission month, oldest first', () => {
+    expect(cohortRetention([
+      { cohort: '2025-05', month: 0, members: 1, retained: 1 },
+      { cohort: '2025-04', month: 1, members: 2, retained: 1 },
+      { cohort: '2025-04', month: 0, members: 2, retained: 2 },
+    ])).toEqual([
+      {
+        cohort: '2025-04',
+        members: 2,
+        retention: [
+          { month: 0, retained: 2, rate: 100 },
+          { month: 1, retained: 1, rate: 50 },
+        ],
+      },
+      { cohort: '2025-05', members: 1, retention: [{ month: 0, retained: 1, rate: 100 }] },
+    ]);
+  });
+});
@@ -0,0 +1,104 @@
+// revenueAnalytics.js
+// Helpers for GET /revenue_analytics: revenue collected (payments by paid_at, the same basis as
+// GET /revenue) over a date range, bucketed by day, week, month or year in the gym's timezone and
+// compared with the period of the same length just before it. The sums themselves are computed by
+// the database.
+
+import { roundMoney } from './discounts.js';
+
+export const ANALYTICS_GRANULARITIES = ['day', 'week', 'month', 'year'];
+
+export const GYM_TIMEZONE = 'Asia/Kolkata';
+
+// Breakdowns reported for each range: the payment's mode and its membership's workout_type and
+// personal_training
+export const REVENUE_DIMENSIONS = ['payment_mode', 'workout_type', 'personal_training'];
+
+/**
+ * The range of the same length ending just before `range` ({ start, end }, end inclusive).
+ */
+export function previousPeriod(range) {
+  const length = range.end.getTime() - range.start.getTime() + 1;
+  return {
+    start: new Date(range.start.getTime() - length),
+    end: new Date(range.start.getTime() - 1),
+  };
+}
+
+/**
+ * Change from `previous` to `current`, as an amount and a percentage (null when there was
+ * nothing to compare with).
+ */
+export function compareTotals(current, previous) {
+  return {
+    revenue: roundMoney(current.revenue - previous.revenue),
+    revenue_percent: previous.revenue > 0
+      ? Math.round(((current.revenue - previous.revenue) / previous.revenue) * 1000) / 10
+      : null,
+    transactions: current.transactions - previous.transactions,
+  };
+}
+
+/**
+ * Folds payment sums grouped by all REVENUE_DIMENSIONS (rows with the dimensions, revenue and
+ * transactions) into totals plus one breakdown per dimension, largest revenue first.
+ */
+export function summarizeRevenue(groups) {
+  const total = { revenue: 0, transactions: 0 };
+  const breakdowns = Object.fromEntries(REVENUE_DIMENSIONS.map((dimension) => [dimension, new Map()]));
+
+  for (const group of groups) {
+    const revenue = Number(group.revenue);
+    const transactions = Number(group.transactions);
+    total.revenue += revenue;
+    total.transactions += transactions;
+
+    for (const dimension of REVENUE_DIMENSIONS) {
+      const entries = breakdowns[dimension];
+      const entry = entries.get(group[dimension]) || { [dimension]: group[dimension], revenue: 0, transactions: 0 };
+      entry.revenue += revenue;
+      entry.transactions += transactions;
+      entries.set(group[dimension], entry);
+    }
+  }
+
+  const result = { total: { revenue: roundMoney(total.revenue), transactions: total.transactions } };
+  for (const dimension of REVENUE_DIMENSIONS) {
+    result[`by_${dimension}`] = [...breakdowns[dimension].values()]
+      .map((entry) => ({ ...entry, revenue: roundMoney(entry.revenue) }))
+      .sort((a, b) => b.revenue - a.revenue);
+  }
+  return result;
+}
+
+/**
+ * Adds what each breakdown entry of `current` made in `previous` (both from summarizeRevenue).
+ * Entries that only had revenue in the previous period are kept with zero revenue now.
+ */
+export function withPreviousBreakdowns(current, previous) {
+  const result = { ...current };
+  for (const dimension of REVENUE_DIMENSIONS) {
+    const key = `by_${dimension}`;
+    const before = new Map(previous[key].map((entry) => [entry[dimension], entry]));
+    const entries = current[key].map((entry) => {
+      const earlier = before.get(entry[dimension]);
+      before.delete(entry[dimension]);
+      return {
+        ...entry,
+        previous_revenue: earlier ? earlier.revenue : 0,
+        previous_transactions: earlier ? earlier.transactions : 0,
+      };
+    });
+    for (const earlier of before.values()) {
+      entries.push({
+        [dimension]: earlier[dimension],
+        revenue: 0,
+        transactions: 0,
+        previous_revenue: earlier.revenue,
+        previous_transactions: earlier.transactions,
+      });
+    }
+    result[key] = entries;
+  }
+  return result;
+}
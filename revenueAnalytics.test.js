@@ -0,0 +1,43 @@
+import { previousPeriod, compareTotals, summarizeRevenue } from './revenueAnalytics.js';
+
+describe('previousPeriod', () => {
+  test('is the range of the same length just before', () => {
+    const range = {
+      start: new Date('2025-04-01T00:00:00.000+05:30'),
+      end: new Date('2025-04-10T23:59:59.999+05:30'),
+    };
+
+    expect(previousPeriod(range)).toEqual({
+      start: new Date('2025-03-22T00:00:00.000+05:30'),
+      end: new Date('2025-03-31T23:59:59.999+05:30'),
+    });
+  });
+});
+
+describe('compareTotals', () => {
+  test('gives the change as an amount and a percentage', () => {
+    expect(compareTotals({ revenue: 1500, transactions: 3 }, { revenue: 2000, transactions: 4 })).toEqual({
+      revenue: -500, revenue_percent: -25, transactions: -1,
+    });
+  });
+
+  test('has no percentage without earlier revenue', () => {
+    expect(compareTotals({ revenue: 1500, transactions: 3 }, { revenue: 0, transactions: 0 }).revenue_percent).toBeNull();
+  });
+});
+
+describe('summarizeRevenue', () => {
+  test('totals each dimension across the grouped sums', () => {
+    const summary = summarizeRevenue([
+      { payment_mode: 'cash', workout_type: 'cardio', personal_training: false, revenue: 1000.1, transactions: 2 },
+      { payment_mode: 'cash', workout_type: 'strength', personal_training: true, revenue: 2000.2, transactions: 1 },
+    ]);
+
+    expect(summary.total).toEqual({ revenue: 3000.3, transactions: 3 });
+    expect(summary.by_payment_mode).toEqual([{ payment_mode: 'cash', revenue: 3000.3, transactions: 3 }]);
+    expect(summary.by_personal_training).toEqual([
+      { personal_training: true, revenue: 2000.2, transactions: 1 },
+      { personal_training: false, revenue: 1000.1, transactions: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+// tax.js
+// GST on membership fees. A gym owner's tax_setting decides whether fees are taxed, at what rate and
+// whether prices already include the tax. Intra-state supply is assumed, so tax is split evenly
+// into CGST and SGST.
+
+import { roundMoney } from './discounts.js';
+
+export const DEFAULT_TAX_SETTINGS = {
+  enabled: false,
+  gstin: null,
+  rate: 18,
+  inclusive: true,
+};
+
+// 2 digit state code, 10 character PAN, entity number, 'Z', check character
+export const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Merges the gym owner's stored tax_setting row over the defaults.
+ */
+export function resolveTaxSettings(setting) {
+  if (!setting) {
+    return { ...DEFAULT_TAX_SETTINGS };
+  }
+  return {
+    enabled: setting.enabled,
+    gstin: setting.gstin,
+    rate: setting.rate,
+    inclusive: setting.inclusive,
+  };
+}
+
+/**
+ * Splits `amount` into taxable value and GST at `rate` percent. With `inclusive` the amount already
+ * contains the tax, otherwise the tax is added on top. Returns the fields stored on a membership,
+ * `amount` being what the customer pays.
+ */
+export function splitTax(amount, rate, inclusive) {
+  const taxable_value = inclusive ? roundMoney((amount * 100) / (100 + rate)) : roundMoney(amount);
+  const tax_amount = inclusive ? roundMoney(amount - taxable_value) : roundMoney((taxable_value * rate) / 100);
+  const cgst = roundMoney(tax_amount / 2);
+
+  return {
+    tax_rate: rate,
+    taxable_value,
+    tax_amount,
+    cgst,
+    sgst: roundMoney(tax_amount - cgst),
+    amount: roundMoney(taxable_value + tax_amount),
+  };
+}
+
+/**
+ * Adds GST to priced membership terms according to the gym owner's settings.
+ * Untaxed terms get a taxable value equal to the amount so reports add up either way.
+ */
+export function applyTax(priced, settings) {
+  if (!settings || !settings.enabled || !(settings.rate > 0)) {
+    return { ...priced, gstin: null, tax_rate: 0, taxable_value: priced.amount, tax_amount: 0, cgst: 0, sgst: 0 };
+  }
+  return { ...priced, gstin: settings.gstin, ...splitTax(priced.amount, settings.rate, settings.inclusive) };
+}
+
+/**
+ * The GST breakdown printed on a membership's receipt, or null when it was not taxed.
+ */
+export function taxFromMembership(membership) {
+  if (!(membership.tax_amount > 0)) {
+    return null;
+  }
+  return {
+    gstin: membership.gstin,
+    rate: membership.tax_rate,
+    taxable_value: membership.taxable_value,
+    cgst: membership.cgst,
+    sgst: membership.sgst,
+    igst: 0,
+  };
+}
@@ -0,0 +1,67 @@
+import { resolveTaxSettings, splitTax, applyTax, taxFromMembership } from './tax.js';
+import { financialYear, formatInvoiceNumber, nextInvoiceNumber } from './invoices.js';
+
+describe('splitTax', () => {
+  test('splits GST out of an inclusive amount', () => {
+    expect(splitTax(1180, 18, true)).toEqual({
+      tax_rate: 18, taxable_value: 1000, tax_amount: 180, cgst: 90, sgst: 90, amount: 1180,
+    });
+  });
+
+  test('adds GST on top of an exclusive amount', () => {
+    expect(splitTax(1000, 18, false)).toEqual({
+      tax_rate: 18, taxable_value: 1000, tax_amount: 180, cgst: 90, sgst: 90, amount: 1180,
+    });
+  });
+
+  test('keeps the inclusive total when rounding to paise', () => {
+    const split = splitTax(999, 18, true);
+    expect(split.amount).toBe(999);
+    expect(split.cgst + split.sgst).toBeCloseTo(split.tax_amount, 2);
+  });
+});
+
+describe('applyTax', () => {
+  const priced = { list_price: 1000, discount: 0, amount: 1000 };
+
+  test('leaves the amount untaxed when GST is disabled', () => {
+    expect(applyTax(priced, resolveTaxSettings(null))).toEqual(expect.objectContaining({
+      gstin: null, tax_rate: 0, taxable_value: 1000, tax_amount: 0, amount: 1000,
+    }));
+  });
+
+  test('records the GSTIN and split when GST is enabled', () => {
+    const settings = resolveTaxSettings({ enabled: true, gstin: '29ABCDE1234F1Z5', rate: 18, inclusive: false });
+    expect(applyTax(priced, settings)).toEqual(expect.objectContaining({
+      gstin: '29ABCDE1234F1Z5', taxable_value: 1000, tax_amount: 180, amount: 1180, list_price: 1000,
+    }));
+  });
+
+  test('prints no GST breakdown for untaxed memberships', () => {
+    expect(taxFromMembership({ tax_amount: 0 })).toBeNull();
+  });
+});
+
+describe('invoice numbers', () => {
+  test('financial years run from April to March in India', () => {
+    expect(financialYear(new Date('2025-03-31T12:00:00.000Z'))).toBe('2024-25');
+    expect(financialYear(new Date('2025-04-01T06:00:00.000Z'))).toBe('2025-26');
+    // Already 1 April in Asia/Kolkata
+    expect(financialYear(new Date('2025-03-31T19:00:00.000Z'))).toBe('2025-26');
+  });
+
+  test('pads the running number', () => {
+    expect(formatInvoiceNumber('2025-26', 42)).toBe('2025-26/00042');
+  });
+
+  test('takes the next number of the financial year series', async () => {
+    const tx = { invoice_sequence: { upsert: jest.fn().mockResolvedValue({ last_number: 7 }) } };
+
+    const number = await nextInvoiceNumber(tx, 1, new Date('2025-06-01T00:00:00.000Z'));
+
+    expect(number).toBe('2025-26/00007');
+    expect(tx.invoice_sequence.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { gym_owner_id_series: { gym_owner_id: 1, series: '2025-26' } },
+    }));
+  });
+});
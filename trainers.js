@@ -0,0 +1,54 @@
+// trainers.js
+// Personal trainers of a gym: PT memberships are assigned to a trainer, sessions are logged against
+// the membership's session allowance and trainers earn a commission on the PT memberships sold.
+
+import { roundMoney } from './discounts.js';
+
+/**
+ * Sessions of a PT membership: its allowance (null when not limited), how many were used and how
+ * many are left (null when not limited).
+ */
+export function sessionBalance(membership, used) {
+  const allowed = membership.pt_session_allowance ?? null;
+  return {
+    sessions_allowed: allowed,
+    sessions_used: used,
+    sessions_remaining: allowed === null ? null : Math.max(0, allowed - used),
+  };
+}
+
+/**
+ * Commission report of each trainer from membership.groupBy rows (by trainer_id, with _sum.amount,
+ * _sum.tax_amount and _count._all) and pt_session.groupBy rows (by trainer_id, with _count._all).
+ * Commission is commission_rate percent of the PT amounts before GST. Trainers with neither sales
+ * nor sessions are left out. Largest commission first.
+ */
+export function trainerCommissions(trainers, membershipGroups, sessionGroups) {
+  const sales = new Map(membershipGroups.map((group) => [group.trainer_id, group]));
+  const sessions = new Map(sessionGroups.map((group) => [group.trainer_id, group._count._all]));
+
+  const rows = trainers
+    .filter((trainer) => sales.has(trainer.id) || sessions.has(trainer.id))
+    .map((trainer) => {
+      const group = sales.get(trainer.id);
+      const revenue = group ? (group._sum.amount || 0) - (group._sum.tax_amount || 0) : 0;
+      return {
+        trainer_id: trainer.id,
+        name: trainer.name,
+        commission_rate: trainer.commission_rate,
+        pt_memberships: group ? group._count._all : 0,
+        pt_revenue: roundMoney(revenue),
+        sessions: sessions.get(trainer.id) || 0,
+        commission: roundMoney((revenue * trainer.commission_rate) / 100),
+      };
+    })
+    .sort((a, b) => b.commission - a.commission);
+
+  return {
+    trainers: rows,
+    total: {
+      pt_revenue: roundMoney(rows.reduce((sum, row) => sum + row.pt_revenue, 0)),
+      commission: roundMoney(rows.reduce((sum, row) => sum + row.commission, 0)),
+    },
+  };
+}
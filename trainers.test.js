@@ -0,0 +1,45 @@
+import { sessionBalance, trainerCommissions } from './trainers.js';
+
+describe('sessionBalance', () => {
+  test('counts the sessions left of the allowance', () => {
+    expect(sessionBalance({ pt_session_allowance: 10 }, 3)).toEqual({
+      sessions_allowed: 10,
+      sessions_used: 3,
+      sessions_remaining: 7,
+    });
+  });
+
+  test('has no sessions left count without an allowance', () => {
+    expect(sessionBalance({ pt_session_allowance: null }, 3).sessions_remaining).toBeNull();
+  });
+});
+
+describe('trainerCommissions', () => {
+  const trainers = [
+    { id: 1, name: 'Ravi', commission_rate: 10 },
+    { id: 2, name: 'Meena', commission_rate: 25 },
+    { id: 3, name: 'Arjun', commission_rate: 20 },
+  ];
+
+  test('pays each trainer their rate of the PT amounts before GST, largest first', () => {
+    const report = trainerCommissions(
+      trainers,
+      [
+        { trainer_id: 1, _sum: { amount: 5900, tax_amount: 900 }, _count: { _all: 1 } },
+        { trainer_id: 2, _sum: { amount: 3000, tax_amount: null }, _count: { _all: 2 } },
+      ],
+      [{ trainer_id: 1, _count: { _all: 8 } }, { trainer_id: 3, _count: { _all: 2 } }]
+    );
+
+    expect(report.trainers.map((row) => [row.name, row.pt_revenue, row.sessions, row.commission])).toEqual([
+      ['Meena', 3000, 0, 750],
+      ['Ravi', 5000, 8, 500],
+      ['Arjun', 0, 2, 0],
+    ]);
+    expect(report.total).toEqual({ pt_revenue: 8000, commission: 1250 });
+  });
+
+  test('leaves out trainers without sales or sessions', () => {
+    expect(trainerCommissions(trainers, [], []).trainers).toEqual([]);
+  });
+});